@@ -0,0 +1,206 @@
+// src/config/ui/activeLayersPanel.js
+
+/**
+ * "Tända lager" – a compact list of all currently enabled layers in the
+ * layer menu, so users don't have to dig through the group tree.
+ *
+ * Per row:
+ *  - Drag handle (imagery layers only) to change draw order
+ *  - Opacity slider (kept in sync with the layer's info panel slider)
+ *  - Zoom-to button
+ *  - Turn-off button
+ *
+ * Imagery rows are listed in draw order, topmost first, followed by 3D
+ * tilesets and vector layers (their order is not meaningful in 3D).
+ *
+ * @param {Viewer} viewer - Cesium Viewer instance
+ * @param {object} options
+ * @param {() => Array<{entry: object, object: any, isImagery: boolean}>} options.getActiveLayers
+ *        Returns all enabled layers with their loaded Cesium object
+ * @param {(entry: object) => number} options.getOpacity
+ * @param {(entry: object, opacity: number) => void} options.setOpacity
+ * @param {(entry: object, object: any) => Promise<any>} options.zoomTo
+ *        Zooms to a layer the way the layer menu does (honours `rectangle`)
+ * @param {(entry: object) => void} options.disable
+ * @returns {{ element: HTMLElement, refresh: () => void, syncOpacity: (name: string, opacity: number) => void }}
+ */
+export function createActiveLayersPanel(viewer, options) {
+  const { getActiveLayers, getOpacity, setOpacity, zoomTo, disable } = options;
+
+  const panel = document.createElement("div");
+  panel.className = "active-layers";
+  panel.hidden = true;
+
+  const header = document.createElement("div");
+  header.className = "active-layers-header";
+
+  const list = document.createElement("div");
+  list.className = "active-layers-list";
+
+  header.addEventListener("click", () => {
+    header.classList.toggle("open");
+    list.classList.toggle("open");
+  });
+
+  panel.append(header, list);
+
+  // ------------------------------------------------------------
+  // Drag to reorder (pointer events so it also works on touch)
+  // ------------------------------------------------------------
+  let dragRow = null;
+  let dragPointerId = null;
+
+  function imageryRows() {
+    return Array.from(list.querySelectorAll(".active-layer-row[data-imagery='1']"));
+  }
+
+  /**
+   * Applies the DOM order of imagery rows to viewer.imageryLayers.
+   * Rows are topmost first, so raise them to the top from the bottom up.
+   * The background layer is never in the list and therefore stays lowest.
+   */
+  function applyImageryOrder() {
+    imageryRows()
+      .reverse()
+      .forEach((row) => {
+        const imgLayer = row.__imageryLayer;
+        if (imgLayer && viewer.imageryLayers.contains(imgLayer)) {
+          viewer.imageryLayers.raiseToTop(imgLayer);
+        }
+      });
+
+    viewer.scene.requestRender();
+  }
+
+  function onPointerMove(e) {
+    if (!dragRow || e.pointerId !== dragPointerId) return;
+
+    const target = document
+      .elementFromPoint(e.clientX, e.clientY)
+      ?.closest(".active-layer-row[data-imagery='1']");
+
+    if (!target || target === dragRow || target.parentNode !== list) return;
+
+    const rect = target.getBoundingClientRect();
+    const after = e.clientY > rect.top + rect.height / 2;
+    list.insertBefore(dragRow, after ? target.nextSibling : target);
+  }
+
+  function onPointerUp(e) {
+    if (!dragRow || e.pointerId !== dragPointerId) return;
+
+    dragRow.classList.remove("dragging");
+    dragRow = null;
+    dragPointerId = null;
+
+    applyImageryOrder();
+  }
+
+  document.addEventListener("pointermove", onPointerMove);
+  document.addEventListener("pointerup", onPointerUp);
+  document.addEventListener("pointercancel", onPointerUp);
+
+  // ------------------------------------------------------------
+  // Rendering
+  // ------------------------------------------------------------
+  function createRow({ entry, object, isImagery }) {
+    const row = document.createElement("div");
+    row.className = "active-layer-row";
+    row.dataset.imagery = isImagery ? "1" : "0";
+    row.dataset.layerName = entry.name;
+    row.__imageryLayer = isImagery ? object : null;
+
+    const handle = document.createElement("span");
+    handle.className = "active-layer-handle";
+    if (isImagery) {
+      handle.title = "Dra för att ändra ritordning";
+      handle.style.touchAction = "none";
+      handle.addEventListener("pointerdown", (e) => {
+        if (e.pointerType === "mouse" && e.button !== 0) return;
+        dragRow = row;
+        dragPointerId = e.pointerId;
+        row.classList.add("dragging");
+        e.preventDefault();
+      });
+    } else {
+      handle.classList.add("disabled");
+    }
+
+    const label = document.createElement("span");
+    label.className = "active-layer-label";
+    label.textContent = entry.title || entry.name;
+
+    const zoomBtn = document.createElement("button");
+    zoomBtn.className = "zoom-button";
+    zoomBtn.title = "Zooma till lager";
+    zoomBtn.addEventListener("click", () => {
+      Promise.resolve(zoomTo(entry, object)).catch((err) =>
+        console.warn(`Could not zoom to layer "${entry.name}"`, err)
+      );
+    });
+
+    const offBtn = document.createElement("button");
+    offBtn.className = "active-layer-off";
+    offBtn.title = "Släck lager";
+    offBtn.addEventListener("click", () => disable(entry));
+
+    const top = document.createElement("div");
+    top.className = "active-layer-top";
+    top.append(handle, label, zoomBtn, offBtn);
+
+    const slider = document.createElement("input");
+    slider.type = "range";
+    slider.min = 0;
+    slider.max = 1;
+    slider.step = 0.01;
+    slider.value = getOpacity(entry);
+    slider.title = "Opacitet";
+    slider.addEventListener("input", () => {
+      setOpacity(entry, parseFloat(slider.value));
+    });
+
+    row.append(top, slider);
+    return row;
+  }
+
+  /**
+   * Rebuilds the list from the currently enabled layers.
+   */
+  function refresh() {
+    // Don't rebuild underneath an ongoing drag
+    if (dragRow) return;
+
+    const active = getActiveLayers();
+
+    const imagery = active
+      .filter((a) => a.isImagery && viewer.imageryLayers.contains(a.object))
+      .sort(
+        (a, b) =>
+          viewer.imageryLayers.indexOf(b.object) -
+          viewer.imageryLayers.indexOf(a.object)
+      );
+
+    const others = active.filter((a) => !a.isImagery);
+
+    list.innerHTML = "";
+    [...imagery, ...others].forEach((a) => list.appendChild(createRow(a)));
+
+    const count = imagery.length + others.length;
+    header.textContent = `Tända lager (${count})`;
+    panel.hidden = count === 0;
+  }
+
+  /**
+   * Updates a row's opacity slider after the opacity was changed elsewhere
+   * (e.g. in the layer's info panel).
+   */
+  function syncOpacity(name, opacity) {
+    const row = Array.from(list.children).find((r) => r.dataset.layerName === name);
+    const slider = row?.querySelector('input[type="range"]');
+    if (slider && slider !== document.activeElement) {
+      slider.value = opacity;
+    }
+  }
+
+  return { element: panel, refresh, syncOpacity };
+}
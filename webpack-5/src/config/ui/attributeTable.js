@@ -0,0 +1,503 @@
+// src/config/ui/attributeTable.js
+import {
+  Cesium3DTileFeature,
+  Color,
+  HeadingPitchRange,
+  JulianDate
+} from "cesium";
+
+import { windowManager } from "./windowManager.js";
+
+/**
+ * Attribute table for 3D tilesets and vector layers (entity data sources).
+ *
+ * Features:
+ *  - One floating, draggable panel (registered with windowManager)
+ *  - Lists the features currently loaded for the layer and their properties.
+ *    Tilesets only hold the tiles in view, so the table follows tile
+ *    load/unload; WFS layers follow their entity collection the same way.
+ *  - Sorting by clicking a column header (toggles ascending/descending)
+ *  - Text filter over the visible columns
+ *  - Column selection, remembered per layer for the session
+ *  - Clicking a row highlights the feature and zooms to it
+ *
+ * Large layers only render the first MAX_ROWS matching rows; the count
+ * shows how many matched in total.
+ */
+
+// Max number of rows rendered at once
+const MAX_ROWS = 500;
+
+// Delay before re-rendering after tiles/entities changed
+const REFRESH_DELAY = 300;
+
+const HIGHLIGHT_COLOR = Color.YELLOW;
+
+function formatValue(value) {
+  if (value === undefined || value === null) return "";
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+}
+
+function compareValues(a, b) {
+  if (a === b) return 0;
+  if (a === undefined || a === null || a === "") return 1;
+  if (b === undefined || b === null || b === "") return -1;
+
+  if (typeof a === "number" && typeof b === "number") return a - b;
+
+  return formatValue(a).localeCompare(formatValue(b), "sv", { numeric: true });
+}
+
+// ------------------------------------------------------------
+// Feature sources
+// ------------------------------------------------------------
+/**
+ * Returns all contents of a tile's content, including the inner contents
+ * of composite and multiple-content tiles.
+ */
+function flattenContents(content) {
+  if (!content) return [];
+  const inner = content.innerContents;
+  if (Array.isArray(inner) && inner.length) {
+    return inner.flatMap(flattenContents);
+  }
+  return [content];
+}
+
+/**
+ * Reads all features of a loaded tile with their properties.
+ *
+ * @param {Cesium3DTile} tile
+ * @returns {Array<{feature: Cesium3DTileFeature, tile: Cesium3DTile, properties: object}>}
+ */
+export function readTileFeatures(tile) {
+  const rows = [];
+
+  flattenContents(tile.content).forEach((content) => {
+    const count = content.featuresLength || 0;
+
+    for (let i = 0; i < count; i++) {
+      const feature = content.getFeature(i);
+      const properties = {};
+
+      feature.getPropertyIds().forEach((id) => {
+        properties[id] = feature.getProperty(id);
+      });
+
+      rows.push({ feature, tile, properties });
+    }
+  });
+
+  return rows;
+}
+
+/**
+ * Returns the tiles of a tileset whose content is currently loaded.
+ *
+ * @param {Cesium3DTileset} tileset
+ * @returns {Cesium3DTile[]}
+ */
+export function getLoadedTiles(tileset) {
+  const tiles = [];
+
+  (function walk(tile) {
+    if (!tile) return;
+    if (tile.contentReady) tiles.push(tile);
+    (tile.children || []).forEach(walk);
+  })(tileset.root);
+
+  return tiles;
+}
+
+/**
+ * Keeps the rows of a 3D tileset in sync with its loaded tiles.
+ *
+ * @returns {{ getRows: () => object[], destroy: () => void }}
+ */
+function createTilesetSource(tileset, onChange) {
+  const rowsByTile = new Map(); // Cesium3DTile -> rows
+
+  function addTile(tile) {
+    const rows = readTileFeatures(tile);
+    if (rows.length) rowsByTile.set(tile, rows);
+  }
+
+  // Tiles that were already loaded when the table was opened
+  getLoadedTiles(tileset).forEach(addTile);
+
+  const removeLoad = tileset.tileLoad.addEventListener((tile) => {
+    addTile(tile);
+    onChange();
+  });
+
+  const removeUnload = tileset.tileUnload.addEventListener((tile) => {
+    if (rowsByTile.delete(tile)) onChange();
+  });
+
+  return {
+    getRows: () => Array.from(rowsByTile.values()).flat(),
+    destroy() {
+      removeLoad();
+      removeUnload();
+      rowsByTile.clear();
+    }
+  };
+}
+
+/**
+ * Keeps the rows of a data source in sync with its entity collection.
+ *
+ * @returns {{ getRows: () => object[], destroy: () => void }}
+ */
+function createDataSourceSource(dataSource, onChange) {
+  function getRows() {
+    const time = JulianDate.now();
+
+    return dataSource.entities.values
+      .filter((entity) => entity.properties)
+      .map((entity) => ({
+        entity,
+        properties: entity.properties.getValue(time) || {}
+      }));
+  }
+
+  const removeChanged =
+    dataSource.entities.collectionChanged.addEventListener(onChange);
+
+  return { getRows, destroy: removeChanged };
+}
+
+// ------------------------------------------------------------
+// Panel
+// ------------------------------------------------------------
+/**
+ * Creates the attribute table panel (hidden until a layer is opened).
+ *
+ * @param {Viewer} viewer - Cesium Viewer instance
+ * @returns {{
+ *   open: (layer: object, object: Cesium3DTileset|DataSource) => void,
+ *   close: () => void,
+ *   detach: (name: string) => void
+ * }}
+ */
+export function createAttributeTable(viewer) {
+  const panel = document.createElement("div");
+  panel.className = "tool-panel attribute-table";
+  panel.style.display = "none";
+
+  const header = document.createElement("div");
+  header.className = "panel-header";
+
+  const titleEl = document.createElement("span");
+  header.appendChild(titleEl);
+
+  const closeBtn = document.createElement("button");
+  closeBtn.type = "button";
+  closeBtn.className = "panel-close tool-button";
+  closeBtn.title = "Stäng";
+  closeBtn.style.setProperty("--icon", "var(--black-icon-close)");
+  closeBtn.addEventListener("pointerdown", (e) => e.stopPropagation());
+  closeBtn.addEventListener("click", () => close());
+  header.appendChild(closeBtn);
+
+  const body = document.createElement("div");
+  body.className = "panel-body";
+
+  // Filter + column picker + count
+  const controls = document.createElement("div");
+  controls.className = "attribute-table-controls";
+
+  const filterInput = document.createElement("input");
+  filterInput.type = "search";
+  filterInput.placeholder = "Filtrera...";
+  filterInput.className = "attribute-table-filter";
+
+  const columnsToggle = document.createElement("button");
+  columnsToggle.type = "button";
+  columnsToggle.className = "attribute-table-columns-toggle";
+  columnsToggle.textContent = "Kolumner";
+
+  const countEl = document.createElement("span");
+  countEl.className = "attribute-table-count";
+
+  controls.append(filterInput, columnsToggle, countEl);
+
+  const columnsEl = document.createElement("div");
+  columnsEl.className = "attribute-table-columns";
+  columnsEl.hidden = true;
+
+  const tableWrap = document.createElement("div");
+  tableWrap.className = "attribute-table-wrap";
+
+  const table = document.createElement("table");
+  const thead = document.createElement("thead");
+  const tbody = document.createElement("tbody");
+  table.append(thead, tbody);
+  tableWrap.appendChild(table);
+
+  body.append(controls, columnsEl, tableWrap);
+  panel.append(header, body);
+  document.body.appendChild(panel);
+
+  windowManager.makeDraggable(panel, header);
+  panel.addEventListener("pointerdown", () => windowManager.bringToFront(panel));
+
+  // ------------------------------------------------------------
+  // State
+  // ------------------------------------------------------------
+  let current = null; // { layer, source }
+  let columns = []; // all property names seen for the current layer
+  let sort = { column: null, descending: false };
+  let refreshTimer = null;
+
+  // Hidden columns per layer name (kept while the page is open)
+  const hiddenColumns = {}; // name -> Set<string>
+
+  // Highlighted tile feature and the color it had before
+  let highlighted = null; // { feature, color }
+
+  function clearHighlight() {
+    if (!highlighted) return;
+
+    const { feature, color } = highlighted;
+    highlighted = null;
+
+    // The tile may have been unloaded since
+    try {
+      feature.color = color;
+    } catch {
+      // feature no longer valid
+    }
+  }
+
+  function highlight(row) {
+    clearHighlight();
+
+    if (row.entity) {
+      viewer.selectedEntity = row.entity;
+      viewer.flyTo(row.entity, { duration: 1.5 }).catch(() => {});
+      return;
+    }
+
+    const { feature, tile } = row;
+    if (!(feature instanceof Cesium3DTileFeature)) return;
+
+    highlighted = { feature, color: Color.clone(feature.color) };
+    feature.color = HIGHLIGHT_COLOR;
+
+    // Tile features have no geometry of their own: zoom to their tile
+    const sphere = tile.boundingSphere;
+    if (sphere) {
+      viewer.camera.flyToBoundingSphere(sphere, {
+        duration: 1.5,
+        offset: new HeadingPitchRange(
+          viewer.camera.heading,
+          -Math.PI / 6,
+          Math.max(sphere.radius * 2.5, 50)
+        )
+      });
+    }
+  }
+
+  // ------------------------------------------------------------
+  // Rendering
+  // ------------------------------------------------------------
+  function visibleColumns() {
+    const hidden = hiddenColumns[current.layer.name];
+    return columns.filter((c) => !hidden.has(c));
+  }
+
+  function updateColumns(rows) {
+    const seen = new Set(columns);
+    let added = false;
+
+    rows.forEach((row) => {
+      Object.keys(row.properties).forEach((key) => {
+        if (!seen.has(key)) {
+          seen.add(key);
+          columns.push(key);
+          added = true;
+        }
+      });
+    });
+
+    if (added) renderColumnPicker();
+  }
+
+  function renderColumnPicker() {
+    const hidden = hiddenColumns[current.layer.name];
+    columnsEl.innerHTML = "";
+
+    columns.forEach((column) => {
+      const label = document.createElement("label");
+      const cb = document.createElement("input");
+      cb.type = "checkbox";
+      cb.checked = !hidden.has(column);
+
+      cb.addEventListener("change", () => {
+        if (cb.checked) hidden.delete(column);
+        else hidden.add(column);
+        render();
+      });
+
+      label.append(cb, document.createTextNode(column));
+      columnsEl.appendChild(label);
+    });
+  }
+
+  function renderHeader(visible) {
+    thead.innerHTML = "";
+    const tr = document.createElement("tr");
+
+    visible.forEach((column) => {
+      const th = document.createElement("th");
+      th.textContent = column;
+      th.title = "Sortera";
+
+      if (sort.column === column) {
+        th.classList.add(sort.descending ? "sort-desc" : "sort-asc");
+      }
+
+      th.addEventListener("click", () => {
+        sort =
+          sort.column === column
+            ? { column, descending: !sort.descending }
+            : { column, descending: false };
+        render();
+      });
+
+      tr.appendChild(th);
+    });
+
+    thead.appendChild(tr);
+  }
+
+  function render() {
+    if (!current) return;
+
+    const rows = current.source.getRows();
+    updateColumns(rows);
+
+    const visible = visibleColumns();
+    const query = filterInput.value.trim().toLowerCase();
+
+    let matches = query
+      ? rows.filter((row) =>
+          visible.some((c) =>
+            formatValue(row.properties[c]).toLowerCase().includes(query)
+          )
+        )
+      : rows;
+
+    if (sort.column) {
+      const { column, descending } = sort;
+      matches = matches
+        .slice()
+        .sort((a, b) => {
+          const result = compareValues(a.properties[column], b.properties[column]);
+          return descending ? -result : result;
+        });
+    }
+
+    renderHeader(visible);
+
+    tbody.innerHTML = "";
+    matches.slice(0, MAX_ROWS).forEach((row) => {
+      const tr = document.createElement("tr");
+
+      visible.forEach((column) => {
+        const td = document.createElement("td");
+        td.textContent = formatValue(row.properties[column]);
+        tr.appendChild(td);
+      });
+
+      tr.addEventListener("click", () => {
+        tbody.querySelector("tr.selected")?.classList.remove("selected");
+        tr.classList.add("selected");
+        highlight(row);
+      });
+
+      tbody.appendChild(tr);
+    });
+
+    countEl.textContent =
+      matches.length > MAX_ROWS
+        ? `Visar ${MAX_ROWS} av ${matches.length} (${rows.length} laddade)`
+        : `${matches.length} av ${rows.length} laddade`;
+
+    if (!rows.length) {
+      const tr = document.createElement("tr");
+      const td = document.createElement("td");
+      td.className = "attribute-table-empty";
+      td.textContent = "Inga objekt laddade. Zooma in över lagret.";
+      tr.appendChild(td);
+      tbody.appendChild(tr);
+    }
+  }
+
+  // Tile/entity events come in bursts: render once they settle
+  function scheduleRender() {
+    clearTimeout(refreshTimer);
+    refreshTimer = setTimeout(render, REFRESH_DELAY);
+  }
+
+  filterInput.addEventListener("input", render);
+
+  columnsToggle.addEventListener("click", () => {
+    columnsEl.hidden = !columnsEl.hidden;
+    columnsToggle.classList.toggle("open", !columnsEl.hidden);
+  });
+
+  // ------------------------------------------------------------
+  // API
+  // ------------------------------------------------------------
+  function stopSource() {
+    clearTimeout(refreshTimer);
+    clearHighlight();
+    current?.source.destroy();
+    current = null;
+  }
+
+  /**
+   * Shows the attribute table for a loaded tileset or data source.
+   */
+  function open(layer, object) {
+    stopSource();
+
+    const source =
+      object && object.tileLoad
+        ? createTilesetSource(object, scheduleRender)
+        : createDataSourceSource(object, scheduleRender);
+
+    current = { layer, source };
+    columns = [];
+    sort = { column: null, descending: false };
+    hiddenColumns[layer.name] ||= new Set();
+
+    titleEl.textContent = `Attributtabell – ${layer.title || layer.name}`;
+    filterInput.value = "";
+    columnsEl.innerHTML = "";
+
+    render();
+
+    panel.style.display = "flex";
+    windowManager.bringToFront(panel);
+    requestAnimationFrame(() => windowManager.keepInViewport(panel));
+  }
+
+  function close() {
+    stopSource();
+    panel.style.display = "none";
+  }
+
+  /**
+   * Closes the table if it shows the given layer (called when the layer is
+   * turned off, since its tileset/data source is destroyed).
+   */
+  function detach(name) {
+    if (current?.layer.name === name) close();
+  }
+
+  return { open, close, detach };
+}
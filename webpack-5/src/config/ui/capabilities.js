@@ -0,0 +1,456 @@
+// src/config/ui/capabilities.js
+
+/**
+ * WMS / WMTS GetCapabilities parsing.
+ *
+ * Used by the "Lägg till tjänst" dialog (serviceCatalog.js) and to expand
+ * config entries that reference a capabilities document instead of
+ * listing each layer.
+ *
+ * A capabilities document becomes a tree of layer nodes:
+ *   { name, title, abstract, keywords, children, config }
+ * where `config` is a layer config for imageryProviderFactory.js. Only
+ * layers that can be requested have one: WMS layers with a Name and WMTS
+ * layers with a Web Mercator or WGS 84 tile matrix set.
+ *
+ * Config entries in `wmsLayers` with `capabilities` are replaced by one
+ * layer per named layer of the service before the layer menu is built:
+ * {
+ *   "name": "planer",
+ *   "group": "Planer",
+ *   "type": "WMS",
+ *   "capabilities": "https://example.se/geoserver/plan/wms",
+ *   "include": ["plan:detaljplan*", "plan:oversiktsplan"],
+ *   "exclude": ["plan:*_test"],
+ *   "opacity": 0.8
+ * }
+ *
+ * Keys:
+ *  - capabilities  Service URL or URL of the capabilities document
+ *  - type          "WMS" or "WMTS" (default: guessed from the URL)
+ *  - include       Layer names to add; "*" matches any characters (default: all)
+ *  - exclude       Layer names to leave out
+ *  - name          Prefix of the generated layer names ("<name>/<layer>")
+ *  - timeout       ms to wait for the service before it is skipped (default 10000),
+ *                  so a slow server does not hold up the layer menu
+ * Any other keys (group, queryable, opacity, ...) are copied to every
+ * generated layer.
+ */
+
+const WMTS_MERCATOR_CRS = /(3857|900913|3785|102100|GoogleMapsCompatible)/i;
+const WMTS_GEOGRAPHIC_CRS = /(4326|CRS84)/i;
+
+// Keys of a capabilities entry that are not copied to the generated layers
+const ENTRY_KEYS = ["capabilities", "include", "exclude", "name", "title", "timeout"];
+
+const DEFAULT_TIMEOUT = 10000;
+
+// ------------------------------------------------------------
+// XML helpers (namespace agnostic)
+// ------------------------------------------------------------
+function childrenByName(el, name) {
+  return el ? Array.from(el.children).filter((c) => c.localName === name) : [];
+}
+
+function firstChild(el, name) {
+  return el ? Array.from(el.children).find((c) => c.localName === name) : undefined;
+}
+
+function childText(el, name) {
+  return firstChild(el, name)?.textContent.trim() || "";
+}
+
+function childPath(el, ...names) {
+  return names.reduce((node, name) => firstChild(node, name), el);
+}
+
+function href(el) {
+  return el?.getAttribute("xlink:href") || el?.getAttributeNS?.("http://www.w3.org/1999/xlink", "href") || "";
+}
+
+function keywordsOf(el) {
+  const list = firstChild(el, "KeywordList") || firstChild(el, "Keywords");
+  return childrenByName(list, "Keyword").map((k) => k.textContent.trim()).filter(Boolean);
+}
+
+// ------------------------------------------------------------
+// URLs
+// ------------------------------------------------------------
+/**
+ * Guesses the service type from a URL.
+ *
+ * @param {string} url
+ * @returns {"WMS"|"WMTS"}
+ */
+export function guessServiceType(url) {
+  return /wmts/i.test(url) ? "WMTS" : "WMS";
+}
+
+/**
+ * Returns the GetCapabilities URL for a service URL. URLs that already
+ * request capabilities, or point at an XML document, are kept.
+ *
+ * @param {string} url
+ * @param {"WMS"|"WMTS"} type
+ * @returns {string}
+ */
+export function getCapabilitiesUrl(url, type) {
+  if (/request=getcapabilities/i.test(url) || /\.xml(\?|$)/i.test(url)) return url;
+
+  const u = new URL(url, window.location.href);
+  u.searchParams.set("SERVICE", type);
+  u.searchParams.set("REQUEST", "GetCapabilities");
+  if (type === "WMS") u.searchParams.set("VERSION", "1.3.0");
+  return u.toString();
+}
+
+// Parameters of the capabilities request itself; the providers add their own
+const REQUEST_PARAMS = ["service", "request", "version", "acceptversions"];
+
+/**
+ * Service URL for GetMap/GetTile requests from an advertised (or the
+ * capabilities) URL. Other query parameters are kept, since servers like
+ * MapServer (?map=...) and QGIS Server (?MAP=...) need them.
+ *
+ * @param {string} url
+ * @returns {string}
+ */
+function serviceUrl(url) {
+  let u;
+  try {
+    u = new URL(url, window.location.href);
+  } catch {
+    return String(url).replace(/[?&]+$/, "");
+  }
+
+  [...u.searchParams.keys()]
+    .filter((key) => REQUEST_PARAMS.includes(key.toLowerCase()))
+    .forEach((key) => u.searchParams.delete(key));
+
+  return u.toString().replace(/[?&]+$/, "");
+}
+
+// ------------------------------------------------------------
+// WMS
+// ------------------------------------------------------------
+function wmsRectangle(layerEl) {
+  const ex = firstChild(layerEl, "EX_GeographicBoundingBox");
+  if (ex) {
+    const r = {
+      west: parseFloat(childText(ex, "westBoundLongitude")),
+      south: parseFloat(childText(ex, "southBoundLatitude")),
+      east: parseFloat(childText(ex, "eastBoundLongitude")),
+      north: parseFloat(childText(ex, "northBoundLatitude"))
+    };
+    return Object.values(r).every(Number.isFinite) ? r : undefined;
+  }
+
+  // WMS 1.1.1
+  const ll = firstChild(layerEl, "LatLonBoundingBox");
+  if (ll) {
+    const r = {
+      west: parseFloat(ll.getAttribute("minx")),
+      south: parseFloat(ll.getAttribute("miny")),
+      east: parseFloat(ll.getAttribute("maxx")),
+      north: parseFloat(ll.getAttribute("maxy"))
+    };
+    return Object.values(r).every(Number.isFinite) ? r : undefined;
+  }
+
+  return undefined;
+}
+
+function parseWmsLayer(layerEl, service, inherited) {
+  const name = childText(layerEl, "Name");
+  const title = childText(layerEl, "Title") || name;
+  const abstract = childText(layerEl, "Abstract");
+
+  // Bounding box and queryable are inherited by child layers
+  const rectangle = wmsRectangle(layerEl) || inherited.rectangle;
+  const queryable =
+    layerEl.hasAttribute("queryable")
+      ? layerEl.getAttribute("queryable") === "1"
+      : inherited.queryable;
+
+  const legendUrl = href(childPath(firstChild(layerEl, "Style"), "LegendURL", "OnlineResource"));
+
+  const node = {
+    name,
+    title,
+    abstract,
+    keywords: keywordsOf(layerEl),
+    children: childrenByName(layerEl, "Layer").map((child) =>
+      parseWmsLayer(child, service, { rectangle, queryable })
+    ),
+    config: null
+  };
+
+  if (name) {
+    node.config = {
+      name,
+      title,
+      type: "WMS",
+      url: service.url,
+      layers: name,
+      parameters: { format: service.format, transparent: true },
+      ...(queryable ? { queryable: true } : {}),
+      ...(abstract ? { infoText: abstract } : {}),
+      ...(legendUrl ? { legendUrl } : {}),
+      ...(rectangle ? { rectangle } : {})
+    };
+  }
+
+  return node;
+}
+
+function parseWms(root, url) {
+  const capability = firstChild(root, "Capability");
+  const getMap = childPath(capability, "Request", "GetMap");
+  const formats = childrenByName(getMap, "Format").map((f) => f.textContent.trim());
+  const getUrl = href(childPath(getMap, "DCPType", "HTTP", "Get", "OnlineResource"));
+
+  const service = {
+    url: serviceUrl(getUrl || url),
+    format: formats.includes("image/png") ? "image/png" : formats[0] || "image/png"
+  };
+
+  const serviceEl = firstChild(root, "Service");
+
+  return {
+    type: "WMS",
+    title: childText(serviceEl, "Title"),
+    abstract: childText(serviceEl, "Abstract"),
+    layers: childrenByName(capability, "Layer").map((l) => parseWmsLayer(l, service, {}))
+  };
+}
+
+// ------------------------------------------------------------
+// WMTS
+// ------------------------------------------------------------
+function parseTileMatrixSets(contents) {
+  const sets = new Map();
+
+  childrenByName(contents, "TileMatrixSet").forEach((setEl) => {
+    const id = childText(setEl, "Identifier");
+    const crs = `${childText(setEl, "SupportedCRS")} ${childText(setEl, "WellKnownScaleSet")}`;
+
+    let tilingScheme = null;
+    if (WMTS_MERCATOR_CRS.test(crs)) tilingScheme = "webmercator";
+    else if (WMTS_GEOGRAPHIC_CRS.test(crs)) tilingScheme = "geographic";
+
+    sets.set(id, {
+      id,
+      tilingScheme,
+      labels: childrenByName(setEl, "TileMatrix").map((m) => childText(m, "Identifier"))
+    });
+  });
+
+  return sets;
+}
+
+function parseWmtsLayer(layerEl, sets, kvpUrl) {
+  const name = childText(layerEl, "Identifier");
+  const title = childText(layerEl, "Title") || name;
+  const abstract = childText(layerEl, "Abstract");
+
+  const node = { name, title, abstract, keywords: keywordsOf(layerEl), children: [], config: null };
+
+  // Cesium can only draw Web Mercator and WGS 84 tile matrix sets
+  const linked = childrenByName(layerEl, "TileMatrixSetLink")
+    .map((link) => sets.get(childText(link, "TileMatrixSet")))
+    .filter((s) => s?.tilingScheme);
+  const set = linked.find((s) => s.tilingScheme === "webmercator") || linked[0];
+
+  if (!set) {
+    node.unsupported = "Saknar tile matrix set i Web Mercator eller WGS 84";
+    return node;
+  }
+
+  const formats = childrenByName(layerEl, "Format").map((f) => f.textContent.trim());
+  const format = formats.includes("image/png") ? "image/png" : formats[0] || "image/png";
+
+  const styles = childrenByName(layerEl, "Style");
+  const style =
+    styles.find((s) => s.getAttribute("isDefault") === "true") || styles[0];
+
+  // REST template if the service has one, otherwise KVP
+  const tileResources = childrenByName(layerEl, "ResourceURL").filter(
+    (r) => r.getAttribute("resourceType") === "tile"
+  );
+  const resource =
+    tileResources.find((r) => r.getAttribute("format") === format) || tileResources[0];
+
+  const bbox = firstChild(layerEl, "WGS84BoundingBox");
+  const lower = childText(bbox, "LowerCorner").split(/\s+/).map(Number);
+  const upper = childText(bbox, "UpperCorner").split(/\s+/).map(Number);
+  const rectangle =
+    lower.length === 2 && upper.length === 2 && [...lower, ...upper].every(Number.isFinite)
+      ? { west: lower[0], south: lower[1], east: upper[0], north: upper[1] }
+      : undefined;
+
+  const legendUrl = href(firstChild(style, "LegendURL"));
+
+  node.config = {
+    name,
+    title,
+    type: "WMTS",
+    url: resource?.getAttribute("template") || kvpUrl,
+    layers: name,
+    wmtsStyle: childText(style, "Identifier") || "default",
+    format,
+    tileMatrixSetID: set.id,
+    tileMatrixLabels: set.labels,
+    ...(set.tilingScheme === "geographic" ? { tilingScheme: "geographic" } : {}),
+    ...(abstract ? { infoText: abstract } : {}),
+    ...(legendUrl ? { legendUrl } : {}),
+    ...(rectangle ? { rectangle } : {})
+  };
+
+  return node;
+}
+
+function parseWmts(root, url) {
+  const contents = firstChild(root, "Contents");
+  const sets = parseTileMatrixSets(contents);
+
+  const getTile = childrenByName(firstChild(root, "OperationsMetadata"), "Operation").find(
+    (op) => op.getAttribute("name") === "GetTile"
+  );
+  const kvpUrl = serviceUrl(href(childPath(getTile, "DCP", "HTTP", "Get")) || url);
+
+  const serviceEl = firstChild(root, "ServiceIdentification");
+
+  return {
+    type: "WMTS",
+    title: childText(serviceEl, "Title"),
+    abstract: childText(serviceEl, "Abstract"),
+    layers: childrenByName(contents, "Layer").map((l) => parseWmtsLayer(l, sets, kvpUrl))
+  };
+}
+
+// ------------------------------------------------------------
+// API
+// ------------------------------------------------------------
+/**
+ * Parses a WMS (1.1.1 / 1.3.0) or WMTS 1.0 capabilities document.
+ *
+ * @param {string} xml
+ * @param {string} url - URL the document was loaded from (fallback service URL)
+ * @returns {{ type: "WMS"|"WMTS", title: string, abstract: string, layers: Array<object> }}
+ */
+export function parseCapabilities(xml, url) {
+  const doc = new DOMParser().parseFromString(xml, "application/xml");
+  const root = doc.documentElement;
+
+  if (!root || root.localName === "parsererror" || doc.querySelector("parsererror")) {
+    throw new Error("Svaret är inte giltig XML");
+  }
+
+  if (root.localName === "ServiceExceptionReport" || root.localName === "ExceptionReport") {
+    throw new Error(root.textContent.trim() || "Tjänsten svarade med ett fel");
+  }
+
+  if (root.localName === "Capabilities") return parseWmts(root, url);
+  if (root.localName === "WMS_Capabilities" || root.localName === "WMT_MS_Capabilities") {
+    return parseWms(root, url);
+  }
+
+  throw new Error(`Okänt dokument: ${root.localName}`);
+}
+
+/**
+ * Fetches and parses the capabilities of a service.
+ *
+ * @param {string} url - Service URL or capabilities URL
+ * @param {"WMS"|"WMTS"} [type] - Guessed from the URL when left out
+ * @param {object} [options]
+ * @param {number} [options.timeout=10000] - ms before the request is aborted
+ * @returns {Promise<{ type: string, title: string, abstract: string, layers: Array<object> }>}
+ */
+export async function fetchCapabilities(url, type = guessServiceType(url), { timeout = DEFAULT_TIMEOUT } = {}) {
+  const capsUrl = getCapabilitiesUrl(url, type);
+
+  let res;
+  try {
+    res = await fetch(capsUrl, { signal: AbortSignal.timeout(timeout) });
+  } catch (err) {
+    if (err.name === "TimeoutError") {
+      throw new Error(`Tjänsten svarade inte inom ${Math.round(timeout / 1000)} s`);
+    }
+    throw err;
+  }
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+
+  return parseCapabilities(await res.text(), capsUrl);
+}
+
+/**
+ * Returns all nodes of a layer tree that can be added, depth first.
+ *
+ * @param {Array<object>} nodes
+ * @returns {Array<object>}
+ */
+export function flattenLayers(nodes, result = []) {
+  nodes.forEach((node) => {
+    if (node.config) result.push(node);
+    flattenLayers(node.children, result);
+  });
+  return result;
+}
+
+function toPattern(glob) {
+  const escaped = String(glob).replace(/[.+?^${}()|[\]\\]/g, "\\$&");
+  return new RegExp(`^${escaped.replace(/\*/g, ".*")}$`, "i");
+}
+
+function matchesAny(name, globs) {
+  return globs.some((g) => toPattern(g).test(name));
+}
+
+/**
+ * Replaces entries in config.wmsLayers that have `capabilities` with the
+ * layers of the service. Entries whose service cannot be read are dropped
+ * with a warning, so the rest of the menu still loads.
+ *
+ * @param {object} config - App config
+ * @returns {Promise<void>}
+ */
+export async function expandCapabilityLayers(config) {
+  const entries = config.wmsLayers || [];
+  if (!entries.some((e) => e.capabilities)) return;
+
+  const expanded = await Promise.all(
+    entries.map(async (entry) => {
+      if (!entry.capabilities) return [entry];
+
+      let caps;
+      try {
+        caps = await fetchCapabilities(
+          entry.capabilities,
+          entry.type ? String(entry.type).toUpperCase() : undefined,
+          { timeout: Number(entry.timeout) || DEFAULT_TIMEOUT }
+        );
+      } catch (err) {
+        console.warn(`Could not read capabilities for "${entry.name || entry.capabilities}"`, err);
+        return [];
+      }
+
+      const defaults = { ...entry };
+      ENTRY_KEYS.forEach((key) => delete defaults[key]);
+
+      const include = Array.isArray(entry.include) ? entry.include : null;
+      const exclude = Array.isArray(entry.exclude) ? entry.exclude : [];
+
+      return flattenLayers(caps.layers)
+        .filter(({ name }) => (!include || matchesAny(name, include)) && !matchesAny(name, exclude))
+        .map(({ config: layer }) => ({
+          ...layer,
+          ...defaults,
+          type: layer.type,
+          name: entry.name ? `${entry.name}/${layer.name}` : layer.name
+        }));
+    })
+  );
+
+  config.wmsLayers = expanded.flat();
+}
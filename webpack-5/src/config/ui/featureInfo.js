@@ -0,0 +1,237 @@
+// src/config/ui/featureInfo.js
+import {
+  BoundingSphere,
+  Cartographic,
+  ConstantPositionProperty,
+  Entity,
+  Math as CesiumMath,
+  ScreenSpaceEventHandler,
+  ScreenSpaceEventType,
+  defined
+} from "cesium";
+
+/**
+ * WMS GetFeatureInfo for the layer menu.
+ *
+ * Clicking the globe (where no 3D tile feature or entity was hit) queries all
+ * active WMS layers flagged as queryable and shows the results, grouped per
+ * layer, in Cesium's InfoBox (made draggable by infoBoxMod.js).
+ *
+ * Layer config keys (in `wmsLayers`):
+ *  - queryable     true to include the layer in GetFeatureInfo requests
+ *  - infoFormat    INFO_FORMAT to request (default "application/json").
+ *                  JSON/GeoJSON, GML/XML, text/html and text/plain are handled.
+ *  - featureCount  FEATURE_COUNT, max features per layer (default 10)
+ *  - queryLayers   QUERY_LAYERS if it differs from `layers`
+ */
+
+// Size of the virtual map image the request is made for
+const QUERY_SIZE = 101;
+const QUERY_CENTER = 50;
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Builds a GetFeatureInfo URL for a small bbox centered on the clicked point.
+ *
+ * @param {object} layer - WMS layer config
+ * @param {Cartographic} carto - Clicked position
+ * @param {number} metersPerPixel - Ground resolution at the clicked position
+ * @returns {string}
+ */
+export function buildGetFeatureInfoUrl(layer, carto, metersPerPixel) {
+  const lon = CesiumMath.toDegrees(carto.longitude);
+  const lat = CesiumMath.toDegrees(carto.latitude);
+
+  const halfMeters = Math.max(metersPerPixel, 0.05) * QUERY_CENTER;
+  const dLat = halfMeters / 111320;
+  const dLon = dLat / Math.max(Math.cos(carto.latitude), 0.01);
+
+  const version = layer.parameters?.version || layer.parameters?.VERSION || "1.3.0";
+  const is130 = version === "1.3.0";
+
+  // WMS 1.3.0 + EPSG:4326 uses lat/lon axis order
+  const bbox = is130
+    ? [lat - dLat, lon - dLon, lat + dLat, lon + dLon]
+    : [lon - dLon, lat - dLat, lon + dLon, lat + dLat];
+
+  const queryLayers = layer.queryLayers || layer.layers;
+
+  const params = new URLSearchParams({
+    SERVICE: "WMS",
+    REQUEST: "GetFeatureInfo",
+    VERSION: version,
+    LAYERS: layer.layers,
+    QUERY_LAYERS: queryLayers,
+    STYLES: layer.parameters?.styles || "",
+    BBOX: bbox.join(","),
+    WIDTH: String(QUERY_SIZE),
+    HEIGHT: String(QUERY_SIZE),
+    INFO_FORMAT: layer.infoFormat || "application/json",
+    FEATURE_COUNT: String(layer.featureCount ?? 10),
+    [is130 ? "CRS" : "SRS"]: "EPSG:4326",
+    [is130 ? "I" : "X"]: String(QUERY_CENTER),
+    [is130 ? "J" : "Y"]: String(QUERY_CENTER)
+  });
+
+  // WMS TIME dimension (see timeSeries.js)
+  const time = layer.parameters?.time ?? layer.parameters?.TIME;
+  if (time !== undefined) params.set("TIME", String(time));
+
+  const base = String(layer.url);
+  return `${base}${base.includes("?") ? "&" : "?"}${params.toString()}`;
+}
+
+function propertiesToTable(props) {
+  const rows = Object.entries(props || {})
+    .filter(([, v]) => v !== null && typeof v !== "object")
+    .map(([k, v]) => `<tr><th>${escapeHtml(k)}</th><td>${escapeHtml(v)}</td></tr>`)
+    .join("");
+
+  return rows ? `<table>${rows}</table>` : "";
+}
+
+function parseJson(text) {
+  const json = JSON.parse(text);
+  const features = Array.isArray(json.features) ? json.features : [json];
+  return features.map((f) => propertiesToTable(f.properties)).filter(Boolean);
+}
+
+function parseXml(text) {
+  const doc = new DOMParser().parseFromString(text, "text/xml");
+  if (doc.querySelector("parsererror")) return [];
+
+  // GML feature members (GML 2/3) or ESRI FIELDS elements
+  const members = Array.from(
+    doc.querySelectorAll("featureMember, member, FIELDS")
+  );
+
+  return members
+    .map((member) => {
+      if (member.tagName === "FIELDS") {
+        const props = {};
+        Array.from(member.attributes).forEach((a) => (props[a.name] = a.value));
+        return propertiesToTable(props);
+      }
+
+      const props = {};
+      member.querySelectorAll("*").forEach((el) => {
+        if (el.children.length === 0 && el.textContent.trim()) {
+          props[el.localName] = el.textContent.trim();
+        }
+      });
+      return propertiesToTable(props);
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Converts a GetFeatureInfo response to a list of HTML snippets (one per feature).
+ *
+ * @param {string} text - Response body
+ * @param {string} format - Requested INFO_FORMAT
+ * @returns {string[]}
+ */
+export function parseFeatureInfoResponse(text, format) {
+  const f = String(format).toLowerCase();
+
+  if (f.includes("json")) return parseJson(text);
+  if (f.includes("xml") || f.includes("gml")) return parseXml(text);
+
+  if (f.includes("html")) {
+    // Servers often return an empty <body> when nothing was hit
+    const body = new DOMParser().parseFromString(text, "text/html").body;
+    return body && body.textContent.trim() ? [body.innerHTML] : [];
+  }
+
+  return text.trim() ? [`<pre>${escapeHtml(text.trim())}</pre>`] : [];
+}
+
+/**
+ * Starts GetFeatureInfo handling on left click.
+ *
+ * @param {Viewer} viewer - Cesium Viewer instance
+ * @param {() => object[]} getQueryableLayers - Returns the layer configs that
+ *        are currently on and queryable
+ * @returns {() => void} teardown function
+ */
+export function initWmsFeatureInfo(viewer, getQueryableLayers) {
+  const handler = new ScreenSpaceEventHandler(viewer.scene.canvas);
+  let requestId = 0;
+
+  async function queryLayer(layer, carto, metersPerPixel) {
+    const format = layer.infoFormat || "application/json";
+    const url = buildGetFeatureInfoUrl(layer, carto, metersPerPixel);
+
+    const res = await fetch(url);
+    if (!res.ok) throw new Error(`GetFeatureInfo ${res.status}`);
+
+    return parseFeatureInfoResponse(await res.text(), format);
+  }
+
+  handler.setInputAction(async (movement) => {
+    const layers = getQueryableLayers();
+    if (!layers.length) return;
+
+    // 3D tile features and entities are handled by Cesium's own InfoBox flow
+    const picked = viewer.scene.pick(movement.position);
+    if (defined(picked)) return;
+
+    const ray = viewer.camera.getPickRay(movement.position);
+    const position = ray && viewer.scene.globe.pick(ray, viewer.scene);
+    if (!position) return;
+
+    const myReq = ++requestId;
+
+    const carto = Cartographic.fromCartesian(position);
+    const metersPerPixel = viewer.camera.getPixelSize(
+      new BoundingSphere(position, 0),
+      viewer.scene.drawingBufferWidth,
+      viewer.scene.drawingBufferHeight
+    );
+
+    const results = await Promise.all(
+      layers.map((layer) =>
+        queryLayer(layer, carto, metersPerPixel)
+          .then((features) => ({ layer, features }))
+          .catch((err) => {
+            console.warn(`GetFeatureInfo failed for "${layer.name}"`, err);
+            return { layer, features: [], failed: true };
+          })
+      )
+    );
+
+    // A newer click superseded this one
+    if (myReq !== requestId) return;
+
+    const hits = results.filter((r) => r.features.length || r.failed);
+    if (!hits.length) return;
+
+    const description = hits
+      .map(({ layer, features, failed }) => {
+        const title = escapeHtml(layer.title || layer.name);
+        const body = failed
+          ? "<p>Kunde inte hämta information för lagret.</p>"
+          : features.join("<hr>");
+        return `<h3 class="featureinfo-layer">${title}</h3>${body}`;
+      })
+      .join("");
+
+    viewer.selectedEntity = new Entity({
+      name: "Information från kartlager",
+      description,
+      position: new ConstantPositionProperty(position)
+    });
+  }, ScreenSpaceEventType.LEFT_CLICK);
+
+  return function teardownWmsFeatureInfo() {
+    requestId++;
+    handler.destroy();
+  };
+}
@@ -0,0 +1,504 @@
+// src/config/ui/fileImport.js
+import {
+  Cartesian2,
+  Cartesian3,
+  Cartographic,
+  Matrix4,
+  Resource,
+  Transforms
+} from "cesium";
+
+import { detectGeoJsonCrs, reprojectGeoJson } from "./reproject.js";
+
+/**
+ * Import of the user's own files into the layer menu ("Egna lager").
+ *
+ * Files can be dropped on the map (cesiumContainer) or picked with the
+ * buttons the layer menu shows above its footer. Nothing is uploaded;
+ * everything is read in the browser.
+ *
+ * Supported:
+ *  - GeoJSON (.geojson, .json) – reprojected to WGS 84 when it is in a
+ *    configured CRS (proj4Defs). Files without `crs` and with projected
+ *    coordinates are taken to be in the CRS picked next to the import
+ *    buttons (default `importCrs`, else "EPSG:3006"); the user is told
+ *    which CRS was assumed
+ *  - KML / KMZ
+ *  - CZML
+ *  - glTF / GLB – placed where it was dropped (or at the center of the view)
+ *  - Local 3D Tiles folders (a folder containing tileset.json)
+ *
+ * Folders are read recursively. A folder with a tileset.json becomes one
+ * 3D Tiles layer, a folder with a .gltf/.glb one model, and any other
+ * folder is imported file by file.
+ *
+ * glTF models and local 3D Tiles are served from the dropped files through
+ * a Resource proxy, so relative references (tiles, buffers, textures)
+ * resolve to the user's files.
+ */
+
+// Fake origin for local files; never requested, the proxy maps it to blob: URLs
+const LOCAL_BASE = "https://local-import.invalid/";
+
+// Radius of the bounding sphere used for a placed glTF model (meters)
+const MODEL_BOUNDING_RADIUS = 2000;
+
+const VECTOR_EXTENSIONS = ["geojson", "json", "kml", "kmz", "czml"];
+const MODEL_EXTENSIONS = ["gltf", "glb"];
+
+let importCounter = 0;
+
+function extensionOf(path) {
+  const m = String(path).toLowerCase().match(/\.([a-z0-9]+)$/);
+  return m ? m[1] : "";
+}
+
+function baseName(path) {
+  return String(path).split("/").pop();
+}
+
+function dirName(path) {
+  const i = String(path).lastIndexOf("/");
+  return i === -1 ? "" : path.slice(0, i + 1);
+}
+
+// ------------------------------------------------------------
+// Reading dropped/picked files
+// ------------------------------------------------------------
+function readEntryFile(entry) {
+  return new Promise((resolve, reject) => entry.file(resolve, reject));
+}
+
+function readDirectoryBatch(reader) {
+  return new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+}
+
+/**
+ * Recursively collects { file, path } for a FileSystemEntry.
+ */
+async function collectEntry(entry, prefix, out) {
+  if (entry.isFile) {
+    out.push({ file: await readEntryFile(entry), path: prefix + entry.name });
+    return;
+  }
+
+  if (!entry.isDirectory) return;
+
+  // readEntries returns at most ~100 entries per call
+  const reader = entry.createReader();
+  let batch = await readDirectoryBatch(reader);
+  while (batch.length) {
+    for (const child of batch) {
+      await collectEntry(child, `${prefix}${entry.name}/`, out);
+    }
+    batch = await readDirectoryBatch(reader);
+  }
+}
+
+/**
+ * Returns one bundle of files per dropped item (a file or a whole folder).
+ *
+ * @param {DataTransfer} dataTransfer
+ * @returns {Promise<Array<Array<{file: File, path: string}>>>}
+ */
+async function bundlesFromDataTransfer(dataTransfer) {
+  const entries = Array.from(dataTransfer.items || [])
+    .filter((item) => item.kind === "file")
+    .map((item) => item.webkitGetAsEntry?.())
+    .filter(Boolean);
+
+  // Browsers without the entries API: plain files only
+  if (!entries.length) {
+    return Array.from(dataTransfer.files || []).map((file) => [
+      { file, path: file.name }
+    ]);
+  }
+
+  const bundles = [];
+  for (const entry of entries) {
+    const files = [];
+    await collectEntry(entry, "", files);
+    if (files.length) bundles.push(files);
+  }
+  return bundles;
+}
+
+/**
+ * Bundles from a file input. A folder input gives one bundle,
+ * a file input one bundle per file.
+ */
+function bundlesFromInput(fileList, isFolder) {
+  const files = Array.from(fileList || []);
+
+  if (isFolder) {
+    return files.length
+      ? [files.map((file) => ({ file, path: file.webkitRelativePath || file.name }))]
+      : [];
+  }
+
+  return files.map((file) => [{ file, path: file.name }]);
+}
+
+// ------------------------------------------------------------
+// Local resources (3D Tiles folders and glTF with external files)
+// ------------------------------------------------------------
+function toLocalUrl(path) {
+  return LOCAL_BASE + path.split("/").map(encodeURIComponent).join("/");
+}
+
+/**
+ * Creates a Resource for `entryPath` whose relative references are
+ * resolved against the files in the bundle.
+ *
+ * @param {Array<{file: Blob, path: string}>} files
+ * @param {string} entryPath - Path of the root file (e.g. "tiles/tileset.json")
+ * @returns {{ resource: Resource, dispose: () => void }}
+ */
+function createLocalResource(files, entryPath) {
+  const urls = new Map(); // path -> blob: URL
+  files.forEach(({ file, path }) => urls.set(path, URL.createObjectURL(file)));
+
+  const proxy = {
+    getURL(url) {
+      if (!url.startsWith(LOCAL_BASE)) return url;
+
+      const path = decodeURIComponent(url.slice(LOCAL_BASE.length).split(/[?#]/)[0]);
+      return urls.get(path) || url;
+    }
+  };
+
+  return {
+    resource: new Resource({ url: toLocalUrl(entryPath), proxy }),
+    dispose: () => urls.forEach((u) => URL.revokeObjectURL(u))
+  };
+}
+
+/**
+ * Builds a one-tile tileset.json (3D Tiles 1.1) that shows a glTF model
+ * at `position`. Loading models as tilesets lets them use the same
+ * opacity, zoom and clipping handling as other 3D layers.
+ */
+function createModelTilesetJson(modelPath, position) {
+  const transform = Matrix4.toArray(Transforms.eastNorthUpToFixedFrame(position));
+
+  return JSON.stringify({
+    asset: { version: "1.1" },
+    geometricError: MODEL_BOUNDING_RADIUS,
+    root: {
+      transform,
+      boundingVolume: { sphere: [0, 0, 0, MODEL_BOUNDING_RADIUS] },
+      geometricError: 0,
+      refine: "ADD",
+      content: { uri: encodeURIComponent(baseName(modelPath)) }
+    }
+  });
+}
+
+// ------------------------------------------------------------
+// Layer configs for imported files
+// ------------------------------------------------------------
+function nextLayerName(fileName) {
+  importCounter++;
+  return `user-${importCounter}-${fileName}`;
+}
+
+/**
+ * Projected CRSs from proj4Defs that a file without `crs` can be in.
+ */
+function projectedCrsDefs(config) {
+  return (config.proj4Defs || []).filter((d) => d.code !== "EPSG:4326");
+}
+
+function crsLabel(config, code) {
+  return (config.proj4Defs || []).find((d) => d.code === code)?.label || code;
+}
+
+async function createVectorLayer({ file, path }, config, crsOptions) {
+  const ext = extensionOf(path);
+  const fileName = baseName(path);
+
+  const layer = {
+    name: nextLayerName(fileName),
+    title: fileName,
+    infoText: `Importerad fil: ${fileName}`,
+    style: { clampToGround: true }
+  };
+
+  if (ext === "kml" || ext === "kmz") {
+    return { ...layer, type: ext.toUpperCase(), data: file };
+  }
+
+  const json = JSON.parse(await file.text());
+
+  // CZML is an array of packets starting with the document packet
+  if (ext === "czml" || Array.isArray(json)) {
+    return { ...layer, type: "CZML", data: json };
+  }
+
+  let crs = detectGeoJsonCrs(json, config.proj4Defs, null);
+  if (!crs) {
+    crs = crsOptions.importCrs;
+    crsOptions.assumed.push(fileName);
+    console.warn(`"${fileName}" has no crs, assuming ${crs}`);
+  }
+  const data = reprojectGeoJson(json, crs);
+
+  if (crs !== "EPSG:4326") {
+    layer.infoText += ` (omprojicerad från ${crsLabel(config, crs)})`;
+  }
+
+  return { ...layer, type: "GeoJSON", data };
+}
+
+function createTilesetLayer(files, tilesetPath) {
+  const { resource, dispose } = createLocalResource(files, tilesetPath);
+  const folder = tilesetPath.split("/").slice(-2, -1)[0] || baseName(tilesetPath);
+
+  return {
+    name: nextLayerName(folder),
+    title: folder,
+    infoText: `Importerad 3D Tiles-mapp: ${folder}`,
+    url: resource,
+    dispose
+  };
+}
+
+function createModelLayer(files, modelPath, position) {
+  const fileName = baseName(modelPath);
+  const tilesetPath = `${dirName(modelPath)}__model_tileset.json`;
+
+  const tilesetBlob = new Blob([createModelTilesetJson(modelPath, position)], {
+    type: "application/json"
+  });
+
+  const { resource, dispose } = createLocalResource(
+    [...files, { file: tilesetBlob, path: tilesetPath }],
+    tilesetPath
+  );
+
+  return {
+    name: nextLayerName(fileName),
+    title: fileName,
+    infoText: `Importerad modell: ${fileName}`,
+    url: resource,
+    dispose
+  };
+}
+
+/**
+ * Turns one bundle (a dropped file or folder) into layer configs.
+ */
+async function bundleToLayers(files, config, position, crsOptions) {
+  const byDepth = (a, b) => a.path.split("/").length - b.path.split("/").length;
+
+  const tilesetFile = files
+    .filter(({ path }) => baseName(path).toLowerCase() === "tileset.json")
+    .sort(byDepth)[0];
+  if (tilesetFile) return [createTilesetLayer(files, tilesetFile.path)];
+
+  const layers = [];
+
+  // Each model becomes its own layer; external buffers/textures come from the same bundle
+  files
+    .filter(({ path }) => MODEL_EXTENSIONS.includes(extensionOf(path)))
+    .forEach(({ path }) => layers.push(createModelLayer(files, path, position)));
+
+  for (const entry of files) {
+    if (!VECTOR_EXTENSIONS.includes(extensionOf(entry.path))) continue;
+    layers.push(await createVectorLayer(entry, config, crsOptions));
+  }
+
+  return layers;
+}
+
+/**
+ * Returns the globe position under a screen point, or under the center
+ * of the view when no point is given.
+ */
+function pickImportPosition(viewer, windowPosition) {
+  const scene = viewer.scene;
+  const canvas = scene.canvas;
+
+  const screen =
+    windowPosition || new Cartesian2(canvas.clientWidth / 2, canvas.clientHeight / 2);
+
+  const ray = viewer.camera.getPickRay(screen);
+  const onGlobe = ray && scene.globe.pick(ray, scene);
+  if (onGlobe) return onGlobe;
+
+  // Looking at the sky: use the point below the camera
+  const carto = Cartographic.clone(viewer.camera.positionCartographic);
+  return Cartesian3.fromRadians(carto.longitude, carto.latitude, 0);
+}
+
+// ------------------------------------------------------------
+// Public entry point
+// ------------------------------------------------------------
+/**
+ * Sets up file import: drop zone on the map and picker buttons.
+ * Expects config.proj4Defs to be registered with proj4 (see reproject.js).
+ *
+ * @param {Viewer} viewer - Cesium Viewer instance
+ * @param {object} config - Global config (proj4Defs, importCrs)
+ * @param {(layer: object) => Promise<void>} addUserLayer - Adds a layer config
+ *        to the "Egna lager" group and turns it on
+ * @param {string} [containerId="cesiumContainer"] - Drop target element ID
+ * @returns {{ element: HTMLElement }} picker row for the layer menu
+ */
+export function initFileImport(viewer, config, addUserLayer, containerId = "cesiumContainer") {
+  const crsDefs = projectedCrsDefs(config);
+  let importCrs = config.importCrs || "EPSG:3006";
+  if (crsDefs.length && !crsDefs.some((d) => d.code === importCrs)) {
+    importCrs = crsDefs[0].code;
+  }
+
+  async function importBundles(bundles, windowPosition) {
+    if (!bundles.length) return;
+
+    const position = pickImportPosition(viewer, windowPosition);
+    const failed = [];
+    const unsupported = [];
+    const crsOptions = { importCrs, assumed: [] };
+
+    for (const files of bundles) {
+      let layers;
+      try {
+        layers = await bundleToLayers(files, config, position, crsOptions);
+      } catch (err) {
+        console.warn("Could not read imported file", err);
+        failed.push(files[0].path.split("/")[0]);
+        continue;
+      }
+
+      if (!layers.length) {
+        unsupported.push(files[0].path.split("/")[0]);
+        continue;
+      }
+
+      for (const layer of layers) {
+        try {
+          await addUserLayer(layer);
+        } catch (err) {
+          console.warn(`Could not add imported layer "${layer.title}"`, err);
+          failed.push(layer.title);
+        }
+      }
+    }
+
+    if (failed.length || unsupported.length || crsOptions.assumed.length) {
+      const lines = [];
+      if (failed.length) lines.push(`Kunde inte läsas: ${failed.join(", ")}`);
+      if (unsupported.length) lines.push(`Filformatet stöds inte: ${unsupported.join(", ")}`);
+      if (crsOptions.assumed.length) {
+        lines.push(
+          `Koordinatsystem saknas, tolkades som ${crsLabel(config, importCrs)}: ` +
+            `${crsOptions.assumed.join(", ")}. Välj ett annat koordinatsystem och ` +
+            "importera igen om lagret hamnar fel."
+        );
+      }
+      alert(lines.join("\n"));
+    }
+  }
+
+  // ------------------------------------------------------------
+  // Drop zone
+  // ------------------------------------------------------------
+  const container = document.getElementById(containerId);
+  if (container) {
+    const hasFiles = (ev) => Array.from(ev.dataTransfer?.types || []).includes("Files");
+
+    container.addEventListener("dragover", (ev) => {
+      if (!hasFiles(ev)) return;
+      ev.preventDefault();
+      ev.dataTransfer.dropEffect = "copy";
+      container.classList.add("file-drop-active");
+    });
+
+    container.addEventListener("dragleave", (ev) => {
+      if (!container.contains(ev.relatedTarget)) {
+        container.classList.remove("file-drop-active");
+      }
+    });
+
+    container.addEventListener("drop", async (ev) => {
+      if (!hasFiles(ev)) return;
+      ev.preventDefault();
+      container.classList.remove("file-drop-active");
+
+      const rect = viewer.scene.canvas.getBoundingClientRect();
+      const windowPosition = new Cartesian2(ev.clientX - rect.left, ev.clientY - rect.top);
+
+      try {
+        const bundles = await bundlesFromDataTransfer(ev.dataTransfer);
+        await importBundles(bundles, windowPosition);
+      } catch (err) {
+        console.error("File import failed", err);
+        alert("Kunde inte importera filerna");
+      }
+    });
+  }
+
+  // ------------------------------------------------------------
+  // Picker buttons (layer menu)
+  // ------------------------------------------------------------
+  const element = document.createElement("div");
+  element.className = "file-import";
+
+  const fileInput = document.createElement("input");
+  fileInput.type = "file";
+  fileInput.multiple = true;
+  fileInput.accept = [...VECTOR_EXTENSIONS, ...MODEL_EXTENSIONS]
+    .map((ext) => `.${ext}`)
+    .join(",");
+  fileInput.hidden = true;
+
+  const folderInput = document.createElement("input");
+  folderInput.type = "file";
+  folderInput.webkitdirectory = true;
+  folderInput.hidden = true;
+
+  const fileBtn = document.createElement("button");
+  fileBtn.className = "file-import-button";
+  fileBtn.textContent = "Importera fil";
+  fileBtn.title = "GeoJSON, KML/KMZ, CZML, glTF/GLB";
+
+  const folderBtn = document.createElement("button");
+  folderBtn.className = "file-import-button";
+  folderBtn.textContent = "Importera mapp";
+  folderBtn.title = "Mapp med 3D Tiles (tileset.json) eller glTF";
+
+  fileBtn.addEventListener("click", () => fileInput.click());
+  folderBtn.addEventListener("click", () => folderInput.click());
+
+  fileInput.addEventListener("change", async () => {
+    await importBundles(bundlesFromInput(fileInput.files, false));
+    fileInput.value = "";
+  });
+
+  folderInput.addEventListener("change", async () => {
+    await importBundles(bundlesFromInput(folderInput.files, true));
+    folderInput.value = "";
+  });
+
+  element.append(fileBtn, folderBtn, fileInput, folderInput);
+
+  // CRS for GeoJSON files without `crs` (only when there is a choice)
+  if (crsDefs.length > 1) {
+    const crsSelect = document.createElement("select");
+    crsSelect.className = "file-import-crs";
+    crsSelect.title = "Koordinatsystem för GeoJSON-filer som saknar crs";
+    crsDefs.forEach((d) => {
+      const opt = document.createElement("option");
+      opt.value = d.code;
+      opt.textContent = d.label || d.code;
+      crsSelect.appendChild(opt);
+    });
+    crsSelect.value = importCrs;
+    crsSelect.addEventListener("change", () => {
+      importCrs = crsSelect.value;
+    });
+    element.appendChild(crsSelect);
+  }
+
+  return { element };
+}
@@ -0,0 +1,266 @@
+// src/config/ui/imageryProviderFactory.js
+import {
+  OpenStreetMapImageryProvider,
+  WebMapServiceImageryProvider,
+  WebMapTileServiceImageryProvider,
+  UrlTemplateImageryProvider,
+  SingleTileImageryProvider,
+  TileMapServiceImageryProvider,
+  ArcGisMapServerImageryProvider,
+  WebMercatorTilingScheme,
+  GeographicTilingScheme,
+  ImageryLayer,
+  Rectangle,
+  Credit
+} from "cesium";
+
+import { MvtImageryProvider } from "./mvtImageryProvider.js";
+
+/**
+ * Shared imagery provider factory for the layer menu and the project menu.
+ *
+ * Supported layer types (`layer.type`, or the older `layer.provider` key):
+ *  - "OSM"     -> OpenStreetMap
+ *  - "WMS"     -> WebMapServiceImageryProvider
+ *  - "WMTS"    -> WebMapTileServiceImageryProvider (also `typeOptions.wmtsOptions`)
+ *  - "XYZ"     -> UrlTemplateImageryProvider ({z}/{x}/{y} templates)
+ *  - "TMS"     -> TileMapServiceImageryProvider, or a template with {reverseY}
+ *  - "ArcGIS"  -> ArcGisMapServerImageryProvider (MapServer REST endpoint)
+ *  - "single"  -> SingleTileImageryProvider (needs `rectangle`)
+ *  - "MVT"     -> Mapbox Vector Tiles drawn with a Mapbox GL style (see mvtImageryProvider.js)
+ *
+ * Common per-layer options:
+ *  - credit        Attribution text shown in the Cesium credit display
+ *  - minimumLevel  Lowest tile level requested from the service
+ *  - maximumLevel  Highest tile level requested from the service
+ *  - rectangle     { west, south, east, north } in degrees
+ *
+ * Example WMTS layer (Lantmäteriet-style matrix set):
+ * {
+ *   "name": "topowebb",
+ *   "type": "WMTS",
+ *   "url": "https://minkarta.lantmateriet.se/map/topowebbcache",
+ *   "layers": "topowebb",
+ *   "tileMatrixSetID": "3857",
+ *   "tileMatrixLabelCount": 16,
+ *   "format": "image/png",
+ *   "credit": "© Lantmäteriet",
+ *   "maximumLevel": 15
+ * }
+ */
+
+/**
+ * Returns the normalized imagery type of a layer config, or null when the
+ * layer is not an imagery layer (e.g. a 3D tileset).
+ *
+ * @param {object} layer - Layer configuration object
+ * @returns {"OSM"|"WMS"|"WMTS"|"XYZ"|"TMS"|"ARCGIS"|"SINGLE"|"MVT"|null}
+ */
+export function getImageryType(layer) {
+  if (!layer) return null;
+
+  const raw = String(layer.type || layer.provider || "").toUpperCase();
+
+  switch (raw) {
+    case "OSM":
+    case "WMS":
+    case "WMTS":
+    case "XYZ":
+    case "TMS":
+      return raw;
+    case "ARCGIS":
+    case "ARCGISMAPSERVER":
+      return "ARCGIS";
+    case "SINGLE":
+      return "SINGLE";
+    case "MVT":
+      return "MVT";
+    default:
+      break;
+  }
+
+  // Older configs without an explicit type
+  if (layer.typeOptions?.wmtsOptions) return "WMTS";
+  if (typeof layer.url === "string" && /\{z\}|\{x\}|\{y\}/.test(layer.url)) {
+    return "XYZ";
+  }
+
+  return null;
+}
+
+/**
+ * True if the layer config describes a 2D imagery layer draped on the globe.
+ *
+ * @param {object} layer - Layer configuration object
+ * @returns {boolean}
+ */
+export function isImageryLayer(layer) {
+  return getImageryType(layer) !== null;
+}
+
+function toRectangle(r) {
+  if (!r) return undefined;
+  return Rectangle.fromDegrees(r.west, r.south, r.east, r.north);
+}
+
+function toTilingScheme(name) {
+  if (!name) return undefined;
+  return String(name).toLowerCase() === "geographic"
+    ? new GeographicTilingScheme()
+    : new WebMercatorTilingScheme();
+}
+
+/**
+ * Collects the options shared by all tiled providers.
+ */
+function commonOptions(layer) {
+  const opts = {};
+
+  if (layer.credit) opts.credit = new Credit(layer.credit);
+  if (Number.isFinite(layer.minimumLevel)) opts.minimumLevel = layer.minimumLevel;
+  if (Number.isFinite(layer.maximumLevel)) opts.maximumLevel = layer.maximumLevel;
+  if (layer.rectangle) opts.rectangle = toRectangle(layer.rectangle);
+  if (layer.tilingScheme) opts.tilingScheme = toTilingScheme(layer.tilingScheme);
+  if (layer.subdomains) opts.subdomains = layer.subdomains;
+
+  return opts;
+}
+
+/**
+ * Builds tile matrix labels for WMTS services where the matrix identifiers
+ * are not plain zoom levels, e.g. "EPSG:3857:0", "EPSG:3857:1", ...
+ */
+function buildTileMatrixLabels(layer) {
+  if (Array.isArray(layer.tileMatrixLabels)) return layer.tileMatrixLabels;
+
+  const count = layer.tileMatrixLabelCount;
+  if (!Number.isFinite(count) || count <= 0) return undefined;
+
+  const prefix = layer.tileMatrixLabelPrefix || "";
+  return Array.from({ length: count }, (_, i) => `${prefix}${i}`);
+}
+
+function createWmtsProvider(layer) {
+  // Full Cesium options object passed straight through (older project configs)
+  if (layer.typeOptions?.wmtsOptions) {
+    return new WebMapTileServiceImageryProvider({
+      ...commonOptions(layer),
+      ...layer.typeOptions.wmtsOptions
+    });
+  }
+
+  return new WebMapTileServiceImageryProvider({
+    ...commonOptions(layer),
+    url: layer.url,
+    layer: layer.layers || layer.layer,
+    style: layer.wmtsStyle || "default",
+    format: layer.format || "image/png",
+    tileMatrixSetID: layer.tileMatrixSetID,
+    tileMatrixLabels: buildTileMatrixLabels(layer)
+  });
+}
+
+/**
+ * Creates an imagery provider from a layer config.
+ *
+ * Most providers are created synchronously. TMS (without a URL template) and
+ * ArcGIS MapServer read service metadata first, and MVT may load its style,
+ * so a Promise is returned for those. Use createImageryLayer() when the caller does not care which.
+ *
+ * @param {object} layer - Layer configuration object
+ * @returns {ImageryProvider|Promise<ImageryProvider>|null}
+ */
+export function createImageryProvider(layer) {
+  const type = getImageryType(layer);
+
+  switch (type) {
+    case "OSM":
+      return new OpenStreetMapImageryProvider({
+        ...(layer.url ? { url: layer.url } : {}),
+        ...commonOptions(layer)
+      });
+
+    case "WMS":
+      return new WebMapServiceImageryProvider({
+        ...commonOptions(layer),
+        url: layer.url,
+        layers: layer.layers,
+        parameters: layer.parameters || {},
+        // GetFeatureInfo is handled by featureInfo.js, grouped per layer
+        enablePickFeatures: false
+      });
+
+    case "WMTS":
+      return createWmtsProvider(layer);
+
+    case "XYZ":
+      return new UrlTemplateImageryProvider({
+        ...commonOptions(layer),
+        url: layer.url
+      });
+
+    case "TMS":
+      // Template URLs can express TMS directly through {reverseY}
+      if (/\{z\}|\{x\}|\{y\}|\{reverseY\}/.test(layer.url || "")) {
+        return new UrlTemplateImageryProvider({
+          ...commonOptions(layer),
+          url: layer.url
+        });
+      }
+      return TileMapServiceImageryProvider.fromUrl(layer.url, {
+        ...commonOptions(layer),
+        fileExtension: layer.fileExtension || "png"
+      });
+
+    case "ARCGIS":
+      return ArcGisMapServerImageryProvider.fromUrl(layer.url, {
+        ...commonOptions(layer),
+        layers: layer.layers,
+        enablePickFeatures: false
+      });
+
+    case "SINGLE":
+      if (!layer.rectangle) {
+        console.warn(`Single tile layer "${layer.name}" saknar rectangle`);
+        return null;
+      }
+      return new SingleTileImageryProvider({
+        url: layer.url,
+        rectangle: toRectangle(layer.rectangle),
+        ...(layer.credit ? { credit: new Credit(layer.credit) } : {})
+      });
+
+    case "MVT":
+      return MvtImageryProvider.fromConfig(layer);
+
+    default:
+      console.warn("Unknown imagery type:", layer?.type ?? layer?.provider);
+      return null;
+  }
+}
+
+/**
+ * Creates an ImageryLayer (not yet added to the viewer) from a layer config.
+ * Works for both sync and async providers.
+ *
+ * @param {object} layer - Layer configuration object
+ * @param {object} [options] - ImageryLayer constructor options (alpha, show, ...)
+ * @returns {ImageryLayer|null}
+ */
+export function createImageryLayer(layer, options = {}) {
+  let provider;
+  try {
+    provider = createImageryProvider(layer);
+  } catch (e) {
+    console.warn(`Could not create imagery provider for "${layer?.name}"`, e);
+    return null;
+  }
+
+  if (!provider) return null;
+
+  if (typeof provider.then === "function") {
+    return ImageryLayer.fromProviderAsync(provider, options);
+  }
+
+  return new ImageryLayer(provider, options);
+}
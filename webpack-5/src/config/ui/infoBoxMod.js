@@ -292,6 +292,21 @@ export default function makeCesiumInfoBoxDraggable(viewer) {
         tr:last-child th, tr:last-child td {
           border-bottom: none;
         }
+
+        /* GetFeatureInfo results, one heading per WMS layer (featureInfo.js) */
+        .featureinfo-layer {
+          margin: 10px 0 4px;
+          font-size: 14px;
+        }
+
+        .featureinfo-layer:first-child {
+          margin-top: 0;
+        }
+
+        pre {
+          white-space: pre-wrap;
+          font-size: 12px;
+        }
       `;
       doc.head.appendChild(style);
     };
@@ -1,37 +1,113 @@
 // src/ui/layerMenu.js
 
+import { Cesium3DTileset, Rectangle } from "cesium";
+
+import {
+  createImageryLayer,
+  getImageryType,
+  isImageryLayer
+} from "./imageryProviderFactory.js";
+
+import {
+  isVectorLayer,
+  loadVectorDataSource,
+  applyVectorOpacity
+} from "./vectorLayerLoader.js";
+
+import {
+  getTilesetStyles,
+  getDefaultTilesetStyle,
+  buildTilesetStyle
+} from "./tilesetStyle.js";
+
 import {
-  OpenStreetMapImageryProvider,
-  WebMapServiceImageryProvider,
-  Cesium3DTileset,
-  Cesium3DTileStyle,
-} from "cesium";
+  createTilesetFilterEditor,
+  buildFilterExpression
+} from "./tilesetFilter.js";
+
+import {
+  isTimeLayer,
+  getTimeSteps,
+  getDefaultTimeValue,
+  getTimeStepLayer,
+  getTimeOptions,
+  createTimeSeriesLayers,
+  crossFadeImagery,
+  createTimeControl
+} from "./timeSeries.js";
+
+import { renderLegend } from "./legend.js";
+import { initWmsFeatureInfo } from "./featureInfo.js";
+import { createActiveLayersPanel } from "./activeLayersPanel.js";
+import { createAttributeTable } from "./attributeTable.js";
+import { initFileImport } from "./fileImport.js";
+import { createServiceCatalog } from "./serviceCatalog.js";
+import { createLayerSearch, keywordsText, stripHtml } from "./layerSearch.js";
+import { getProjectCategories } from "./projectFilter.js";
+import { createMemoryBudget, formatBytes } from "./memoryBudget.js";
+import {
+  applyTilesetTransform,
+  createHeightOffsetControl,
+  getTilesetTransform,
+  isAdminMode
+} from "./tilesetTransform.js";
+import { loadWfsDataSource } from "./wfsLayer.js";
+import { registerProj4Defs } from "./reproject.js";
+
+import {
+  createLayerStatus,
+  trackTilesetStatus,
+  trackImageryStatus,
+  trackDataSourceStatus,
+  createPendingTilesIndicator
+} from "./layerStatus.js";
 
 /**
  * Initializes the layer menu UI.
  *
  * Features:
- *  - Background layer switching (OSM / WMS)
- *  - Hierarchical group structure for tilesets and WMS layers
- *  - Lazy loading of 3D tilesets and WMS imagery
+ *  - Background layer switching (OSM / WMS / WMTS / XYZ / TMS / ArcGIS)
+ *  - Hierarchical group structure for tilesets, imagery and vector layers
+ *  - Lazy loading of 3D tilesets and imagery (see imageryProviderFactory.js)
+ *  - GeoJSON / KML / CZML vector layers with styling (see vectorLayerLoader.js)
+ *  - WFS layers loaded for the area in view (see wfsLayer.js)
+ *  - WMS TIME layers and time series groups with a year slider and autoplay (see timeSeries.js)
  *  - Per-layer opacity control
+ *  - Attribute-driven 3D Tiles styling with switchable named styles (see tilesetStyle.js)
+ *  - Attribute filter (query builder) per tileset, kept in shared links (see tilesetFilter.js)
+ *  - Height offset, rotation and translation per tileset, with an admin
+ *    slider for the height offset (see tilesetTransform.js)
  *  - Zoom-to-layer functionality
- *  - Info panels for metadata
+ *  - Info panels for metadata and legends (WMS GetLegendGraphic / style conditions)
+ *  - Collapsible combined legend for all active layers
+ *  - Attribute table for loaded tileset/vector features (see attributeTable.js)
+ *  - WMS GetFeatureInfo on click for layers with "queryable": true
+ *  - "Tända lager": list of enabled layers with drag-to-reorder for imagery
+ *  - Per-layer load state, tile progress and errors with retry (see layerStatus.js)
+ *  - Global count of pending tiles next to the menu button
+ *  - Shared memory budget for tilesets, memory use per tileset and
+ *    suspension of tilesets far from the camera (see memoryBudget.js)
+ *  - "Egna lager": user files dropped on the map or picked (see fileImport.js)
+ *  - "Lägg till tjänst": WMS/WMTS layers picked from GetCapabilities (see serviceCatalog.js)
  *  - Group-level toggles (turn all layers on/off)
- *  - Search bar for quick layer lookup
+ *  - Search over layers, groups, keywords, info texts and projects, with
+ *    typo/å-ä-ö tolerant matching and keyboard navigation (see layerSearch.js)
  *  - Autoload of layers with "visible-at-start": true
- *  - Maximum of 3 group levels
+ *  - Any number of group levels; collapsed subtrees are rendered on first open
+ *  - getState()/applyState() for shared links (see shareMap.js)
  *  - CSS hooks for different header colors per group level
  *
  * @param {Viewer} viewer - Cesium Viewer instance
  * @param {object} config - Layer configuration object
+ * @returns {{
+ *   getState: () => object,
+ *   applyState: (state: object) => void,
+ *   addUserLayer: (layer: object, group?: {name: string, title: string}) => Promise<void>,
+ *   getActiveLayers: () => Array<{entry: object, object: any, isImagery: boolean}>,
+ *   onLayersChanged: (callback: () => void) => () => void
+ * }}
  */
 export default function initLayerMenu(viewer, config) {
-  // ------------------------------------------------------------
-  // Constants
-  // ------------------------------------------------------------
-  const MAX_GROUP_LEVELS = 3;
-
   // ------------------------------------------------------------
   // DOM references
   // ------------------------------------------------------------
@@ -47,50 +123,87 @@ export default function initLayerMenu(viewer, config) {
   // State containers
   // ------------------------------------------------------------
   let currentBgLayer = null;
+  let currentBgName = null;
 
   // Loaded layer instances
   const loadedTilesets = {}; // name -> Cesium3DTileset
-  const loadedWMSImagery = {}; // name -> ImageryLayer
+  const loadedImagery = {}; // name -> ImageryLayer
+  const loadedDataSources = {}; // name -> DataSource
 
-  // Tracks tilesets currently loading to avoid duplicate loads
+  // Tracks tilesets/data sources currently loading to avoid duplicate loads
   const loadingTilesets = {}; // name -> Promise<Cesium3DTileset | null>
+  const loadingDataSources = {}; // name -> Promise<DataSource | null>
 
   // Tracks the desired visibility state of each layer
   // This makes async loading safer if the user toggles quickly
   const layerVisibilityState = {}; // name -> boolean
 
+  // Active named style per tileset (see tilesetStyle.js)
+  const activeTilesetStyle = {}; // name -> style definition
+
+  // Attribute filter per tileset and its editor in the info panel (see tilesetFilter.js)
+  const tilesetFilters = {}; // name -> filter
+  const filterEditors = {}; // name -> editor
+
+  // Selected year, slider and running cross-fade per time layer (see timeSeries.js)
+  const timeValues = {}; // name -> step value
+  const timeControls = {}; // name -> time control
+  const timeFades = {}; // name -> { promise, finish }
+
+  // Height offsets set with the admin slider (see tilesetTransform.js)
+  const heightOffsets = {}; // name -> meters
+
   // Search entries
   const tilesetEntries = [];
 
+  // Load/error status per layer row and the listeners feeding it
+  const layerStatus = {}; // name -> status (see layerStatus.js)
+  const statusTrackers = {}; // name -> () => void (removes listeners)
+
+  // Callbacks run after layers were turned on/off (see onLayersChanged)
+  const layerChangeListeners = new Set();
+
   // Stores each group's sync function so a whole subtree can be re-synced after bulk operations
   const groupSyncMap = new WeakMap();
 
   const tilesetClipMgr = config.tilesetClipMgr;
 
+  // WFS layers and imported files are reprojected with the configured CRS
+  registerProj4Defs(config.proj4Defs);
+
   // ------------------------------------------------------------
   // Validation helpers
   // ------------------------------------------------------------
   /**
-   * Validates that the group hierarchy does not exceed MAX_GROUP_LEVELS.
-   *
-   * level = 1 means root group level
+   * Checks the group tree for config problems. Problems are collected per
+   * group (shown on its header) and logged, but never stop the menu.
    */
-  function validateGroupDepth(groups, level = 1, path = []) {
+  function validateGroups(groups, path = [], seenNames = new Set()) {
     if (!Array.isArray(groups)) return;
 
     groups.forEach((group) => {
       const label = group.title || group.name || "Unnamed group";
       const nextPath = [...path, label];
+      const warnings = [];
+
+      if (!group.name) {
+        warnings.push("Gruppen saknar name och kan inte innehålla lager");
+      } else if (seenNames.has(group.name)) {
+        warnings.push(`Gruppnamnet "${group.name}" används av flera grupper`);
+      } else {
+        seenNames.add(group.name);
+      }
 
-      if (level > MAX_GROUP_LEVELS) {
-        throw new Error(
-          `Max ${MAX_GROUP_LEVELS} group levels are allowed. Too deep group path: ${nextPath.join(
-            " > "
-          )}`
-        );
+      if (group.groups !== undefined && !Array.isArray(group.groups)) {
+        warnings.push("groups måste vara en lista – undergrupper ignoreras");
+      }
+
+      if (warnings.length) {
+        groupWarnings.set(group, warnings);
+        console.warn(`Layer menu group "${nextPath.join(" > ")}":`, warnings.join("; "));
       }
 
-      validateGroupDepth(group.groups, level + 1, nextPath);
+      validateGroups(group.groups, nextPath, seenNames);
     });
   }
 
@@ -121,21 +234,126 @@ export default function initLayerMenu(viewer, config) {
     checkbox.dispatchEvent(new Event("change", { bubbles: true }));
   }
 
+  /**
+   * The opacity slider of a layer item. Time layers have a year slider in
+   * the same item, so the slider is found by its class.
+   */
+  function getOpacitySlider(item) {
+    return item?.querySelector("input.opacity-slider") || null;
+  }
+
   /**
    * Reads the current opacity slider value from a layer item.
    */
   function getOpacityFromItem(item) {
-    const slider = item?.querySelector('input[type="range"]');
+    const slider = getOpacitySlider(item);
     return slider ? parseFloat(slider.value) : 1;
   }
 
   /**
-   * Applies opacity to a 3D tileset using Cesium style color alpha.
+   * Applies the tileset's active thematic style merged with the opacity
+   * and the attribute filter. The opacity is folded into the style's color
+   * alpha and the filter into its show expression, so conditions and show
+   * expressions from index.json are kept.
    */
-  function applyTilesetOpacity(tsObj, opacity) {
-    tsObj.style = new Cesium3DTileStyle({
-      color: `color('white', ${opacity})`,
-    });
+  function applyTilesetStyle(layer, tsObj, opacity) {
+    if (!activeTilesetStyle[layer.name]) {
+      activeTilesetStyle[layer.name] = getDefaultTilesetStyle(layer);
+    }
+
+    tsObj.style = buildTilesetStyle(
+      activeTilesetStyle[layer.name],
+      opacity,
+      buildFilterExpression(tilesetFilters[layer.name])
+    );
+  }
+
+  /**
+   * Returns the tileset transform from config, with the height offset from
+   * the admin slider if it has been moved.
+   */
+  function getTransform(layer) {
+    const transform = getTilesetTransform(layer);
+    if (Number.isFinite(heightOffsets[layer.name])) {
+      transform.heightOffset = heightOffsets[layer.name];
+    }
+    return transform;
+  }
+
+  /**
+   * Sets (or clears, with null) a tileset's attribute filter and restyles
+   * the tileset if it is loaded.
+   */
+  function setTilesetFilter(layer, filter, item) {
+    if (filter) tilesetFilters[layer.name] = filter;
+    else delete tilesetFilters[layer.name];
+
+    const tsObj = loadedTilesets[layer.name];
+    if (tsObj) applyTilesetStyle(layer, tsObj, getOpacityFromItem(item));
+  }
+
+  /**
+   * Returns the style definition a legend should be built from, or undefined
+   * for layers that are not tilesets.
+   */
+  function getLegendStyle(layer) {
+    if (isImageryLayer(layer) || isVectorLayer(layer)) return undefined;
+    return activeTilesetStyle[layer.name] || getDefaultTilesetStyle(layer);
+  }
+
+  /**
+   * Returns the loaded Cesium object for a layer, if any.
+   * (ImageryLayer, DataSource or Cesium3DTileset)
+   */
+  function getLoadedObject(layer) {
+    if (isImageryLayer(layer)) return loadedImagery[layer.name];
+    if (isVectorLayer(layer)) return loadedDataSources[layer.name];
+    return loadedTilesets[layer.name];
+  }
+
+  /**
+   * Zooms to a layer. Layers with a configured `rectangle` (e.g. WFS,
+   * which only holds the features in view) fly to that instead.
+   */
+  function zoomToLayer(layer, target) {
+    const r = layer.rectangle;
+    if (r) {
+      return viewer.camera.flyTo({
+        destination: Rectangle.fromDegrees(r.west, r.south, r.east, r.north)
+      });
+    }
+    return viewer.zoomTo(target);
+  }
+
+  /**
+   * Returns all enabled layers that are loaded, with their Cesium object.
+   */
+  function getActiveLayers() {
+    return tilesetEntries
+      .filter((e) => e.checkbox.checked && getLoadedObject(e.layer))
+      .map((e) => ({
+        entry: e,
+        object: getLoadedObject(e.layer),
+        isImagery: e.isImagery,
+      }));
+  }
+
+  /**
+   * Registers a callback run whenever layers were turned on/off
+   * (e.g. the swipe tool). Returns a function that removes it.
+   */
+  function onLayersChanged(callback) {
+    layerChangeListeners.add(callback);
+    return () => layerChangeListeners.delete(callback);
+  }
+
+  /**
+   * Called after a layer was turned on/off so derived views stay current.
+   */
+  function onLayerStateChanged() {
+    refreshCombinedLegend();
+    activeLayersPanel.refresh();
+    layerChangeListeners.forEach((callback) => callback());
   }
 
   /**
@@ -162,12 +380,99 @@ export default function initLayerMenu(viewer, config) {
     });
   }
 
+  /**
+   * Removes the load/error listeners of a layer, if any.
+   */
+  function stopStatusTracking(name) {
+    statusTrackers[name]?.();
+    delete statusTrackers[name];
+  }
+
+  /**
+   * Turns a layer off and on again through its checkbox (retry button).
+   */
+  function retryLayer(name) {
+    const entry = tilesetEntries.find((e) => e.name === name);
+    if (!entry) return;
+
+    setCheckboxState(entry.checkbox, false);
+    setCheckboxState(entry.checkbox, true);
+  }
+
+  /**
+   * Returns the config an imagery layer is created from; for time layers
+   * that is the selected year.
+   */
+  function getImageryConfig(layer) {
+    return isTimeLayer(layer)
+      ? getTimeStepLayer(layer, timeValues[layer.name])
+      : layer;
+  }
+
+  /**
+   * Switches a time layer to another year. A loaded layer is replaced by a
+   * new imagery layer at the same draw position, cross-faded if configured.
+   */
+  function setLayerTime(layer, item, value) {
+    if (!getTimeSteps(layer).some((s) => s.value === value)) return;
+    if (timeValues[layer.name] === value) return;
+
+    timeValues[layer.name] = value;
+    timeControls[layer.name]?.setValue(value);
+
+    const oldLayer = loadedImagery[layer.name];
+    if (!oldLayer) return;
+
+    // A switch still fading is completed first
+    timeFades[layer.name]?.finish();
+
+    const newLayer = createImageryLayer(getImageryConfig(layer));
+    if (!newLayer) return;
+
+    const opacity = getOpacityFromItem(item);
+    const { crossFade, fadeDuration } = getTimeOptions(layer);
+
+    newLayer.splitDirection = oldLayer.splitDirection;
+    newLayer.alpha = crossFade ? 0 : opacity;
+    viewer.imageryLayers.add(newLayer, viewer.imageryLayers.indexOf(oldLayer) + 1);
+    loadedImagery[layer.name] = newLayer;
+
+    const status = layerStatus[layer.name];
+    if (status) {
+      stopStatusTracking(layer.name);
+      status.clear();
+      statusTrackers[layer.name] = trackImageryStatus(newLayer, status, () =>
+        retryLayer(layer.name)
+      );
+    }
+
+    const removeOld = () => {
+      if (viewer.imageryLayers.contains(oldLayer)) {
+        viewer.imageryLayers.remove(oldLayer, true);
+      }
+    };
+
+    if (crossFade) {
+      const fade = crossFadeImagery(viewer, oldLayer, newLayer, opacity, fadeDuration);
+      timeFades[layer.name] = fade;
+      fade.promise.then(() => {
+        removeOld();
+        if (timeFades[layer.name] === fade) delete timeFades[layer.name];
+      });
+    } else {
+      removeOld();
+    }
+
+    onLayerStateChanged();
+  }
+
   // ------------------------------------------------------------
   // Layer activation helpers
   // ------------------------------------------------------------
   /**
    * Enables a layer and returns the created/loaded Cesium object.
-   * - WMS  -> ImageryLayer
+   * - Imagery (WMS, WMTS, XYZ, ...) -> ImageryLayer
+   * - Vector (GeoJSON, KML, CZML)   -> DataSource
    * - 3D   -> Cesium3DTileset
    *
    * The helper is shared by:
@@ -178,24 +483,33 @@ export default function initLayerMenu(viewer, config) {
    *  - search results
    */
   function enableLayer(layer, item) {
-    const isWMS = layer.type === "WMS";
+    const isImagery = isImageryLayer(layer);
     const opacity = getOpacityFromItem(item);
+    const status = layerStatus[layer.name];
 
     layerVisibilityState[layer.name] = true;
 
-    if (isWMS) {
-      let imgLayer = loadedWMSImagery[layer.name];
+    if (isImagery) {
+      let imgLayer = loadedImagery[layer.name];
 
-      // Reuse existing WMS layer if already loaded
+      // Reuse existing imagery layer if already loaded
       if (!imgLayer) {
-        const provider = new WebMapServiceImageryProvider({
-          url: layer.url,
-          layers: layer.layers,
-          parameters: layer.parameters || {},
-        });
+        imgLayer = createImageryLayer(getImageryConfig(layer));
+        if (!imgLayer) {
+          return Promise.reject(
+            new Error(`Unsupported imagery layer type: ${layer.type}`)
+          );
+        }
+
+        viewer.imageryLayers.add(imgLayer);
+        loadedImagery[layer.name] = imgLayer;
 
-        imgLayer = viewer.imageryLayers.addImageryProvider(provider);
-        loadedWMSImagery[layer.name] = imgLayer;
+        if (status) {
+          stopStatusTracking(layer.name);
+          statusTrackers[layer.name] = trackImageryStatus(imgLayer, status, () =>
+            retryLayer(layer.name)
+          );
+        }
       }
 
       imgLayer.alpha = opacity;
@@ -204,10 +518,14 @@ export default function initLayerMenu(viewer, config) {
       return Promise.resolve(imgLayer);
     }
 
+    if (isVectorLayer(layer)) {
+      return enableVectorLayer(layer, item, opacity, status);
+    }
+
     // Reuse existing tileset if already loaded
     if (loadedTilesets[layer.name]) {
       const tsObj = loadedTilesets[layer.name];
-      applyTilesetOpacity(tsObj, opacity);
+      applyTilesetStyle(layer, tsObj, opacity);
       item?.classList.add("active");
       return Promise.resolve(tsObj);
     }
@@ -218,7 +536,7 @@ export default function initLayerMenu(viewer, config) {
         if (!tsObj) return null;
 
         // Re-apply opacity in case the slider changed while loading
-        applyTilesetOpacity(tsObj, getOpacityFromItem(item));
+        applyTilesetStyle(layer, tsObj, getOpacityFromItem(item));
 
         if (layerVisibilityState[layer.name]) {
           item?.classList.add("active");
@@ -229,6 +547,8 @@ export default function initLayerMenu(viewer, config) {
     }
 
     // Start loading the tileset
+    status?.setLoading(true);
+
     loadingTilesets[layer.name] = loadTileset(layer)
       .then((tsObj) => {
         // If the layer was turned off while loading, do not add it
@@ -238,76 +558,198 @@ export default function initLayerMenu(viewer, config) {
 
         viewer.scene.primitives.add(tsObj);
         applyTilesetPerformanceSettings(tsObj);
-        applyTilesetOpacity(tsObj, opacity);
+        applyTilesetTransform(tsObj, getTransform(layer));
+        applyTilesetStyle(layer, tsObj, opacity);
 
         loadedTilesets[layer.name] = tsObj;
+        memoryBudget.add(layer.name, tsObj, { suspend: layer.suspend !== false });
         tilesetClipMgr?.registerTileset(tsObj);
+        filterEditors[layer.name]?.setTileset(tsObj);
         item?.classList.add("active");
 
+        // Tile progress/failures in the row and in the global counter
+        stopStatusTracking(layer.name);
+        const stopPending = pendingTiles.watchTileset(tsObj);
+        const stopStatus = status
+          ? trackTilesetStatus(tsObj, status, () => retryLayer(layer.name))
+          : null;
+        statusTrackers[layer.name] = () => {
+          stopPending();
+          stopStatus?.();
+        };
+
         return tsObj;
       })
       .finally(() => {
+        status?.setLoading(false);
         delete loadingTilesets[layer.name];
       });
 
     return loadingTilesets[layer.name];
   }
 
+  /**
+   * Loads (or reuses) a vector data source. Mirrors the tileset flow so
+   * quick on/off toggling while loading is handled the same way.
+   */
+  function enableVectorLayer(layer, item, opacity, status) {
+    const existing = loadedDataSources[layer.name];
+    if (existing) {
+      applyVectorOpacity(existing, opacity);
+      item?.classList.add("active");
+      return Promise.resolve(existing);
+    }
+
+    if (loadingDataSources[layer.name]) {
+      return loadingDataSources[layer.name].then((ds) => {
+        if (!ds) return null;
+
+        applyVectorOpacity(ds, getOpacityFromItem(item));
+
+        if (layerVisibilityState[layer.name]) {
+          item?.classList.add("active");
+        }
+
+        return ds;
+      });
+    }
+
+    status?.setLoading(true);
+
+    const load =
+      String(layer.type).toUpperCase() === "WFS"
+        ? loadWfsDataSource(layer, viewer)
+        : loadVectorDataSource(layer, viewer);
+
+    loadingDataSources[layer.name] = load
+      .then(async (ds) => {
+        // If the layer was turned off while loading, do not add it
+        if (layerVisibilityState[layer.name] !== true) {
+          return null;
+        }
+
+        // Data sources that keep loading after being added (WFS) report here
+        if (status) {
+          stopStatusTracking(layer.name);
+          statusTrackers[layer.name] = trackDataSourceStatus(ds, status, () =>
+            retryLayer(layer.name)
+          );
+        }
+
+        await viewer.dataSources.add(ds);
+        applyVectorOpacity(ds, getOpacityFromItem(item));
+
+        loadedDataSources[layer.name] = ds;
+        item?.classList.add("active");
+
+        return ds;
+      })
+      .finally(() => {
+        status?.setLoading(false);
+        delete loadingDataSources[layer.name];
+      });
+
+    return loadingDataSources[layer.name];
+  }
+
   /**
    * Disables a layer and removes it from Cesium if currently loaded.
    */
   function disableLayer(layer, item) {
-    const isWMS = layer.type === "WMS";
+    const isImagery = isImageryLayer(layer);
 
     layerVisibilityState[layer.name] = false;
 
-    if (isWMS) {
-      const imgLayer = loadedWMSImagery[layer.name];
+    stopStatusTracking(layer.name);
+    layerStatus[layer.name]?.clear();
+    attributeTable.detach(layer.name);
+
+    if (isImagery) {
+      // Time layers: stop autoplay and drop the layer being faded out
+      timeControls[layer.name]?.stop();
+      timeFades[layer.name]?.finish();
+
+      const imgLayer = loadedImagery[layer.name];
       if (imgLayer) {
         viewer.imageryLayers.remove(imgLayer, true);
-        delete loadedWMSImagery[layer.name];
+        delete loadedImagery[layer.name];
       }
 
       item?.classList.remove("active");
       return;
     }
 
-    const tsObj = loadedTilesets[layer.name];
-    if (tsObj) {
-      viewer.scene.primitives.remove(tsObj);
-      tilesetClipMgr?.unregisterTileset(tsObj);
-      delete loadedTilesets[layer.name];
+    if (isVectorLayer(layer)) {
+      const ds = loadedDataSources[layer.name];
+      if (ds) {
+        viewer.dataSources.remove(ds, true);
+        delete loadedDataSources[layer.name];
+      }
+
+      item?.classList.remove("active");
+      return;
     }
 
+    memoryBudget.remove(layer.name);
+    unloadTileset(layer.name);
+
     item?.classList.remove("active");
   }
 
+  /**
+   * Removes a loaded tileset from the scene (turned off or suspended).
+   */
+  function unloadTileset(name) {
+    const tsObj = loadedTilesets[name];
+    if (!tsObj) return;
+
+    viewer.scene.primitives.remove(tsObj);
+    tilesetClipMgr?.unregisterTileset(tsObj);
+    filterEditors[name]?.setTileset(null);
+    delete loadedTilesets[name];
+  }
+
   // ------------------------------------------------------------
   // 1) Open/close layer menu
   // ------------------------------------------------------------
   btnOpen.addEventListener("click", () => menu.classList.toggle("open"));
   btnClose.addEventListener("click", () => menu.classList.remove("open"));
 
-  // ------------------------------------------------------------
-  // 2) Background layers (OSM / WMS)
-  // ------------------------------------------------------------
-  function createImageryProvider(layer) {
-    if (layer.type === "OSM") {
-      return new OpenStreetMapImageryProvider();
-    }
-
-    if (layer.type === "WMS") {
-      return new WebMapServiceImageryProvider({
-        url: layer.url,
-        layers: layer.layers,
-        parameters: layer.parameters || {},
-      });
+  // Global pending tiles badge next to the menu button
+  const pendingTiles = createPendingTilesIndicator(viewer, menu);
+
+  // Floating attribute table, shared by all tileset/vector layers
+  const attributeTable = createAttributeTable(viewer);
+
+  // Tilesets share one cache budget; far away tilesets are suspended but stay on
+  const memoryBudget = createMemoryBudget(viewer, config.memoryBudget, {
+    suspend: (name) => {
+      stopStatusTracking(name);
+      attributeTable.detach(name);
+      unloadTileset(name);
+      layerStatus[name]?.setSuspended(true);
+      onLayerStateChanged();
+    },
+    resume: (name) => {
+      const entry = tilesetEntries.find((e) => e.name === name);
+      if (!entry || !layerVisibilityState[name]) return;
+
+      layerStatus[name]?.setSuspended(false);
+      enableLayer(entry.layer, entry.item)
+        .catch((err) => console.warn(`Could not resume layer "${name}"`, err))
+        .finally(onLayerStateChanged);
+    },
+    onUsage: (name, bytes, budgetBytes) => {
+      layerStatus[name]?.setMemory(
+        formatBytes(bytes),
+        `Minnesanvändning (cache för lagret: ${formatBytes(budgetBytes)})`
+      );
     }
+  });
 
-    console.warn("Unknown background type:", layer.type);
-    return null;
-  }
-
+  // ------------------------------------------------------------
+  // 2) Background layers (any type supported by imageryProviderFactory)
+  // ------------------------------------------------------------
   // Render background layer buttons
   config.backgroundLayers.forEach((layer) => {
     const btn = document.createElement("button");
@@ -326,10 +768,11 @@ export default function initLayerMenu(viewer, config) {
         viewer.imageryLayers.remove(currentBgLayer, true);
       }
 
-      const provider = createImageryProvider(layer);
-      if (!provider) return;
+      currentBgLayer = createImageryLayer(layer);
+      if (!currentBgLayer) return;
+      currentBgName = layer.name;
 
-      currentBgLayer = viewer.imageryLayers.addImageryProvider(provider);
+      viewer.imageryLayers.add(currentBgLayer);
 
       // Always keep the background at the bottom
       viewer.imageryLayers.lowerToBottom(currentBgLayer);
@@ -348,7 +791,7 @@ export default function initLayerMenu(viewer, config) {
   });
 
   // ------------------------------------------------------------
-  // 3) Group tilesets and WMS layers by group name
+  // 3) Group tilesets and imagery layers (wmsLayers) by group name
   // ------------------------------------------------------------
   const tilesByGroup = {};
 
@@ -362,20 +805,370 @@ export default function initLayerMenu(viewer, config) {
     tilesByGroup[wms.group].push(wms);
   });
 
+  (config.vectorLayers || []).forEach((vec) => {
+    if (!tilesByGroup[vec.group]) tilesByGroup[vec.group] = [];
+    tilesByGroup[vec.group].push(vec);
+  });
+
+  // Time series groups: the group's yearly layers become one time layer
+  const timeSeriesLayers = createTimeSeriesLayers(config.groups, tilesByGroup);
+
   // ------------------------------------------------------------
-  // 4) Recursive group renderer
+  // 4) Group index (layer -> group path, layer counts)
   // ------------------------------------------------------------
-  function renderGroups(parentEl, groups, depth = 0) {
-    const level = depth + 1;
+  // Path of group configs from root to the group a layer belongs to.
+  // Lets search, autoload and shared links render a collapsed subtree on demand.
+  const layerGroupPath = new Map(); // layer name -> group config[]
 
-    // Extra guard, even though we validate before rendering
-    if (level > MAX_GROUP_LEVELS) {
-      console.warn(
-        `Skipping unsupported group level ${level}. Max allowed is ${MAX_GROUP_LEVELS}.`
+  // Number of layers in each group including all descendants
+  const groupLayerCount = new Map(); // group config -> number
+
+  // Render function and content element per group; filled in as groups are rendered
+  const groupRenderers = new Map(); // group config -> () => void
+  const groupContents = new Map(); // group config -> HTMLElement
+
+  // Per-group config warnings, shown on the group header
+  const groupWarnings = new Map(); // group config -> string[]
+
+  function indexGroups(groups, path = []) {
+    let total = 0;
+
+    groups.forEach((group) => {
+      const nextPath = [...path, group];
+      let count = 0;
+
+      (tilesByGroup[group.name] || []).forEach((layer) => {
+        if (!layerGroupPath.has(layer.name)) {
+          layerGroupPath.set(layer.name, nextPath);
+        }
+        count++;
+      });
+
+      if (Array.isArray(group.groups)) {
+        count += indexGroups(group.groups, nextPath);
+      }
+
+      groupLayerCount.set(group, count);
+      total += count;
+    });
+
+    return total;
+  }
+
+  // ------------------------------------------------------------
+  // 5) Recursive group renderer
+  // ------------------------------------------------------------
+  /**
+   * Renders one layer row (checkbox, icon/zoom button, label, info panel)
+   * into a group's content element and registers it for search and state.
+   */
+  function renderLayerItem(parentEl, layer) {
+    const isImagery = isImageryLayer(layer);
+
+    // Layer item container
+    const item = document.createElement("div");
+    item.className = "tileset-item";
+
+    // Row with checkbox + icon/button + label + info
+    const row = document.createElement("div");
+    row.className = "tileset-row";
+
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.className = "tileset-checkbox";
+    row.appendChild(checkbox);
+
+    // Imagery uses an icon, 3D tiles and vector layers use a zoom button
+    let zoomButton = null;
+    if (isImagery) {
+      const icon = document.createElement("div");
+      icon.className = "wms-icon";
+
+      const imgFile = config.stylesMap[layer.style];
+      icon.style.backgroundImage = imgFile
+        ? `url(images/icons/${imgFile})`
+        : "var(--black-icon-map)";
+
+      row.appendChild(icon);
+    } else {
+      zoomButton = document.createElement("button");
+      zoomButton.className = "zoom-button";
+      zoomButton.title = "Zooma till lager";
+      row.appendChild(zoomButton);
+    }
+
+    // Layer label
+    const label = document.createElement("label");
+    label.textContent = layer.title || layer.name;
+    row.appendChild(label);
+
+    // Load state / error badge
+    const status = createLayerStatus();
+    layerStatus[layer.name] = status;
+    row.appendChild(status.element);
+
+    // Info button
+    const moreButton = document.createElement("button");
+    moreButton.className = "more-button";
+    moreButton.title = "Visa mer info";
+    row.appendChild(moreButton);
+
+    item.append(row, status.messageEl);
+
+    // Year slider for time layers (shown while the layer is on)
+    if (isTimeLayer(layer)) {
+      timeValues[layer.name] ??= getDefaultTimeValue(layer);
+
+      const timeControl = createTimeControl(layer, timeValues[layer.name], (value) =>
+        setLayerTime(layer, item, value)
       );
-      return;
+      timeControls[layer.name] = timeControl;
+      item.appendChild(timeControl.element);
+    }
+
+    // Hidden info panel
+    const infoPanel = document.createElement("div");
+    infoPanel.className = "info-panel";
+    infoPanel.style.display = "none";
+
+    const infoTextEl = document.createElement("p");
+    infoTextEl.textContent =
+      layer.infoText || "Ingen information tillgänglig";
+
+    const sliderLabel = document.createElement("label");
+    sliderLabel.textContent = "Opacitet:";
+
+    const opacitySlider = document.createElement("input");
+    opacitySlider.type = "range";
+    opacitySlider.className = "opacity-slider";
+    opacitySlider.min = 0;
+    opacitySlider.max = 1;
+    opacitySlider.step = 0.01;
+    opacitySlider.value = 1;
+
+    infoPanel.append(infoTextEl);
+
+    // Legend (WMS GetLegendGraphic or generated from style conditions)
+    const legendEl = document.createElement("div");
+    legendEl.className = "layer-legend";
+    legendEl.hidden = !renderLegend(legendEl, layer, getLegendStyle(layer));
+
+    // Style switcher for tilesets with several named styles
+    const tilesetStyles =
+      !isImagery && !isVectorLayer(layer) ? getTilesetStyles(layer) : [];
+
+    if (tilesetStyles.length > 1) {
+      const styleLabel = document.createElement("label");
+      styleLabel.textContent = "Stil:";
+
+      const styleSelect = document.createElement("select");
+      styleSelect.className = "tileset-style-select";
+
+      const activeName = getDefaultTilesetStyle(layer).name;
+      tilesetStyles.forEach((styleDef) => {
+        const opt = document.createElement("option");
+        opt.value = styleDef.name;
+        opt.textContent = styleDef.title;
+        opt.selected = styleDef.name === activeName;
+        styleSelect.appendChild(opt);
+      });
+
+      styleSelect.addEventListener("change", () => {
+        activeTilesetStyle[layer.name] = tilesetStyles.find(
+          (st) => st.name === styleSelect.value
+        );
+
+        const tsObj = loadedTilesets[layer.name];
+        if (tsObj) {
+          applyTilesetStyle(layer, tsObj, parseFloat(opacitySlider.value));
+        }
+
+        legendEl.hidden = !renderLegend(legendEl, layer, getLegendStyle(layer));
+        refreshCombinedLegend();
+      });
+
+      infoPanel.append(styleLabel, styleSelect);
+    }
+
+    infoPanel.append(legendEl, sliderLabel, opacitySlider);
+
+    // Attribute filter for tilesets
+    let filterEditor = null;
+    if (!isImagery && !isVectorLayer(layer)) {
+      filterEditor = createTilesetFilterEditor({
+        getTileset: () => loadedTilesets[layer.name],
+        onChange: (filter) => setTilesetFilter(layer, filter, item)
+      });
+      filterEditor.setFilter(tilesetFilters[layer.name] || null);
+      filterEditor.setTileset(loadedTilesets[layer.name] || null);
+      filterEditors[layer.name] = filterEditor;
+      infoPanel.appendChild(filterEditor.element);
+    }
+
+    // Admin slider for finding a tileset's height offset
+    if (!isImagery && !isVectorLayer(layer) && isAdminMode()) {
+      const offsetControl = createHeightOffsetControl(
+        getTransform(layer).heightOffset,
+        (value) => {
+          heightOffsets[layer.name] = value;
+
+          const tsObj = loadedTilesets[layer.name];
+          if (tsObj) {
+            applyTilesetTransform(tsObj, getTransform(layer));
+            viewer.scene.requestRender();
+          }
+        }
+      );
+      infoPanel.appendChild(offsetControl.element);
+    }
+
+    // Attribute table for tilesets and vector layers
+    if (!isImagery) {
+      const tableButton = document.createElement("button");
+      tableButton.type = "button";
+      tableButton.className = "attribute-table-button";
+      tableButton.textContent = "Visa attributtabell";
+      infoPanel.appendChild(tableButton);
+
+      tableButton.addEventListener("click", async (ev) => {
+        ev.stopPropagation();
+
+        try {
+          if (!checkbox.checked) {
+            setCheckboxState(checkbox, true);
+          }
+
+          const target = await enableLayer(layer, item);
+          if (target) {
+            attributeTable.open(layer, target);
+          }
+        } catch (err) {
+          console.error(`Could not open attribute table for "${layer.name}"`, err);
+        }
+      });
+    }
+
+    item.appendChild(infoPanel);
+
+    // Toggle info panel
+    moreButton.addEventListener("click", (ev) => {
+      ev.stopPropagation();
+      infoPanel.style.display =
+        infoPanel.style.display === "none" ? "block" : "none";
+
+      // Pick up properties of tiles loaded since the panel was last open
+      if (infoPanel.style.display === "block") filterEditor?.refresh();
+    });
+
+    // Imported layers can be removed from the menu
+    if (layer.userLayer) {
+      const removeButton = document.createElement("button");
+      removeButton.className = "remove-button";
+      removeButton.title = "Ta bort lager";
+      row.appendChild(removeButton);
+
+      removeButton.addEventListener("click", (ev) => {
+        ev.stopPropagation();
+        removeUserLayer(layer);
+      });
+    }
+
+    // Update opacity live if the layer is already loaded
+    opacitySlider.addEventListener("input", () => {
+      const opacity = parseFloat(opacitySlider.value);
+      activeLayersPanel.syncOpacity(layer.name, opacity);
+
+      if (isImagery) {
+        const imgLayer = loadedImagery[layer.name];
+        if (imgLayer) {
+          imgLayer.alpha = opacity;
+        }
+      } else if (isVectorLayer(layer)) {
+        const ds = loadedDataSources[layer.name];
+        if (ds) {
+          applyVectorOpacity(ds, opacity);
+        }
+      } else {
+        const tsObj = loadedTilesets[layer.name];
+        if (tsObj) {
+          applyTilesetStyle(layer, tsObj, opacity);
+        }
+      }
+    });
+
+    // Checkbox is the single source of truth for on/off state
+    checkbox.addEventListener("change", async () => {
+      try {
+        if (checkbox.checked) {
+          await enableLayer(layer, item);
+        } else {
+          disableLayer(layer, item);
+        }
+      } catch (err) {
+        console.error(`Could not load layer "${layer.name}"`, err);
+
+        // Revert the checkbox if enabling failed
+        if (checkbox.checked) {
+          setCheckboxState(checkbox, false);
+        } else {
+          item.classList.remove("active");
+        }
+
+        // Show the error on the row (after the revert, which clears the status)
+        status.setError(
+          `Lagret kunde inte laddas: ${err?.message || "okänt fel"}`,
+          () => setCheckboxState(checkbox, true)
+        );
+      } finally {
+        onLayerStateChanged();
+      }
+    });
+
+    // Zoom-to-layer button for 3D tilesets and vector layers
+    if (zoomButton) {
+      zoomButton.addEventListener("click", async (ev) => {
+        ev.stopPropagation();
+
+        try {
+          // Turn on via the checkbox flow so subgroup sync stays correct
+          if (!checkbox.checked) {
+            setCheckboxState(checkbox, true);
+          }
+
+          const target = await enableLayer(layer, item);
+          if (target) {
+            await zoomToLayer(layer, target);
+          }
+        } catch (err) {
+          console.error(`Could not zoom to layer "${layer.name}"`, err);
+          setCheckboxState(checkbox, false);
+        }
+      });
     }
 
+    // Register entry for search
+    tilesetEntries.push({
+      layer,
+      name: layer.name,
+      title: layer.title,
+      nameLower: (layer.title || layer.name).toLowerCase(),
+      isImagery,
+      checkbox,
+      item,
+    });
+
+    parentEl.appendChild(item);
+  }
+
+  /**
+   * Renders a level of groups. Only the header of each group is built
+   * up front; subgroups and layer rows are rendered the first time the
+   * group is opened (or when something needs a layer inside it).
+   * Nesting depth is not limited.
+   */
+  function renderGroups(parentEl, groups, depth = 0) {
+    const level = depth + 1;
+
     groups.forEach((group) => {
       // Group container
       const groupEl = document.createElement("div");
@@ -409,6 +1202,13 @@ export default function initLayerMenu(viewer, config) {
       titleSpan.textContent = group.title;
       header.appendChild(titleSpan);
 
+      // Config problems are shown on the group instead of stopping the menu
+      const warnings = groupWarnings.get(group);
+      if (warnings) {
+        header.classList.add("group-warning");
+        header.title = warnings.join("\n");
+      }
+
       // Content container for subgroups + layers
       const content = document.createElement("div");
       content.className = "group-content";
@@ -417,16 +1217,50 @@ export default function initLayerMenu(viewer, config) {
       // Prevent repeated sync while toggling many descendant layers at once
       let bulkToggleInProgress = false;
 
+      // Subgroups and layers are rendered lazily
+      let rendered = false;
+
+      /**
+       * Renders subgroups and the layers that belong directly to this group.
+       * Safe to call repeatedly.
+       */
+      function renderContent() {
+        if (rendered) return;
+        rendered = true;
+
+        if (Array.isArray(group.groups)) {
+          renderGroups(content, group.groups, depth + 1);
+        }
+
+        (tilesByGroup[group.name] || []).forEach((layer) =>
+          renderLayerItem(content, layer)
+        );
+
+        // IMPORTANT:
+        // We intentionally DO NOT auto-check the whole group here.
+        // That old behavior caused nested subgroup layers to turn on incorrectly
+        // even when "visible-at-start" was false on those layers.
+
+        // Final sync after nested groups + direct layers are rendered
+        syncGroupCheckbox();
+      }
+
+      groupRenderers.set(group, renderContent);
+      groupContents.set(group, content);
+
       // Expand/collapse when clicking the header
       // Do not toggle if the click came directly from the group checkbox
       header.addEventListener("click", (ev) => {
         if (ev.target !== groupCheckbox) {
+          renderContent();
           content.classList.toggle("open");
         }
       });
 
       /**
        * Synchronizes the group checkbox state based on all descendant layer checkboxes.
+       * Layers in subtrees that are not rendered yet count as unchecked,
+       * since turning a layer on always renders its path first.
        *
        * States:
        * - checked       => all descendants are checked
@@ -436,21 +1270,20 @@ export default function initLayerMenu(viewer, config) {
       function syncGroupCheckbox() {
         if (!groupCheckbox) return;
 
-        const childCbs = content.querySelectorAll(".tileset-checkbox");
+        const total = groupLayerCount.get(group) || 0;
 
-        if (!childCbs.length) {
+        if (!total) {
           groupCheckbox.checked = false;
           groupCheckbox.indeterminate = false;
           return;
         }
 
-        const checkedCount = Array.from(childCbs).filter(
-          (cb) => cb.checked
-        ).length;
+        const checkedCount = Array.from(
+          content.querySelectorAll(".tileset-checkbox")
+        ).filter((cb) => cb.checked).length;
 
-        groupCheckbox.checked = checkedCount === childCbs.length;
-        groupCheckbox.indeterminate =
-          checkedCount > 0 && checkedCount < childCbs.length;
+        groupCheckbox.checked = checkedCount === total;
+        groupCheckbox.indeterminate = checkedCount > 0 && checkedCount < total;
       }
 
       // Register sync function so parent bulk operations can re-sync this subtree
@@ -461,6 +1294,9 @@ export default function initLayerMenu(viewer, config) {
         groupCheckbox.addEventListener("change", () => {
           const targetChecked = groupCheckbox.checked;
 
+          // Every descendant layer needs a checkbox before it can be toggled
+          renderSubtree(group);
+
           // Suppress repeated sync while descendant layers are being toggled
           bulkToggleInProgress = true;
 
@@ -501,187 +1337,124 @@ export default function initLayerMenu(viewer, config) {
         syncGroupCheckbox();
       });
 
-      // Render nested groups recursively
-      if (Array.isArray(group.groups)) {
-        renderGroups(content, group.groups, depth + 1);
-      }
+      syncGroupCheckbox();
 
-      // Render layers that belong directly to this group
-      const list = tilesByGroup[group.name] || [];
+      parentEl.appendChild(groupEl);
+    });
+  }
 
-      list.forEach((layer) => {
-        const isWMS = layer.type === "WMS";
+  /**
+   * Renders a group and all of its descendants (used by bulk toggles).
+   */
+  function renderSubtree(group) {
+    groupRenderers.get(group)?.();
+
+    if (Array.isArray(group.groups)) {
+      group.groups.forEach(renderSubtree);
+    }
+  }
 
-        // Layer item container
-        const item = document.createElement("div");
-        item.className = "tileset-item";
+  /**
+   * Returns the menu entry for a layer, rendering the groups on its path
+   * first if they have not been opened yet.
+   */
+  function ensureLayerEntry(name) {
+    const path = layerGroupPath.get(name);
+    if (!path) return undefined;
 
-        // Row with checkbox + icon/button + label + info
-        const row = document.createElement("div");
-        row.className = "tileset-row";
+    path.forEach((group) => groupRenderers.get(group)?.());
 
-        const checkbox = document.createElement("input");
-        checkbox.type = "checkbox";
-        checkbox.className = "tileset-checkbox";
-        row.appendChild(checkbox);
+    return tilesetEntries.find((e) => e.name === name);
+  }
 
-        // WMS uses an icon, 3D tiles use a zoom button
-        let zoomButton = null;
-        if (isWMS) {
-          const icon = document.createElement("div");
-          icon.className = "wms-icon";
+  // ------------------------------------------------------------
+  // "Tända lager": all enabled layers at the top of the menu
+  // ------------------------------------------------------------
+  const activeLayersPanel = createActiveLayersPanel(viewer, {
+    getActiveLayers,
+    getOpacity: (e) => getOpacityFromItem(e.item),
+    setOpacity: (e, opacity) => {
+      const slider = getOpacitySlider(e.item);
+      if (!slider) return;
+      slider.value = opacity;
+      slider.dispatchEvent(new Event("input"));
+    },
+    zoomTo: (e, object) => zoomToLayer(e.layer, object),
+    disable: (e) => setCheckboxState(e.checkbox, false),
+  });
+  groupContainer.parentNode.insertBefore(activeLayersPanel.element, groupContainer);
 
-          const imgFile = config.stylesMap[layer.style];
-          icon.style.backgroundImage = imgFile
-            ? `url(images/icons/${imgFile})`
-            : "var(--black-icon-map)";
+  // ------------------------------------------------------------
+  // Combined legend for all active layers (collapsible)
+  // ------------------------------------------------------------
+  const legendPanel = document.createElement("div");
+  legendPanel.className = "combined-legend";
+  legendPanel.hidden = true;
 
-          row.appendChild(icon);
-        } else {
-          zoomButton = document.createElement("button");
-          zoomButton.className = "zoom-button";
-          zoomButton.title = "Zooma till lager";
-          row.appendChild(zoomButton);
-        }
+  const legendHeader = document.createElement("div");
+  legendHeader.className = "combined-legend-header";
+  legendHeader.textContent = "Teckenförklaring";
 
-        // Layer label
-        const label = document.createElement("label");
-        label.textContent = layer.title || layer.name;
-        row.appendChild(label);
-
-        // Info button
-        const moreButton = document.createElement("button");
-        moreButton.className = "more-button";
-        moreButton.title = "Visa mer info";
-        row.appendChild(moreButton);
-
-        item.appendChild(row);
-
-        // Hidden info panel
-        const infoPanel = document.createElement("div");
-        infoPanel.className = "info-panel";
-        infoPanel.style.display = "none";
-
-        const infoTextEl = document.createElement("p");
-        infoTextEl.textContent =
-          layer.infoText || "Ingen information tillgänglig";
-
-        const sliderLabel = document.createElement("label");
-        sliderLabel.textContent = "Opacitet:";
-
-        const opacitySlider = document.createElement("input");
-        opacitySlider.type = "range";
-        opacitySlider.min = 0;
-        opacitySlider.max = 1;
-        opacitySlider.step = 0.01;
-        opacitySlider.value = 1;
-
-        infoPanel.append(infoTextEl, sliderLabel, opacitySlider);
-        item.appendChild(infoPanel);
-
-        // Toggle info panel
-        moreButton.addEventListener("click", (ev) => {
-          ev.stopPropagation();
-          infoPanel.style.display =
-            infoPanel.style.display === "none" ? "block" : "none";
-        });
+  const legendBody = document.createElement("div");
+  legendBody.className = "combined-legend-body";
 
-        // Update opacity live if the layer is already loaded
-        opacitySlider.addEventListener("input", () => {
-          const opacity = parseFloat(opacitySlider.value);
-
-          if (isWMS) {
-            const imgLayer = loadedWMSImagery[layer.name];
-            if (imgLayer) {
-              imgLayer.alpha = opacity;
-            }
-          } else {
-            const tsObj = loadedTilesets[layer.name];
-            if (tsObj) {
-              applyTilesetOpacity(tsObj, opacity);
-            }
-          }
-        });
+  legendHeader.addEventListener("click", () => {
+    legendHeader.classList.toggle("open");
+    legendBody.classList.toggle("open");
+  });
 
-        // Checkbox is the single source of truth for on/off state
-        checkbox.addEventListener("change", async () => {
-          try {
-            if (checkbox.checked) {
-              await enableLayer(layer, item);
-            } else {
-              disableLayer(layer, item);
-            }
-          } catch (err) {
-            console.error(`Could not load layer "${layer.name}"`, err);
-
-            // Revert the checkbox if enabling failed
-            if (checkbox.checked) {
-              setCheckboxState(checkbox, false);
-            } else {
-              item.classList.remove("active");
-            }
-          }
-        });
+  legendPanel.append(legendHeader, legendBody);
+  groupContainer.parentNode.insertBefore(legendPanel, footer);
 
-        // Zoom-to-layer button for 3D tilesets
-        if (zoomButton) {
-          zoomButton.addEventListener("click", async (ev) => {
-            ev.stopPropagation();
-
-            try {
-              // Turn on via the checkbox flow so subgroup sync stays correct
-              if (!checkbox.checked) {
-                setCheckboxState(checkbox, true);
-              }
-
-              const tsObj = await enableLayer(layer, item);
-              if (tsObj) {
-                await viewer.zoomTo(tsObj);
-              }
-            } catch (err) {
-              console.error(`Could not zoom to layer "${layer.name}"`, err);
-              setCheckboxState(checkbox, false);
-            }
-          });
-        }
+  /**
+   * Rebuilds the combined legend from all layers whose checkbox is on.
+   * The whole panel is hidden when no active layer has a legend.
+   */
+  function refreshCombinedLegend() {
+    legendBody.innerHTML = "";
 
-        // Register entry for search
-        tilesetEntries.push({
-          layer,
-          name: layer.name,
-          title: layer.title,
-          nameLower: (layer.title || layer.name).toLowerCase(),
-          isWMS,
-          checkbox,
-          item,
-        });
+    tilesetEntries
+      .filter((e) => e.checkbox.checked)
+      .forEach((e) => {
+        const block = document.createElement("div");
+        block.className = "combined-legend-layer";
 
-        content.appendChild(item);
-      });
+        const title = document.createElement("div");
+        title.className = "combined-legend-title";
+        title.textContent = e.title || e.name;
 
-      // IMPORTANT:
-      // We intentionally DO NOT auto-check the whole group here.
-      // That old behavior caused nested subgroup layers to turn on incorrectly
-      // even when "visible-at-start" was false on those layers.
+        const content = document.createElement("div");
+        if (!renderLegend(content, e.layer, getLegendStyle(e.layer))) return;
 
-      // Final sync after nested groups + direct layers are rendered
-      syncGroupCheckbox();
+        block.append(title, content);
+        legendBody.appendChild(block);
+      });
 
-      parentEl.appendChild(groupEl);
-    });
+    legendPanel.hidden = legendBody.childElementCount === 0;
   }
 
   // ------------------------------------------------------------
   // Render all groups
   // ------------------------------------------------------------
-  try {
-    validateGroupDepth(config.groups || []);
-  } catch (err) {
-    console.error(err);
-    return;
-  }
+  const rootGroups = Array.isArray(config.groups) ? config.groups : [];
+
+  validateGroups(rootGroups);
+  indexGroups(rootGroups);
+  renderGroups(groupContainer, rootGroups);
 
-  renderGroups(groupContainer, config.groups || []);
+  // ------------------------------------------------------------
+  // GetFeatureInfo for active queryable WMS layers
+  // ------------------------------------------------------------
+  initWmsFeatureInfo(viewer, () =>
+    [...(config.wmsLayers || []), ...timeSeriesLayers]
+      .filter(
+        (layer) =>
+          layer.queryable &&
+          getImageryType(layer) === "WMS" &&
+          loadedImagery[layer.name]?.show === true
+      )
+      .map(getImageryConfig)
+  );
 
   // ------------------------------------------------------------
   // Autoload layers with "visible-at-start": true
@@ -689,7 +1462,7 @@ export default function initLayerMenu(viewer, config) {
   // This is now the ONLY place that decides which layers should be on at startup.
   config.tilesets?.forEach((layer) => {
     if (layer["visible-at-start"]) {
-      const entry = tilesetEntries.find((e) => e.name === layer.name);
+      const entry = ensureLayerEntry(layer.name);
       if (!entry) return;
 
       setCheckboxState(entry.checkbox, true);
@@ -698,7 +1471,25 @@ export default function initLayerMenu(viewer, config) {
 
   config.wmsLayers?.forEach((layer) => {
     if (layer["visible-at-start"]) {
-      const entry = tilesetEntries.find((e) => e.name === layer.name);
+      const entry = ensureLayerEntry(layer.name);
+      if (!entry) return;
+
+      setCheckboxState(entry.checkbox, true);
+    }
+  });
+
+  config.vectorLayers?.forEach((layer) => {
+    if (layer["visible-at-start"]) {
+      const entry = ensureLayerEntry(layer.name);
+      if (!entry) return;
+
+      setCheckboxState(entry.checkbox, true);
+    }
+  });
+
+  timeSeriesLayers.forEach((layer) => {
+    if (layer["visible-at-start"]) {
+      const entry = ensureLayerEntry(layer.name);
       if (!entry) return;
 
       setCheckboxState(entry.checkbox, true);
@@ -706,63 +1497,346 @@ export default function initLayerMenu(viewer, config) {
   });
 
   // ------------------------------------------------------------
-  // Search UI
+  // Search (layers, groups and projects, see layerSearch.js)
   // ------------------------------------------------------------
-  const searchContainer = document.createElement("div");
-  searchContainer.className = "tileset-search";
+  // Layers that are placed in a group, in config order
+  const searchableLayers = [
+    ...(config.tilesets || []),
+    ...(config.wmsLayers || []),
+    ...(config.vectorLayers || []),
+    ...timeSeriesLayers,
+  ].filter((layer) => layerGroupPath.has(layer.name));
+
+  // Entries are kept per config object so their folded text is reused
+  const searchEntryCache = new WeakMap(); // layer/group/project config -> entry
+
+  function cachedSearchEntry(obj, create) {
+    if (!searchEntryCache.has(obj)) searchEntryCache.set(obj, create());
+    return searchEntryCache.get(obj);
+  }
+
+  function groupPathText(path) {
+    return path.map((g) => g.title || g.name).join(" › ");
+  }
+
+  function groupSearchEntries(groups, path = []) {
+    return groups.flatMap((group) => {
+      const nextPath = [...path, group];
+      const entry = cachedSearchEntry(group, () => ({
+        kind: "group",
+        group,
+        path: nextPath,
+        title: group.title || group.name,
+        fields: {
+          title: group.title || group.name,
+          keywords: keywordsText(group.keywords),
+          group: groupPathText(path),
+          text: group.infoText || ""
+        }
+      }));
+
+      return [entry, ...groupSearchEntries(group.groups || [], nextPath)];
+    });
+  }
+
+  function getSearchEntries() {
+    const layers = searchableLayers.map((layer) =>
+      cachedSearchEntry(layer, () => {
+        const title = layer.title || layer.name;
+        const names = title === layer.name ? [] : [layer.name];
 
-  const searchInput = document.createElement("input");
-  searchInput.type = "text";
-  searchInput.placeholder = "Sök lager...";
+        return {
+          kind: "layer",
+          layer,
+          title,
+          fields: {
+            title,
+            keywords: [keywordsText(layer.keywords), ...names].filter(Boolean).join(", "),
+            group: groupPathText(layerGroupPath.get(layer.name) || []),
+            text: layer.infoText || ""
+          }
+        };
+      })
+    );
+
+    const projects = (config.projects || []).map((project) =>
+      cachedSearchEntry(project, () => ({
+        kind: "project",
+        project,
+        title: project.name,
+        fields: {
+          title: project.name,
+          keywords: [
+            keywordsText(project.keywords),
+            ...getProjectCategories(project),
+            project.municipality
+          ]
+            .filter(Boolean)
+            .join(", "),
+          group: "",
+          text: [
+            stripHtml(project["html-description"]),
+            ...(project.phases || []).map((phase) => phase.name),
+            ...(project.content || []).map((l) => l.title || l.name)
+          ]
+            .filter(Boolean)
+            .join(" · ")
+        }
+      }))
+    );
 
-  const results = document.createElement("div");
-  results.className = "search-results";
+    return [...layers, ...groupSearchEntries(config.groups || []), ...projects];
+  }
 
-  searchContainer.append(searchInput, results);
-  groupContainer.parentNode.insertBefore(searchContainer, footer);
+  /**
+   * Renders and expands the groups of a path and scrolls to the last one.
+   */
+  function openGroupPath(path) {
+    path.forEach((group) => {
+      groupRenderers.get(group)?.();
+      const content = groupContents.get(group);
+      content?.classList.add("open");
+      content?.previousElementSibling?.classList.add("open");
+    });
 
-  // Search logic
-  searchInput.addEventListener("input", () => {
-    const q = searchInput.value.trim().toLowerCase();
-    results.innerHTML = "";
+    const last = groupContents.get(path[path.length - 1]);
+    last?.previousElementSibling?.scrollIntoView({ block: "start", behavior: "smooth" });
+  }
 
-    if (!q) return;
+  async function activateLayerFromSearch(layer) {
+    const e = ensureLayerEntry(layer.name);
+    if (!e) return;
 
-    tilesetEntries
-      .filter((e) => e.nameLower.includes(q))
-      .forEach((e) => {
-        const hit = document.createElement("div");
-        hit.className = "search-result";
-        hit.textContent = e.title || e.name;
+    openGroupPath(layerGroupPath.get(layer.name));
 
-        hit.addEventListener("click", async () => {
-          searchInput.value = "";
-          results.innerHTML = "";
+    try {
+      // Always go through checkbox flow so subgroup state stays in sync
+      if (!e.checkbox.checked) {
+        setCheckboxState(e.checkbox, true);
+      }
 
-          try {
-            // Always go through checkbox flow so subgroup state stays in sync
-            if (!e.checkbox.checked) {
-              setCheckboxState(e.checkbox, true);
-            }
-
-            if (e.isWMS) {
-              await enableLayer(e.layer, e.item);
-            } else {
-              const tsObj = await enableLayer(e.layer, e.item);
-              if (tsObj) {
-                await viewer.zoomTo(tsObj);
-              }
-            }
-          } catch (err) {
-            console.error(
-              `Could not activate layer "${e.name}" from search`,
-              err
-            );
-            setCheckboxState(e.checkbox, false);
-          }
-        });
+      if (e.isImagery) {
+        await enableLayer(e.layer, e.item);
+      } else {
+        const target = await enableLayer(e.layer, e.item);
+        if (target) {
+          await zoomToLayer(e.layer, target);
+        }
+      }
+    } catch (err) {
+      console.error(`Could not activate layer "${e.name}" from search`, err);
+      setCheckboxState(e.checkbox, false);
+    }
+  }
 
-        results.appendChild(hit);
-      });
+  const layerSearch = createLayerSearch({
+    getEntries: getSearchEntries,
+    onPick: (entry) => {
+      if (entry.kind === "layer") {
+        activateLayerFromSearch(entry.layer);
+      } else if (entry.kind === "group") {
+        openGroupPath(entry.path);
+      } else if (entry.kind === "project") {
+        const index = (config.projects || []).indexOf(entry.project);
+        config.projectMenuApi?.openProjectSidebar(index);
+      }
+    }
   });
-}
\ No newline at end of file
+  groupContainer.parentNode.insertBefore(layerSearch.element, footer);
+
+  // ------------------------------------------------------------
+  // Layer state for shared links
+  // ------------------------------------------------------------
+  /**
+   * Returns the enabled layers and the background layer.
+   * Tilesets and vector layers come first, then imagery bottom to top,
+   * so applyState() can restore the draw order by adding in list order.
+   *
+   * Tilesets with an attribute filter also carry `filter`, time layers
+   * showing another year than the default carry `time`.
+   *
+   * @returns {{ layers: Array<{name: string, opacity: number, filter?: object, time?: string}>, background: string|null }}
+   */
+  function getState() {
+    // Imported files only exist in this browser and cannot be shared
+    const active = tilesetEntries.filter(
+      (e) => e.checkbox.checked && !e.layer.userLayer
+    );
+
+    const others = active.filter((e) => !e.isImagery);
+    const imagery = active
+      .filter((e) => e.isImagery)
+      .sort(
+        (a, b) =>
+          viewer.imageryLayers.indexOf(getLoadedObject(a.layer)) -
+          viewer.imageryLayers.indexOf(getLoadedObject(b.layer))
+      );
+
+    return {
+      layers: [...others, ...imagery].map((e) => {
+        const filter = tilesetFilters[e.name];
+        const time = timeValues[e.name];
+        return {
+          name: e.name,
+          opacity: getOpacityFromItem(e.item),
+          ...(buildFilterExpression(filter) ? { filter } : {}),
+          ...(time !== undefined && time !== getDefaultTimeValue(e.layer) ? { time } : {}),
+        };
+      }),
+      background: currentBgName,
+    };
+  }
+
+  /**
+   * Restores a state from getState(). Layers not listed are turned off,
+   * unknown layer names are ignored. `layers` may be omitted to keep the
+   * current layers and only change the background.
+   *
+   * @param {{ layers?: Array<{name: string, opacity?: number, filter?: object, time?: string}>, background?: string }} state
+   */
+  function applyState(state = {}) {
+    if (Array.isArray(state.layers)) {
+      const wanted = new Map(state.layers.map((l) => [l.name, l]));
+
+      tilesetEntries.forEach((e) => {
+        if (!wanted.has(e.name)) setCheckboxState(e.checkbox, false);
+      });
+
+      state.layers.forEach(({ name, opacity, filter, time }) => {
+        const entry = ensureLayerEntry(name);
+        if (!entry) return;
+
+        // Tileset filter is set before the tileset loads so it is styled once
+        if (filterEditors[name]) {
+          filterEditors[name].setFilter(filter || null);
+          setTilesetFilter(entry.layer, filter || null, entry.item);
+        }
+
+        if (isTimeLayer(entry.layer)) {
+          setLayerTime(entry.layer, entry.item, time ?? getDefaultTimeValue(entry.layer));
+        }
+
+        const slider = getOpacitySlider(entry.item);
+        if (slider && Number.isFinite(opacity)) {
+          slider.value = opacity;
+          slider.dispatchEvent(new Event("input"));
+        }
+
+        setCheckboxState(entry.checkbox, true);
+
+        // Imagery is added synchronously, so raising in list order restores draw order
+        const imgLayer = entry.isImagery ? loadedImagery[name] : null;
+        if (imgLayer) viewer.imageryLayers.raiseToTop(imgLayer);
+      });
+
+      onLayerStateChanged();
+    }
+
+    if (state.background && state.background !== currentBgName) {
+      const idx = config.backgroundLayers.findIndex(
+        (l) => l.name === state.background
+      );
+      bgContainer.children[idx]?.click();
+    }
+  }
+
+  // ------------------------------------------------------------
+  // "Egna lager" and "Tillagda tjänster": layers added in this session
+  // ------------------------------------------------------------
+  const USER_GROUP = { name: "__user_layers__", title: "Egna lager" };
+  const SERVICE_GROUP = { name: "__service_layers__", title: "Tillagda tjänster" };
+  const userGroupEls = new Map(); // group name -> group element
+
+  /**
+   * Adds a layer config to a session group (default "Egna lager", created
+   * on demand), turns it on and zooms to it. A layer that is already in
+   * the menu is only turned on.
+   */
+  async function addUserLayer(layer, group = USER_GROUP) {
+    const existing = tilesetEntries.find((e) => e.name === layer.name);
+    if (existing) {
+      setCheckboxState(existing.checkbox, true);
+      return;
+    }
+
+    layer.group = group.name;
+    layer.userLayer = true;
+
+    if (!tilesByGroup[group.name]) tilesByGroup[group.name] = [];
+    tilesByGroup[group.name].push(layer);
+    layerGroupPath.set(layer.name, [group]);
+    groupLayerCount.set(group, tilesByGroup[group.name].length);
+    searchableLayers.push(layer);
+
+    let groupEl = userGroupEls.get(group.name);
+    if (!groupEl) {
+      const holder = document.createDocumentFragment();
+      renderGroups(holder, [group]);
+      groupEl = holder.firstChild;
+      groupContainer.appendChild(groupEl);
+      userGroupEls.set(group.name, groupEl);
+    }
+
+    // Renders the group's content on first use; later layers are added directly
+    let entry = ensureLayerEntry(layer.name);
+    if (!entry) {
+      renderLayerItem(groupContents.get(group), layer);
+      entry = tilesetEntries.find((e) => e.name === layer.name);
+    }
+
+    groupEl.querySelector(".group-header").classList.add("open");
+    groupContents.get(group).classList.add("open");
+
+    setCheckboxState(entry.checkbox, true);
+
+    const target = await enableLayer(layer, entry.item);
+    if (target && !entry.isImagery) {
+      await viewer.zoomTo(target);
+    }
+  }
+
+  /**
+   * Turns off and removes a session layer, and its group when it is empty.
+   */
+  function removeUserLayer(layer) {
+    const idx = tilesetEntries.findIndex((e) => e.layer === layer);
+    if (idx === -1) return;
+
+    const entry = tilesetEntries[idx];
+    setCheckboxState(entry.checkbox, false);
+    entry.item.remove();
+    tilesetEntries.splice(idx, 1);
+
+    const group = layerGroupPath.get(layer.name)[0];
+    const list = tilesByGroup[group.name];
+    list.splice(list.indexOf(layer), 1);
+    searchableLayers.splice(searchableLayers.indexOf(layer), 1);
+    layerGroupPath.delete(layer.name);
+    groupLayerCount.set(group, list.length);
+    delete layerStatus[layer.name];
+    delete activeTilesetStyle[layer.name];
+    delete tilesetFilters[layer.name];
+    delete filterEditors[layer.name];
+
+    // Frees blob: URLs of local files
+    layer.dispose?.();
+
+    const groupEl = userGroupEls.get(group.name);
+    if (!list.length && groupEl) {
+      groupEl.remove();
+      userGroupEls.delete(group.name);
+      groupRenderers.delete(group);
+      groupContents.delete(group);
+    }
+
+    onLayerStateChanged();
+  }
+
+  const fileImport = initFileImport(viewer, config, addUserLayer);
+  groupContainer.parentNode.insertBefore(fileImport.element, footer);
+
+  const serviceCatalog = createServiceCatalog((layer) => addUserLayer(layer, SERVICE_GROUP));
+  fileImport.element.appendChild(serviceCatalog.button);
+
+  return { getState, applyState, addUserLayer, getActiveLayers, onLayersChanged };
+}
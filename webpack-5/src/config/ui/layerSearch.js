@@ -0,0 +1,409 @@
+// src/config/ui/layerSearch.js
+
+/**
+ * Search box of the layer menu ("Sök lager...").
+ *
+ * Searches layers, groups and projects. Each searchable entry has fields
+ * with different weight:
+ *   { kind: "layer"|"group"|"project", title, fields: { title, keywords, group, text }, ... }
+ *  - title     Layer/group/project title (and name)
+ *  - keywords  `keywords` from the config (array or comma separated string)
+ *  - group     Titles of the groups the entry is in
+ *  - text      infoText, project description and the names of project layers
+ *
+ * Matching:
+ *  - Case and diacritics are ignored, so "ostra" finds "Östra" and
+ *    "varmland" finds "Värmland"
+ *  - Every word of the query must match a field, as a substring or, for
+ *    words of 4+ letters, with one typo (two for 7+ letters)
+ *  - Hits are ranked by field weight, word start matches first
+ *
+ * Results show the matched parts highlighted and the group path, and can
+ * be picked with the mouse or with the arrow keys + Enter (Escape clears).
+ */
+
+const FIELD_WEIGHTS = { title: 10, keywords: 6, group: 4, text: 2 };
+const MAX_RESULTS = 30;
+const SNIPPET_RADIUS = 40;
+
+export const KIND_LABELS = { layer: "Lager", group: "Grupp", project: "Projekt" };
+
+// ------------------------------------------------------------
+// Text folding and matching
+// ------------------------------------------------------------
+/**
+ * Lowercases a text and removes diacritics, one character at a time so
+ * positions in the folded text match the original (for highlighting).
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+export function foldText(text) {
+  return Array.from(String(text ?? ""), (c) => {
+    const base = c.normalize("NFD")[0].toLowerCase();
+    return base.length === 1 ? base : c.toLowerCase();
+  }).join("");
+}
+
+/**
+ * Converts `keywords` from config (array or comma separated) to a string.
+ *
+ * @param {string|string[]|undefined} keywords
+ * @returns {string}
+ */
+export function keywordsText(keywords) {
+  if (Array.isArray(keywords)) return keywords.join(", ");
+  return typeof keywords === "string" ? keywords : "";
+}
+
+/**
+ * Removes HTML tags, e.g. from a project's html-description.
+ *
+ * @param {string} html
+ * @returns {string}
+ */
+export function stripHtml(html) {
+  if (!html) return "";
+  const doc = new DOMParser().parseFromString(String(html), "text/html");
+  return doc.body.textContent.replace(/\s+/g, " ").trim();
+}
+
+// Edit distance limited to `max` (returns max + 1 when it is exceeded)
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+      rowMin = Math.min(rowMin, cur[j]);
+    }
+    if (rowMin > max) return max + 1;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+function allowedTypos(word) {
+  if (word.length >= 7) return 2;
+  if (word.length >= 4) return 1;
+  return 0;
+}
+
+/**
+ * Finds one query word in a folded text.
+ *
+ * @returns {{ score: number, range: [number, number] }|null} score 0..1
+ */
+function matchWord(folded, word) {
+  const idx = folded.indexOf(word);
+  if (idx !== -1) {
+    const atWordStart = idx === 0 || /[^a-z0-9]/.test(folded[idx - 1]);
+    return { score: atWordStart ? 1 : 0.7, range: [idx, idx + word.length] };
+  }
+
+  const typos = allowedTypos(word);
+  if (!typos) return null;
+
+  // Compare with each word of the text (and its prefix of the same length)
+  const re = /[a-z0-9]+/g;
+  let m;
+  let best = null;
+  while ((m = re.exec(folded))) {
+    const candidate = m[0];
+    const prefix = candidate.slice(0, word.length);
+    const d = Math.min(
+      editDistance(word, candidate, typos),
+      editDistance(word, prefix, typos)
+    );
+    if (d <= typos && (!best || d < best.d)) {
+      best = { d, range: [m.index, m.index + candidate.length] };
+      if (d === 1) break;
+    }
+  }
+
+  return best ? { score: 0.5 - best.d * 0.1, range: best.range } : null;
+}
+
+/**
+ * Scores an entry against the words of a query.
+ *
+ * @param {object} entry - Search entry (see above)
+ * @param {string[]} words - Folded query words
+ * @returns {{ score: number, ranges: Object<string, Array<[number, number]>> }|null}
+ */
+function scoreEntry(entry, words) {
+  let score = 0;
+  const ranges = {};
+
+  for (const word of words) {
+    let best = null;
+
+    Object.entries(entry.fields).forEach(([field, text]) => {
+      if (!text) return;
+      const hit = matchWord(entry.folded[field], word);
+      if (!hit) return;
+
+      const s = hit.score * FIELD_WEIGHTS[field];
+      if (!best || s > best.s) best = { s, field, range: hit.range };
+    });
+
+    if (!best) return null;
+
+    score += best.s;
+    (ranges[best.field] ||= []).push(best.range);
+  }
+
+  return { score, ranges };
+}
+
+/**
+ * Searches entries. Fields are folded once per entry and cached on it.
+ *
+ * @param {Array<object>} entries
+ * @param {string} query
+ * @returns {Array<{ entry: object, score: number, ranges: object }>}
+ */
+export function searchEntries(entries, query) {
+  const words = foldText(query).split(/\s+/).filter(Boolean);
+  if (!words.length) return [];
+
+  return entries
+    .map((entry) => {
+      entry.folded ||= Object.fromEntries(
+        Object.entries(entry.fields).map(([k, v]) => [k, foldText(v)])
+      );
+      const hit = scoreEntry(entry, words);
+      return hit && { entry, ...hit };
+    })
+    .filter(Boolean)
+    .sort(
+      (a, b) =>
+        b.score - a.score || a.entry.title.localeCompare(b.entry.title, "sv")
+    )
+    .slice(0, MAX_RESULTS);
+}
+
+// ------------------------------------------------------------
+// Highlighting
+// ------------------------------------------------------------
+function mergeRanges(ranges) {
+  const sorted = [...ranges].sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  sorted.forEach(([s, e]) => {
+    const last = merged[merged.length - 1];
+    if (last && s <= last[1]) last[1] = Math.max(last[1], e);
+    else merged.push([s, e]);
+  });
+  return merged;
+}
+
+/**
+ * Fills an element with text where the ranges are wrapped in <mark>.
+ *
+ * @param {HTMLElement} el
+ * @param {string} text
+ * @param {Array<[number, number]>} [ranges]
+ * @param {number} [offset] - Start of `text` in the string the ranges refer to
+ */
+export function renderHighlighted(el, text, ranges = [], offset = 0) {
+  el.textContent = "";
+  let pos = 0;
+
+  mergeRanges(ranges).forEach(([s, e]) => {
+    const start = Math.max(s - offset, 0);
+    const end = Math.min(e - offset, text.length);
+    if (end <= start) return;
+
+    if (start > pos) el.append(text.slice(pos, start));
+    const mark = document.createElement("mark");
+    mark.textContent = text.slice(start, end);
+    el.appendChild(mark);
+    pos = end;
+  });
+
+  if (pos < text.length) el.append(text.slice(pos));
+}
+
+// ------------------------------------------------------------
+// UI
+// ------------------------------------------------------------
+/**
+ * Creates the search box.
+ *
+ * @param {object} options
+ * @param {() => Array<object>} options.getEntries - Current searchable entries
+ * @param {(entry: object) => void} options.onPick - Called with the picked entry
+ * @returns {{ element: HTMLElement, input: HTMLInputElement, clear: () => void }}
+ */
+export function createLayerSearch({ getEntries, onPick }) {
+  const element = document.createElement("div");
+  element.className = "tileset-search";
+
+  const input = document.createElement("input");
+  input.type = "text";
+  input.placeholder = "Sök lager...";
+  input.setAttribute("role", "combobox");
+  input.setAttribute("aria-autocomplete", "list");
+  input.setAttribute("aria-expanded", "false");
+
+  const results = document.createElement("div");
+  results.className = "search-results";
+  results.id = "layer-search-results";
+  results.setAttribute("role", "listbox");
+  input.setAttribute("aria-controls", results.id);
+
+  element.append(input, results);
+
+  let hits = []; // { entry, el }
+  let activeIndex = -1;
+
+  function setActive(index) {
+    hits[activeIndex]?.el.classList.remove("active");
+    hits[activeIndex]?.el.setAttribute("aria-selected", "false");
+
+    activeIndex = hits.length ? (index + hits.length) % hits.length : -1;
+
+    const hit = hits[activeIndex];
+    if (hit) {
+      hit.el.classList.add("active");
+      hit.el.setAttribute("aria-selected", "true");
+      hit.el.scrollIntoView({ block: "nearest" });
+      input.setAttribute("aria-activedescendant", hit.el.id);
+    } else {
+      input.removeAttribute("aria-activedescendant");
+    }
+  }
+
+  function clear() {
+    input.value = "";
+    results.innerHTML = "";
+    hits = [];
+    activeIndex = -1;
+    input.setAttribute("aria-expanded", "false");
+    input.removeAttribute("aria-activedescendant");
+  }
+
+  function pick(entry) {
+    clear();
+    onPick(entry);
+  }
+
+  function renderResult({ entry, ranges }, i) {
+    const el = document.createElement("div");
+    el.className = `search-result search-result-${entry.kind}`;
+    el.id = `layer-search-result-${i}`;
+    el.setAttribute("role", "option");
+    el.setAttribute("aria-selected", "false");
+
+    const head = document.createElement("div");
+    head.className = "search-result-head";
+
+    const kind = document.createElement("span");
+    kind.className = "search-result-kind";
+    kind.textContent = KIND_LABELS[entry.kind] || "";
+
+    const title = document.createElement("span");
+    title.className = "search-result-title";
+    renderHighlighted(title, entry.fields.title, ranges.title);
+
+    head.append(kind, title);
+    el.appendChild(head);
+
+    // Group path, so equal titles in different groups can be told apart
+    if (entry.fields.group) {
+      const path = document.createElement("div");
+      path.className = "search-result-path";
+      renderHighlighted(path, entry.fields.group, ranges.group);
+      el.appendChild(path);
+    }
+
+    // Where else the query matched
+    const other = ["keywords", "text"].find((f) => ranges[f]);
+    if (other) {
+      const text = entry.fields[other];
+      const [first] = mergeRanges(ranges[other]);
+      const start = Math.max(first[0] - SNIPPET_RADIUS, 0);
+      const end = Math.min(first[1] + SNIPPET_RADIUS, text.length);
+
+      const prefix = start > 0 ? "…" : "";
+      const suffix = end < text.length ? "…" : "";
+
+      const snippet = document.createElement("div");
+      snippet.className = "search-result-snippet";
+      renderHighlighted(
+        snippet,
+        prefix + text.slice(start, end) + suffix,
+        ranges[other],
+        start - prefix.length
+      );
+      el.appendChild(snippet);
+    }
+
+    // mousedown so the pick happens before the input loses focus
+    el.addEventListener("mousedown", (ev) => {
+      ev.preventDefault();
+      pick(entry);
+    });
+    el.addEventListener("mousemove", () => {
+      if (activeIndex !== i) setActive(i);
+    });
+
+    return el;
+  }
+
+  input.addEventListener("input", () => {
+    results.innerHTML = "";
+    hits = [];
+    activeIndex = -1;
+
+    const found = searchEntries(getEntries(), input.value.trim());
+
+    if (input.value.trim() && !found.length) {
+      const empty = document.createElement("div");
+      empty.className = "search-result search-result-empty";
+      empty.textContent = "Inga träffar";
+      results.appendChild(empty);
+    }
+
+    found.forEach((hit, i) => {
+      const el = renderResult(hit, i);
+      hits.push({ entry: hit.entry, el });
+      results.appendChild(el);
+    });
+
+    input.setAttribute("aria-expanded", String(hits.length > 0));
+  });
+
+  input.addEventListener("keydown", (ev) => {
+    switch (ev.key) {
+      case "ArrowDown":
+        ev.preventDefault();
+        setActive(activeIndex + 1);
+        break;
+      case "ArrowUp":
+        ev.preventDefault();
+        // Nothing selected yet: start from the last result
+        setActive(activeIndex === -1 ? hits.length - 1 : activeIndex - 1);
+        break;
+      case "Enter": {
+        const hit = hits[activeIndex] || hits[0];
+        if (hit) {
+          ev.preventDefault();
+          pick(hit.entry);
+        }
+        break;
+      }
+      case "Escape":
+        clear();
+        break;
+      default:
+        break;
+    }
+  });
+
+  return { element, input, clear };
+}
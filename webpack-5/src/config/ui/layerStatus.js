@@ -0,0 +1,309 @@
+// src/config/ui/layerStatus.js
+
+/**
+ * Load state and error indicators for the layer menu.
+ *
+ * Per layer (createLayerStatus):
+ *  - Spinner while the layer loads, with the number of pending tiles
+ *    for 3D tilesets (from the tileset's loadProgress event)
+ *  - Error badge; clicking it shows the message under the layer row
+ *  - Retry button next to the badge
+ *  - Memory used by a 3D tileset, and a "Pausad" label while it is
+ *    suspended by the memory budget (see memoryBudget.js)
+ *
+ * Globally (createPendingTilesIndicator):
+ *  - A small badge next to the layer menu button with the number of
+ *    tiles still pending (globe/imagery tiles + all watched tilesets)
+ */
+
+/**
+ * Creates the status element for one layer row.
+ *
+ * @returns {{
+ *   element: HTMLElement,
+ *   messageEl: HTMLElement,
+ *   setLoading: (loading: boolean) => void,
+ *   setProgress: (pending: number) => void,
+ *   setError: (message: string, onRetry?: () => void) => void,
+ *   setMemory: (text: string, title?: string) => void,
+ *   setSuspended: (suspended: boolean) => void,
+ *   clear: () => void
+ * }}
+ */
+export function createLayerStatus() {
+  const element = document.createElement("span");
+  element.className = "layer-status";
+
+  const spinner = document.createElement("span");
+  spinner.className = "layer-status-spinner";
+  spinner.hidden = true;
+
+  const count = document.createElement("span");
+  count.className = "layer-status-count";
+  count.hidden = true;
+
+  const badge = document.createElement("button");
+  badge.className = "layer-status-error";
+  badge.textContent = "!";
+  badge.hidden = true;
+
+  const retry = document.createElement("button");
+  retry.className = "layer-status-retry";
+  retry.title = "Försök igen";
+  retry.hidden = true;
+
+  const memory = document.createElement("span");
+  memory.className = "layer-status-memory";
+  memory.hidden = true;
+
+  const paused = document.createElement("span");
+  paused.className = "layer-status-suspended";
+  paused.textContent = "Pausad";
+  paused.title =
+    "Lagret är långt från kameran och har tagits bort ur minnet. Det laddas igen när du kommer närmare.";
+  paused.hidden = true;
+
+  element.append(spinner, count, memory, paused, badge, retry);
+
+  // Error text, shown below the row when the badge is clicked
+  const messageEl = document.createElement("div");
+  messageEl.className = "layer-status-message";
+  messageEl.hidden = true;
+
+  let retryFn = null;
+
+  badge.addEventListener("click", (ev) => {
+    ev.stopPropagation();
+    messageEl.hidden = !messageEl.hidden;
+  });
+
+  retry.addEventListener("click", (ev) => {
+    ev.stopPropagation();
+    const fn = retryFn;
+    clear();
+    fn?.();
+  });
+
+  function setLoading(loading) {
+    spinner.hidden = !loading;
+    if (!loading) count.hidden = true;
+  }
+
+  function setProgress(pending) {
+    const busy = pending > 0;
+    spinner.hidden = !busy;
+    count.hidden = !busy;
+    count.textContent = busy ? String(pending) : "";
+    count.title = busy ? `${pending} tiles laddas` : "";
+  }
+
+  function setError(message, onRetry) {
+    spinner.hidden = true;
+    count.hidden = true;
+
+    badge.hidden = false;
+    badge.title = message;
+    messageEl.textContent = message;
+
+    retryFn = onRetry || null;
+    retry.hidden = !retryFn;
+  }
+
+  function setMemory(text, title = "") {
+    memory.hidden = !text;
+    memory.textContent = text || "";
+    memory.title = title;
+  }
+
+  function setSuspended(suspended) {
+    paused.hidden = !suspended;
+    if (suspended) setMemory("");
+  }
+
+  function clear() {
+    spinner.hidden = true;
+    count.hidden = true;
+    memory.hidden = true;
+    paused.hidden = true;
+    badge.hidden = true;
+    retry.hidden = true;
+    messageEl.hidden = true;
+    messageEl.textContent = "";
+    retryFn = null;
+  }
+
+  return {
+    element,
+    messageEl,
+    setLoading,
+    setProgress,
+    setError,
+    setMemory,
+    setSuspended,
+    clear
+  };
+}
+
+/**
+ * Shows tile progress and tile failures of a loaded 3D tileset in a layer status.
+ *
+ * @param {Cesium3DTileset} tileset
+ * @param {ReturnType<typeof createLayerStatus>} status
+ * @param {() => void} [onRetry] - Called from the error badge's retry button
+ * @returns {() => void} removes the listeners
+ */
+export function trackTilesetStatus(tileset, status, onRetry) {
+  let failed = 0;
+
+  const removeProgress = tileset.loadProgress.addEventListener(
+    (pendingRequests, tilesProcessing) => {
+      status.setProgress(pendingRequests + tilesProcessing);
+    }
+  );
+
+  const removeFailed = tileset.tileFailed.addEventListener((err) => {
+    failed++;
+    status.setError(
+      `${failed} tile(s) kunde inte laddas. Senaste fel: ${err?.message || "okänt fel"}`,
+      onRetry
+    );
+  });
+
+  return () => {
+    removeProgress();
+    removeFailed();
+  };
+}
+
+/**
+ * Shows errors of an imagery layer in a layer status: failed provider
+ * creation (async providers) and failed tile/image requests.
+ *
+ * @param {ImageryLayer} imageryLayer
+ * @param {ReturnType<typeof createLayerStatus>} status
+ * @param {() => void} [onRetry] - Called from the error badge's retry button
+ * @returns {() => void} removes the listeners
+ */
+export function trackImageryStatus(imageryLayer, status, onRetry) {
+  const removers = [];
+  let failed = 0;
+
+  function watchProvider(provider) {
+    if (!provider?.errorEvent) return;
+
+    removers.push(
+      provider.errorEvent.addEventListener((err) => {
+        failed++;
+        status.setError(
+          `${failed} kartbild(er) kunde inte hämtas. Senaste fel: ${err?.message || "okänt fel"}`,
+          onRetry
+        );
+      })
+    );
+  }
+
+  if (imageryLayer.ready) {
+    watchProvider(imageryLayer.imageryProvider);
+  } else {
+    status.setLoading(true);
+
+    removers.push(
+      imageryLayer.readyEvent.addEventListener((provider) => {
+        status.setLoading(false);
+        watchProvider(provider);
+      })
+    );
+
+    removers.push(
+      imageryLayer.errorEvent.addEventListener((err) => {
+        status.setError(
+          `Tjänsten kunde inte läsas: ${err?.message || "okänt fel"}`,
+          onRetry
+        );
+      })
+    );
+  }
+
+  return () => removers.forEach((remove) => remove());
+}
+
+/**
+ * Shows load state and errors of a data source that keeps loading after
+ * it was added (e.g. WFS layers reloading on camera move).
+ *
+ * @param {DataSource} dataSource
+ * @param {ReturnType<typeof createLayerStatus>} status
+ * @param {() => void} [onRetry] - Called from the error badge's retry button
+ * @returns {() => void} removes the listeners
+ */
+export function trackDataSourceStatus(dataSource, status, onRetry) {
+  const removeLoading = dataSource.loadingEvent.addEventListener((_, isLoading) => {
+    status.setLoading(isLoading);
+  });
+
+  const removeError = dataSource.errorEvent.addEventListener((_, err) => {
+    status.setError(`Data kunde inte hämtas: ${err?.message || "okänt fel"}`, onRetry);
+  });
+
+  return () => {
+    removeLoading();
+    removeError();
+  };
+}
+
+/**
+ * Creates the global pending-tiles badge and adds it to a container.
+ *
+ * @param {Viewer} viewer - Cesium Viewer instance
+ * @param {HTMLElement} container - Element the badge is appended to
+ * @returns {{ watchTileset: (tileset: Cesium3DTileset) => () => void }}
+ */
+export function createPendingTilesIndicator(viewer, container) {
+  const badge = document.createElement("div");
+  badge.className = "pending-tiles";
+  badge.hidden = true;
+  container.appendChild(badge);
+
+  const tilesetPending = new Map(); // Cesium3DTileset -> number
+  let globePending = 0;
+  let shown = -1;
+
+  function update() {
+    let total = globePending;
+    tilesetPending.forEach((n) => (total += n));
+
+    // Only touch the DOM when the number changes
+    if (total === shown) return;
+    shown = total;
+
+    badge.hidden = total === 0;
+    badge.textContent = String(total);
+    badge.title = `${total} tiles laddas`;
+  }
+
+  viewer.scene.globe.tileLoadProgressEvent.addEventListener((queueLength) => {
+    globePending = queueLength;
+    update();
+  });
+
+  /**
+   * Includes a tileset's pending tiles in the total until the returned
+   * function is called.
+   */
+  function watchTileset(tileset) {
+    const remove = tileset.loadProgress.addEventListener(
+      (pendingRequests, tilesProcessing) => {
+        tilesetPending.set(tileset, pendingRequests + tilesProcessing);
+        update();
+      }
+    );
+
+    return () => {
+      remove();
+      tilesetPending.delete(tileset);
+      update();
+    };
+  }
+
+  return { watchTileset };
+}
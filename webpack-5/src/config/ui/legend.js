@@ -0,0 +1,180 @@
+// src/config/ui/legend.js
+import { getImageryType } from "./imageryProviderFactory.js";
+import { getMvtStyleLegendItems } from "./mvtStyle.js";
+
+/**
+ * Legend helpers for the layer menu.
+ *
+ * Sources, in priority order:
+ *  - `legend: false` on a layer hides its legend
+ *  - `legendUrl` (string or array) on a layer is used as-is
+ *  - WMS layers get one GetLegendGraphic image per name in `layers`
+ *  - Styled tilesets get swatches generated from the active style's
+ *    color conditions. A condition can carry an optional third element
+ *    used as label: ["${height} >= 20", "color('#b2182b')", "Över 20 m"]
+ *  - A style (or vector layer) may also define `legend: [{ label, color }]`
+ *  - Vector layers without explicit legend get one swatch from fill/stroke
+ *  - MVT layers with an inline `mvtStyle` get one swatch per style layer
+ *    with a constant color, labelled with `metadata.legend` or the layer id
+ */
+
+/**
+ * Builds GetLegendGraphic URLs for a WMS layer config.
+ *
+ * @param {object} layer - WMS layer config
+ * @returns {string[]}
+ */
+export function getWmsLegendUrls(layer) {
+  if (!layer?.url || !layer.layers) return [];
+
+  const style = layer.parameters?.styles || layer.parameters?.STYLES || "";
+
+  return String(layer.layers)
+    .split(",")
+    .map((name) => name.trim())
+    .filter(Boolean)
+    .map((name) => {
+      // Keep the service's own query (MapServer ?map=..., QGIS Server ?MAP=...)
+      const url = new URL(String(layer.url), window.location.href);
+      const params = {
+        SERVICE: "WMS",
+        REQUEST: "GetLegendGraphic",
+        VERSION: "1.3.0",
+        FORMAT: "image/png",
+        LAYER: name,
+        STYLE: style
+      };
+
+      [...url.searchParams.keys()]
+        .filter((key) => key.toUpperCase() in params)
+        .forEach((key) => url.searchParams.delete(key));
+      Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+
+      return url.toString();
+    });
+}
+
+/**
+ * Converts a Cesium style color expression to a CSS color, if it is a
+ * simple literal such as color('#ff0000'), color('red', 0.5) or rgba(...).
+ *
+ * @param {string} expr - Style color expression
+ * @returns {string|null}
+ */
+export function styleColorToCss(expr) {
+  if (typeof expr !== "string") return null;
+
+  const s = expr.trim();
+
+  const colorFn = s.match(/^color\(\s*['"]([^'"]+)['"]\s*(?:,\s*([\d.]+)\s*)?\)$/);
+  if (colorFn) {
+    const [, css, alpha] = colorFn;
+    if (alpha === undefined) return css;
+    return `color-mix(in srgb, ${css} ${Math.round(parseFloat(alpha) * 100)}%, transparent)`;
+  }
+
+  if (/^(rgb|rgba|hsl|hsla)\([^)]*\)$/.test(s)) return s;
+
+  return null;
+}
+
+function conditionToLabel(condition) {
+  if (condition === "true") return "Övriga";
+  return String(condition).replace(/\$\{([^}]+)\}/g, "$1");
+}
+
+/**
+ * Returns legend entries ({ label, color }) for a tileset style definition.
+ *
+ * @param {object} styleDef - Style definition (see tilesetStyle.js)
+ * @returns {Array<{label: string, color: string}>}
+ */
+export function getStyleLegendItems(styleDef) {
+  if (!styleDef) return [];
+
+  if (Array.isArray(styleDef.legend)) return styleDef.legend;
+
+  const conditions = styleDef.color?.conditions;
+  if (!Array.isArray(conditions)) return [];
+
+  return conditions
+    .map(([condition, expr, label]) => ({
+      label: label || conditionToLabel(condition),
+      color: styleColorToCss(expr)
+    }))
+    .filter((entry) => entry.color);
+}
+
+function getVectorLegendItems(layer) {
+  if (getImageryType(layer) === "MVT") {
+    return typeof layer.mvtStyle === "object" ? getMvtStyleLegendItems(layer.mvtStyle) : [];
+  }
+
+  if (Array.isArray(layer.style?.legend)) return layer.style.legend;
+
+  const color = layer.style?.fill || layer.style?.stroke || layer.style?.pointColor;
+  if (!color) return [];
+
+  return [{ label: layer.title || layer.name, color }];
+}
+
+/**
+ * Renders the legend for a layer into a container element.
+ * Returns false when the layer has nothing to show.
+ *
+ * @param {HTMLElement} container - Target element (emptied first)
+ * @param {object} layer - Layer config
+ * @param {object} [styleDef] - Active tileset style, if any
+ * @returns {boolean}
+ */
+export function renderLegend(container, layer, styleDef) {
+  container.innerHTML = "";
+
+  if (!layer || layer.legend === false) return false;
+
+  let urls = [];
+  if (layer.legendUrl) {
+    urls = Array.isArray(layer.legendUrl) ? layer.legendUrl : [layer.legendUrl];
+  } else if (getImageryType(layer) === "WMS") {
+    urls = getWmsLegendUrls(layer);
+  }
+
+  if (urls.length) {
+    urls.forEach((url) => {
+      const img = document.createElement("img");
+      img.className = "legend-image";
+      img.alt = `Teckenförklaring för ${layer.title || layer.name}`;
+      img.loading = "lazy";
+      img.src = url;
+
+      // Many services return an error document instead of an image
+      img.addEventListener("error", () => img.remove());
+
+      container.appendChild(img);
+    });
+    return true;
+  }
+
+  const items = styleDef ? getStyleLegendItems(styleDef) : getVectorLegendItems(layer);
+  if (!items.length) return false;
+
+  const list = document.createElement("ul");
+  list.className = "legend-list";
+
+  items.forEach(({ label, color }) => {
+    const li = document.createElement("li");
+
+    const swatch = document.createElement("span");
+    swatch.className = "legend-swatch";
+    swatch.style.background = color;
+
+    const text = document.createElement("span");
+    text.textContent = label;
+
+    li.append(swatch, text);
+    list.appendChild(li);
+  });
+
+  container.appendChild(list);
+  return true;
+}
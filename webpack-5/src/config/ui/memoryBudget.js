@@ -0,0 +1,161 @@
+// src/config/ui/memoryBudget.js
+import { BoundingSphere, Cartesian3 } from "cesium";
+
+/**
+ * Global memory budget for the 3D tilesets of the layer menu.
+ *
+ * Config (index.json, all keys optional):
+ *   "memoryBudget": {
+ *     "cacheBytes": 536870912,
+ *     "maximumCacheOverflowBytes": 268435456,
+ *     "suspendDistance": 15000,
+ *     "checkInterval": 2000
+ *   }
+ *
+ *  - cacheBytes                 Tile cache shared by all loaded tilesets (default 512 MB)
+ *  - maximumCacheOverflowBytes  Extra memory they may use together when the view
+ *                               needs more tiles than the cache holds (default 256 MB)
+ *  - suspendDistance            Tilesets farther than this from the camera (m) are
+ *                               suspended; 0 turns suspension off (default 15000)
+ *  - checkInterval              ms between memory/distance checks (default 2000)
+ *
+ * The budget is split equally between the loaded tilesets through their
+ * cacheBytes / maximumCacheOverflowBytes, and split again whenever a
+ * tileset is loaded, unloaded or suspended.
+ *
+ * Suspended tilesets are removed from the scene to free their memory. The
+ * layer stays on in the menu and is loaded again when the camera comes
+ * closer. A tileset with "suspend": false in its config is never suspended.
+ */
+
+const DEFAULTS = {
+  cacheBytes: 512 * 1024 * 1024,
+  maximumCacheOverflowBytes: 256 * 1024 * 1024,
+  suspendDistance: 15000,
+  checkInterval: 2000
+};
+
+// Resume a bit closer than the suspend distance, so a camera at the limit
+// does not load and unload the tileset over and over
+const RESUME_FACTOR = 0.8;
+
+/**
+ * Formats a byte count for the layer menu ("84 MB").
+ *
+ * @param {number} bytes
+ * @returns {string}
+ */
+export function formatBytes(bytes) {
+  if (!Number.isFinite(bytes) || bytes <= 0) return "0 MB";
+  const mb = bytes / (1024 * 1024);
+  if (mb >= 1024) return `${(mb / 1024).toFixed(1)} GB`;
+  return `${mb < 10 ? mb.toFixed(1) : Math.round(mb)} MB`;
+}
+
+/**
+ * Creates the memory budget.
+ *
+ * @param {Viewer} viewer
+ * @param {object} [options] - config.memoryBudget
+ * @param {object} callbacks
+ * @param {(name: string) => void} callbacks.suspend - Unload the tileset, keep the layer on
+ * @param {(name: string) => void} callbacks.resume - Load the tileset again
+ * @param {(name: string, bytes: number, budgetBytes: number) => void} [callbacks.onUsage]
+ *        Memory used by a tileset and its share of the cache, after every check
+ * @returns {{
+ *   add: (name: string, tileset: Cesium3DTileset, opts?: {suspend?: boolean}) => void,
+ *   remove: (name: string) => void,
+ *   isSuspended: (name: string) => boolean
+ * }}
+ */
+export function createMemoryBudget(viewer, options = {}, callbacks) {
+  const settings = { ...DEFAULTS, ...options };
+
+  const loaded = new Map(); // name -> { tileset, suspend }
+  const suspended = new Map(); // name -> BoundingSphere when suspended
+
+  let timer = null;
+
+  function distanceTo(sphere) {
+    const camera = viewer.camera.positionWC;
+    return Math.max(Cartesian3.distance(camera, sphere.center) - sphere.radius, 0);
+  }
+
+  function shareOf(total) {
+    return Math.floor(total / Math.max(loaded.size, 1));
+  }
+
+  /**
+   * Splits the budget between the loaded tilesets.
+   */
+  function rebalance() {
+    const cacheBytes = shareOf(settings.cacheBytes);
+    const overflowBytes = shareOf(settings.maximumCacheOverflowBytes);
+
+    loaded.forEach(({ tileset }) => {
+      tileset.cacheBytes = cacheBytes;
+      tileset.maximumCacheOverflowBytes = overflowBytes;
+    });
+  }
+
+  function check() {
+    const limit = settings.suspendDistance;
+
+    loaded.forEach(({ tileset, suspend }, name) => {
+      if (suspend && limit > 0 && distanceTo(tileset.boundingSphere) > limit) {
+        suspended.set(name, BoundingSphere.clone(tileset.boundingSphere));
+        loaded.delete(name);
+        callbacks.suspend(name);
+        return;
+      }
+
+      callbacks.onUsage?.(name, tileset.totalMemoryUsageInBytes, tileset.cacheBytes);
+    });
+
+    suspended.forEach((sphere, name) => {
+      if (distanceTo(sphere) < limit * RESUME_FACTOR) {
+        suspended.delete(name);
+        callbacks.resume(name);
+      }
+    });
+
+    rebalance();
+  }
+
+  function updateTimer() {
+    const needed = loaded.size > 0 || suspended.size > 0;
+
+    if (needed && !timer) {
+      timer = setInterval(check, settings.checkInterval);
+    } else if (!needed && timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+  }
+
+  /**
+   * Registers a loaded tileset (also after it was resumed).
+   */
+  function add(name, tileset, { suspend = true } = {}) {
+    suspended.delete(name);
+    loaded.set(name, { tileset, suspend });
+    rebalance();
+    updateTimer();
+  }
+
+  /**
+   * Forgets a tileset that was turned off, suspended or not.
+   */
+  function remove(name) {
+    loaded.delete(name);
+    suspended.delete(name);
+    rebalance();
+    updateTimer();
+  }
+
+  function isSuspended(name) {
+    return suspended.has(name);
+  }
+
+  return { add, remove, isSuspended };
+}
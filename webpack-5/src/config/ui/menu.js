@@ -19,6 +19,7 @@ import { initResolution } from "./menuFunctions/resolution/resolution.js";
  *
  * @param {Viewer} viewer - Cesium Viewer instance
  * @param {object} config - Global config object (contains proj4Defs)
+ * @returns {{ getResolution: () => string, selectResolution: (level: string) => void }}
  */
 export default function initMenuUI(viewer, config) {
 
@@ -135,7 +136,7 @@ export default function initMenuUI(viewer, config) {
   // Share map
   document.getElementById("shareMapBtn").addEventListener("click", () => {
     console.log("Dela karta");
-    shareView(viewer);
+    shareView(viewer, config);
   });
 
   // Screenshot
@@ -178,6 +179,7 @@ document.getElementById("pickingRowCheckbox")
   // Resolution dropdown
   // ------------------------------------------------------------
   const setResolution = initResolution(viewer);
+  let currentResolution = "medium";
 
   const resDropdown = document.getElementById("resolutionRowDropdown");
   const resBtn      = resDropdown.querySelector(".custom-dropdown-btn");
@@ -189,17 +191,29 @@ document.getElementById("pickingRowCheckbox")
     resList.classList.toggle("open");
   });
 
+  function selectResolution(level) {
+    const opt = Array.from(resOptions).find(o => o.dataset.value === level);
+    if (!opt) return;
+
+    resBtn.childNodes[0].textContent = opt.textContent;
+    resList.classList.remove("open");
+    resOptions.forEach(o => o.classList.remove("selected"));
+    opt.classList.add("selected");
+    currentResolution = level;
+    setResolution(level);
+  }
+
   resOptions.forEach(opt => {
-    opt.addEventListener("click", () => {
-      resBtn.childNodes[0].textContent = opt.textContent;
-      resList.classList.remove("open");
-      resOptions.forEach(o => o.classList.remove("selected"));
-      opt.classList.add("selected");
-      setResolution(opt.dataset.value);
-    });
+    opt.addEventListener("click", () => selectResolution(opt.dataset.value));
   });
 
   document.addEventListener("click", () => {
     resList.classList.remove("open");
   });
+
+  // Used by shared links to read/restore the resolution profile
+  return {
+    getResolution: () => currentResolution,
+    selectResolution
+  };
 }
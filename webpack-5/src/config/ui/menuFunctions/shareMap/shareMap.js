@@ -3,34 +3,186 @@
 // Only the Cesium parts we need:
 import { Cartesian3, Math as CesiumMath } from "cesium";
 
+// Compact resolution codes in the URL
+const RESOLUTION_CODES = { low: "l", medium: "m", high: "h" };
+
+/**
+ * Rounds a number to a fixed number of decimals and drops trailing zeros.
+ */
+function round(value, decimals) {
+  return String(Number(value.toFixed(decimals)));
+}
+
+/**
+ * Escapes the delimiters of the "l" and "pl" values ("," "~" "@" and "%"
+ * itself). Everything else is left to URLSearchParams, so names are only
+ * percent-encoded once.
+ */
+function escapePart(value) {
+  return String(value).replace(
+    /[%,~@]/g,
+    (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+}
+
+function unescapePart(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * Encodes layer state as "name~opacity@time,name,..." where opacity is a
+ * percentage and left out when the layer is fully opaque, and time is the
+ * selected year of a time layer (left out for the default year).
+ */
+function encodeLayers(layers) {
+  return layers
+    .map(({ name, opacity, time }) => {
+      const pct = Math.round((opacity ?? 1) * 100);
+      let key = escapePart(name);
+      if (pct !== 100) key += `~${pct}`;
+      if (time !== undefined) key += `@${escapePart(time)}`;
+      return key;
+    })
+    .join(",");
+}
+
+function decodeLayers(value) {
+  return value
+    .split(",")
+    .filter(Boolean)
+    .map((part) => {
+      const [layerPart, time] = part.split("@");
+      const [key, pct] = layerPart.split("~");
+      const opacity = pct === undefined ? 1 : parseInt(pct, 10) / 100;
+      return {
+        name: unescapePart(key),
+        opacity: Number.isFinite(opacity) ? Math.min(Math.max(opacity, 0), 1) : 1,
+        ...(time !== undefined ? { time: unescapePart(time) } : {})
+      };
+    });
+}
+
+// Clipping of the open project: "t" terrain, "s" 3D tilesets, "0" none
+function encodeClipping({ terrain, tilesets }) {
+  return `${terrain ? "t" : ""}${tilesets ? "s" : ""}` || "0";
+}
+
+function decodeClipping(value) {
+  if (value === null) return {};
+  return { terrain: value.includes("t"), tilesets: value.includes("s") };
+}
+
 /**
- * Creates a shareable URL based on the viewer's current camera position.
+ * Encodes the attribute filters of the active tilesets as JSON:
+ * {"name":["and",[["height",">","20"],...]],...}. Returns null when no
+ * layer has a filter.
+ */
+function encodeFilters(layers) {
+  const filters = {};
+
+  layers.forEach(({ name, filter }) => {
+    if (!filter) return;
+    filters[name] = [
+      filter.join,
+      filter.conditions.map((c) => [c.property, c.operator, c.value])
+    ];
+  });
+
+  return Object.keys(filters).length ? JSON.stringify(filters) : null;
+}
+
+function decodeFilters(value) {
+  try {
+    const parsed = JSON.parse(value);
+    const filters = {};
+
+    Object.entries(parsed || {}).forEach(([name, [join, conditions]]) => {
+      if (!Array.isArray(conditions)) return;
+      filters[name] = {
+        join: join === "or" ? "or" : "and",
+        conditions: conditions.map(([property, operator, val]) => ({
+          property: String(property ?? ""),
+          operator: String(operator ?? "="),
+          value: String(val ?? "")
+        }))
+      };
+    });
+
+    return filters;
+  } catch (e) {
+    console.warn("Ogiltigt filter i länk:", e);
+    return {};
+  }
+}
+
+/**
+ * Creates a shareable URL based on the viewer's current camera position
+ * and the state of the map.
  *
  * What it does:
  *  - Reads camera longitude, latitude, height, heading, pitch, roll
- *  - Encodes them as URL parameters
+ *  - Reads active layers with opacities and draw order, background layer,
+ *    open project and resolution profile (when the modules are available)
+ *  - Encodes them as short URL parameters:
+ *      lon, lat, height, hdg, pitch, roll  camera (rounded)
+ *      l    active layers, "name~opacity%@year" (opacity left out when 100,
+ *           year only for time layers not showing their default year)
+ *      f    attribute filters of active tilesets (JSON, see encodeFilters)
+ *      bg   background layer name
+ *      project  id of the open project
+ *      ph   phase of the open project (id)
+ *      pl   project layers that are on, "name,name"
+ *      clip project clipping, "t" terrain and/or "s" 3D tilesets, "0" none
+ *      res  resolution profile (l/m/h), left out for the default "medium"
  *  - Copies the generated link to clipboard
  *  - Updates the browser URL without adding a new history entry
  *
  * @param {Viewer} viewer - Cesium Viewer instance
+ * @param {object} [config] - Global config object (holds the module APIs)
  */
-export function shareView(viewer) {
+export function shareView(viewer, config = {}) {
   const cam    = viewer.camera;
   const carto  = cam.positionCartographic;
 
-  // Extract camera parameters in degrees
-  const lon    = CesiumMath.toDegrees(carto.longitude);
-  const lat    = CesiumMath.toDegrees(carto.latitude);
-  const height = carto.height;
-  const hdg    = CesiumMath.toDegrees(cam.heading);
-  const pitch  = CesiumMath.toDegrees(cam.pitch);
-  const roll   = CesiumMath.toDegrees(cam.roll);
+  // Extract camera parameters in degrees (~0.1 m precision is enough)
+  const lon    = round(CesiumMath.toDegrees(carto.longitude), 6);
+  const lat    = round(CesiumMath.toDegrees(carto.latitude), 6);
+  const height = round(carto.height, 1);
+  const hdg    = round(CesiumMath.toDegrees(cam.heading), 2);
+  const pitch  = round(CesiumMath.toDegrees(cam.pitch), 2);
+  const roll   = round(CesiumMath.toDegrees(cam.roll), 2);
 
   // Base URL (origin + path, no query params)
   const base   = window.location.origin + window.location.pathname;
 
   // Build query string
   const params = new URLSearchParams({ lon, lat, height, hdg, pitch, roll });
+
+  const layerState = config.layerMenuApi?.getState?.();
+  if (layerState) {
+    params.set("l", encodeLayers(layerState.layers));
+    const filters = encodeFilters(layerState.layers);
+    if (filters) params.set("f", filters);
+    if (layerState.background) params.set("bg", layerState.background);
+  }
+
+  const projectState = config.projectMenuApi?.getProjectState?.();
+  if (projectState) {
+    params.set("project", projectState.id);
+    if (projectState.phase !== undefined) params.set("ph", projectState.phase);
+    params.set("pl", projectState.layers.map(escapePart).join(","));
+    params.set("clip", encodeClipping(projectState.clipping));
+  }
+
+  const resolution = config.menuApi?.getResolution?.();
+  if (resolution && resolution !== "medium" && RESOLUTION_CODES[resolution]) {
+    params.set("res", RESOLUTION_CODES[resolution]);
+  }
+
   const url    = `${base}?${params.toString()}`;
 
   // Copy to clipboard and notify user
@@ -43,18 +195,82 @@ export function shareView(viewer) {
 }
 
 /**
- * Reads camera parameters from the URL and moves the camera accordingly.
+ * Reads map state and camera parameters from the URL and applies them.
  *
  * This allows:
- *  - Sharing a link with a specific camera view
+ *  - Sharing a link with a specific camera view, layers and project
  *  - Opening the map with the same view someone else shared
  *
+ * Order: resolution, layers and background first, then the project
+ * (which flies to its own start location), and the camera last so the
+ * shared view wins. Camera-locked projects keep their own view.
+ *
+ * Projects are linked by their stable id, e.g. ?project=nya-skolan from a
+ * web page or a QR code. Without camera parameters the project's start
+ * location is used; "ph", "pl" and "clip" override its start phase,
+ * layers and clipping. Old links with the project index ("p") still work.
+ *
  * @param {Viewer} viewer - Cesium Viewer instance
+ * @param {object} [config] - Global config object (holds the module APIs)
  */
-export function applyUrlCamera(viewer) {
+export async function applyUrlCamera(viewer, config = {}) {
   const p       = new URLSearchParams(window.location.search);
 
-  // Parse all parameters
+  // Resolution profile
+  const resCode = p.get("res");
+  const resolution = Object.keys(RESOLUTION_CODES).find(
+    (level) => RESOLUTION_CODES[level] === resCode || level === resCode
+  );
+  if (resolution) config.menuApi?.selectResolution?.(resolution);
+
+  // Layers and background ("l" may be empty = no layers on)
+  const layerParam = p.get("l");
+  const bg         = p.get("bg");
+  if (layerParam !== null || bg) {
+    const filters = p.get("f") ? decodeFilters(p.get("f")) : {};
+    const layers = layerParam !== null
+      ? decodeLayers(layerParam).map((l) => ({ ...l, filter: filters[l.name] }))
+      : undefined;
+
+    config.layerMenuApi?.applyState?.({
+      layers,
+      background: bg || undefined
+    });
+  }
+
+  // Project
+  let lockedProject = false;
+  const projectId    = p.get("project");
+  const projectApi   = config.projectMenuApi;
+  if ((projectId || p.get("p") !== null) && projectApi?.openProjectSidebar) {
+    // Projects from config.projectSource may still be loading
+    await projectApi.whenReady?.();
+
+    const projectIndex = projectId
+      ? projectApi.getProjectIndex(projectId)
+      : parseInt(p.get("p"), 10);
+    const project = config.projects?.[projectIndex];
+
+    if (project) {
+      lockedProject = project["lock-camera"] === true;
+      const layers = p.get("pl");
+      try {
+        await projectApi.openProjectSidebar(projectIndex, {
+          layers: layers !== null ? layers.split(",").filter(Boolean).map(unescapePart) : undefined,
+          clipping: decodeClipping(p.get("clip")),
+          phase: p.get("ph") ?? undefined
+        });
+      } catch (e) {
+        console.warn("Kunde inte öppna projekt från länk:", e);
+      }
+    } else {
+      console.warn(`Projektet "${projectId ?? p.get("p")}" i länken finns inte`);
+    }
+  }
+
+  if (lockedProject) return;
+
+  // Parse all camera parameters
   const lon     = parseFloat(p.get("lon"));
   const lat     = parseFloat(p.get("lat"));
   const height  = parseFloat(p.get("height"));
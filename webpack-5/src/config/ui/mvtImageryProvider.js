@@ -0,0 +1,230 @@
+// src/config/ui/mvtImageryProvider.js
+import { VectorTile } from "@mapbox/vector-tile";
+import Pbf from "pbf";
+import {
+  Credit,
+  Event,
+  Rectangle,
+  Resource,
+  WebMercatorTilingScheme
+} from "cesium";
+
+import { decodeTile, paintTile, parseStyle } from "./mvtStyle.js";
+
+/**
+ * Mapbox Vector Tile layers ("type": "MVT").
+ *
+ * The tiles (.pbf) are decoded and drawn on a canvas per imagery tile, so
+ * they are draped on the terrain like any other imagery layer. Styling uses
+ * a subset of the Mapbox GL style specification, see mvtStyle.js.
+ *
+ * The layer works both as an overlay (in `wmsLayers`) and as a background
+ * (in `backgroundLayers`), where the style usually starts with a
+ * "background" layer.
+ *
+ * Example config entry:
+ * {
+ *   "name": "fastigheter",
+ *   "title": "Fastighetsgränser",
+ *   "group": "Planer",
+ *   "type": "MVT",
+ *   "url": "https://example.se/tiles/fastigheter/{z}/{x}/{y}.pbf",
+ *   "maxzoom": 14,
+ *   "mvtStyle": {
+ *     "layers": [
+ *       {
+ *         "id": "ytor", "type": "fill", "source-layer": "fastighet",
+ *         "paint": { "fill-color": "#b35806", "fill-opacity": 0.1 }
+ *       },
+ *       {
+ *         "id": "gränser", "type": "line", "source-layer": "fastighet", "minzoom": 12,
+ *         "metadata": { "legend": "Fastighetsgräns" },
+ *         "paint": {
+ *           "line-color": "#b35806",
+ *           "line-width": ["interpolate", ["linear"], ["zoom"], 12, 0.5, 18, 3]
+ *         }
+ *       }
+ *     ]
+ *   }
+ * }
+ *
+ * Config keys:
+ *  - url         Tile URL template with {z}, {x} and {y}. May be left out when
+ *                the style has a vector source with `tiles`
+ *  - mvtStyle    Mapbox GL style: a style document, only its `layers`, or
+ *                the URL of a style document. (`style` is already used for
+ *                the background button icon and tileset styles.)
+ *  - source      Style source to draw when the style has several
+ *                (default: the first vector source)
+ *  - minzoom     Lowest zoom level with tiles (default: from the source, else 0)
+ *  - maxzoom     Highest zoom level with tiles (default: from the source, else 14).
+ *                Deeper levels are drawn from those tiles, so lines stay sharp
+ *  - tileSize    Size of the drawn tiles in px (default 512, matching the
+ *                zoom levels of Mapbox GL styles)
+ *  - cacheTiles  Number of decoded tiles kept for deeper levels (default 64)
+ *  - credit, maximumLevel, rectangle as for other imagery layers
+ */
+
+const DEFAULTS = {
+  minzoom: 0,
+  maxzoom: 14,
+  maximumLevel: 20,
+  tileSize: 512,
+  cacheTiles: 64
+};
+
+// Servers answer empty tiles with these instead of an empty body
+const EMPTY_TILE_STATUS = [204, 404];
+
+function findVectorSource(sources, name) {
+  if (name) return sources[name];
+  return Object.values(sources).find((s) => s.type === "vector");
+}
+
+export class MvtImageryProvider {
+  /**
+   * Use MvtImageryProvider.fromConfig(), which also loads a style URL.
+   *
+   * @param {object} layer - Layer config
+   * @param {object|Array<object>} style - Loaded style document or layers
+   */
+  constructor(layer, style) {
+    const { sources, layers } = parseStyle(style);
+    const source = findVectorSource(sources, layer.source) || {};
+
+    this._url = layer.url || source.tiles?.[0];
+    this._layers = layers;
+    this._minzoom = layer.minzoom ?? source.minzoom ?? DEFAULTS.minzoom;
+    this._maxzoom = layer.maxzoom ?? source.maxzoom ?? DEFAULTS.maxzoom;
+    this._cacheSize = layer.cacheTiles ?? DEFAULTS.cacheTiles;
+    this._cache = new Map(); // "z/x/y" -> Promise of decoded features
+
+    const size = layer.tileSize ?? DEFAULTS.tileSize;
+
+    this.tilingScheme = new WebMercatorTilingScheme();
+    this.rectangle = layer.rectangle
+      ? Rectangle.fromDegrees(
+          layer.rectangle.west,
+          layer.rectangle.south,
+          layer.rectangle.east,
+          layer.rectangle.north
+        )
+      : this.tilingScheme.rectangle;
+    this.tileWidth = size;
+    this.tileHeight = size;
+    this.minimumLevel = this._minzoom;
+    this.maximumLevel = layer.maximumLevel ?? DEFAULTS.maximumLevel;
+    this.tileDiscardPolicy = undefined;
+    this.errorEvent = new Event();
+    this.credit = layer.credit ? new Credit(layer.credit) : undefined;
+    this.proxy = undefined;
+    this.hasAlphaChannel = true;
+
+    if (!this._url) {
+      throw new Error(`MVT layer "${layer.name}" saknar url`);
+    }
+  }
+
+  /**
+   * Creates the provider, loading `mvtStyle` first when it is a URL.
+   *
+   * @param {object} layer - Layer config
+   * @returns {Promise<MvtImageryProvider>}
+   */
+  static async fromConfig(layer) {
+    let style = layer.mvtStyle || [];
+    if (typeof style === "string") {
+      style = await Resource.fetchJson({ url: style });
+    }
+    return new MvtImageryProvider(layer, style);
+  }
+
+  getTileCredits() {
+    return undefined;
+  }
+
+  /**
+   * Fetches and draws a tile. Levels above maxzoom are drawn from the
+   * ancestor at maxzoom, which is fetched once and cached for its children.
+   *
+   * @returns {Promise<HTMLCanvasElement>|undefined} undefined when the request was throttled
+   */
+  requestImage(x, y, level, request) {
+    const dz = Math.max(level - this._maxzoom, 0);
+
+    let features;
+    if (dz === 0) {
+      features = this._fetchTile(x, y, level, request);
+      if (!features) return undefined;
+    } else {
+      features = this._getCachedTile(x >> dz, y >> dz, level - dz);
+    }
+
+    return features.then((decoded) => {
+      const size = this.tileWidth;
+      const canvas = document.createElement("canvas");
+      canvas.width = size;
+      canvas.height = size;
+
+      // Position of this tile inside the ancestor, in px at this level
+      const scale = 1 << dz;
+      const offsetX = (x - ((x >> dz) << dz)) * size;
+      const offsetY = (y - ((y >> dz) << dz)) * size;
+
+      paintTile(canvas.getContext("2d"), decoded, this._layers, {
+        zoom: level,
+        size,
+        scale,
+        offsetX,
+        offsetY
+      });
+
+      return canvas;
+    });
+  }
+
+  pickFeatures() {
+    return undefined;
+  }
+
+  _fetchTile(x, y, z, request) {
+    const promise = new Resource({
+      url: this._url,
+      templateValues: { x, y, z },
+      request
+    }).fetchArrayBuffer();
+
+    if (!promise) return undefined;
+
+    return promise.then(
+      (buffer) => (buffer?.byteLength ? decodeTile(new VectorTile(new Pbf(buffer))) : {}),
+      (error) => {
+        if (EMPTY_TILE_STATUS.includes(error?.statusCode)) return {};
+        throw error;
+      }
+    );
+  }
+
+  _getCachedTile(x, y, z) {
+    const key = `${z}/${x}/${y}`;
+
+    if (this._cache.has(key)) {
+      // Move to the end (most recently used)
+      const cached = this._cache.get(key);
+      this._cache.delete(key);
+      this._cache.set(key, cached);
+      return cached;
+    }
+
+    // Not throttled: the request is shared by several imagery tiles
+    const promise = this._fetchTile(x, y, z);
+    promise.catch(() => this._cache.delete(key));
+
+    this._cache.set(key, promise);
+    if (this._cache.size > this._cacheSize) {
+      this._cache.delete(this._cache.keys().next().value);
+    }
+
+    return promise;
+  }
+}
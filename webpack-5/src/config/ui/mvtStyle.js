@@ -0,0 +1,468 @@
+// src/config/ui/mvtStyle.js
+import { Color } from "cesium";
+
+/**
+ * A subset of the Mapbox GL style specification, used to draw Mapbox
+ * Vector Tiles on a canvas (see mvtImageryProvider.js).
+ *
+ * Layer types:
+ *  - background  background-color, background-opacity
+ *  - fill        fill-color, fill-opacity, fill-outline-color
+ *  - line        line-color, line-width, line-opacity, line-dasharray,
+ *                layout line-cap / line-join
+ *  - circle      circle-color, circle-radius, circle-opacity,
+ *                circle-stroke-color, circle-stroke-width
+ * Other types (symbol, raster, fill-extrusion, ...) are skipped.
+ *
+ * Layer keys: id, type, source, source-layer, minzoom, maxzoom, filter and
+ * layout.visibility.
+ *
+ * Property values may be constants, zoom/property functions
+ * ({ "stops": [[12, 1], [16, 4]], "base": 1.5, "property": "klass" })
+ * or expressions:
+ *   get, has, !has, id, geometry-type, zoom, literal, !, all, any, none,
+ *   ==, !=, <, <=, >, >=, in, !in, match, case, coalesce, step,
+ *   interpolate (linear / exponential), to-number, to-string, to-boolean,
+ *   concat, +, -, *, /
+ *
+ * Filters may use either expressions or the legacy filter syntax, e.g.
+ * ["==", "$type", "Polygon"] or ["in", "klass", "A", "B"].
+ */
+
+const GEOMETRY_TYPES = ["Unknown", "Point", "LineString", "Polygon"];
+
+const SUPPORTED_TYPES = ["background", "fill", "line", "circle"];
+
+// Mapbox GL sizes (line widths, radii) refer to 512 px tiles
+const GL_TILE_SIZE = 512;
+
+const warned = new Set();
+
+function warnOnce(message) {
+  if (warned.has(message)) return;
+  warned.add(message);
+  console.warn(message);
+}
+
+function getProperty(feature, key) {
+  if (!feature) return undefined;
+  if (key === "$type") return GEOMETRY_TYPES[feature.type];
+  if (key === "$id") return feature.id;
+  return feature.properties[key];
+}
+
+// ------------------------------------------------------------
+// Expressions
+// ------------------------------------------------------------
+function compare(op, a, b) {
+  switch (op) {
+    case "==":
+      return a === b;
+    case "!=":
+      return a !== b;
+    case "<":
+      return a < b;
+    case "<=":
+      return a <= b;
+    case ">":
+      return a > b;
+    case ">=":
+      return a >= b;
+    default:
+      return false;
+  }
+}
+
+// Legacy filters name the property with a plain string: ["==", "klass", "A"]
+function isLegacyComparison(args) {
+  return typeof args[0] === "string" && !Array.isArray(args[1]);
+}
+
+function isLegacyIn(args) {
+  return typeof args[0] === "string" && (args.length > 2 || !Array.isArray(args[1]));
+}
+
+function toColor(value) {
+  return typeof value === "string" ? Color.fromCssColorString(value) : undefined;
+}
+
+function interpolateValue(a, b, t) {
+  if (typeof a === "number" && typeof b === "number") return a + (b - a) * t;
+
+  const ca = toColor(a);
+  const cb = toColor(b);
+  if (ca && cb) return Color.lerp(ca, cb, t, new Color()).toCssColorString();
+
+  if (Array.isArray(a) && Array.isArray(b) && a.length === b.length) {
+    return a.map((v, i) => interpolateValue(v, b[i], t));
+  }
+
+  // Not interpolatable: keep the lower stop
+  return a;
+}
+
+/**
+ * Interpolates between sorted [input, output] stops, exponentially when
+ * `base` is not 1 (as in the style specification).
+ */
+function interpolateStops(stops, input, base = 1) {
+  if (!stops.length) return undefined;
+  if (input <= stops[0][0]) return stops[0][1];
+
+  const last = stops[stops.length - 1];
+  if (input >= last[0]) return last[1];
+
+  const i = stops.findIndex(([stop]) => stop > input);
+  const [z0, v0] = stops[i - 1];
+  const [z1, v1] = stops[i];
+
+  const range = z1 - z0;
+  const progress = input - z0;
+  const t =
+    base === 1
+      ? progress / range
+      : (Math.pow(base, progress) - 1) / (Math.pow(base, range) - 1);
+
+  return interpolateValue(v0, v1, t);
+}
+
+/**
+ * Evaluates an expression (or legacy filter) for a feature at a zoom level.
+ * Non-expression values are returned as-is.
+ *
+ * @param {*} expr
+ * @param {{ zoom: number, feature?: object }} ctx
+ * @returns {*}
+ */
+export function evaluate(expr, ctx) {
+  // Constants, including number arrays such as line-dasharray
+  if (!Array.isArray(expr) || typeof expr[0] !== "string") return expr;
+
+  const [op, ...args] = expr;
+  const ev = (e) => evaluate(e, ctx);
+
+  switch (op) {
+    case "literal":
+      return args[0];
+    case "get":
+      return getProperty(ctx.feature, ev(args[0]));
+    case "has":
+      return getProperty(ctx.feature, ev(args[0])) !== undefined;
+    case "!has":
+      return getProperty(ctx.feature, ev(args[0])) === undefined;
+    case "id":
+      return ctx.feature?.id;
+    case "geometry-type":
+      return GEOMETRY_TYPES[ctx.feature?.type];
+    case "zoom":
+      return ctx.zoom;
+
+    case "!":
+      return !ev(args[0]);
+    case "all":
+      return args.every((a) => ev(a));
+    case "any":
+      return args.some((a) => ev(a));
+    case "none":
+      return !args.some((a) => ev(a));
+
+    case "==":
+    case "!=":
+    case "<":
+    case "<=":
+    case ">":
+    case ">=":
+      return isLegacyComparison(args)
+        ? compare(op, getProperty(ctx.feature, args[0]), args[1])
+        : compare(op, ev(args[0]), ev(args[1]));
+
+    case "in":
+    case "!in": {
+      let found;
+      if (isLegacyIn(args)) {
+        found = args.slice(1).includes(getProperty(ctx.feature, args[0]));
+      } else {
+        const haystack = ev(args[1]);
+        found = haystack?.includes?.(ev(args[0])) ?? false;
+      }
+      return op === "in" ? found : !found;
+    }
+
+    case "match": {
+      const input = ev(args[0]);
+      for (let i = 1; i < args.length - 1; i += 2) {
+        const labels = args[i];
+        if (Array.isArray(labels) ? labels.includes(input) : labels === input) {
+          return ev(args[i + 1]);
+        }
+      }
+      return ev(args[args.length - 1]);
+    }
+    case "case":
+      for (let i = 0; i < args.length - 1; i += 2) {
+        if (ev(args[i])) return ev(args[i + 1]);
+      }
+      return ev(args[args.length - 1]);
+    case "coalesce":
+      for (const a of args) {
+        const v = ev(a);
+        if (v !== undefined && v !== null) return v;
+      }
+      return null;
+
+    case "step": {
+      const input = ev(args[0]);
+      let output = args[1];
+      for (let i = 2; i < args.length - 1; i += 2) {
+        if (input < args[i]) break;
+        output = args[i + 1];
+      }
+      return ev(output);
+    }
+    case "interpolate": {
+      const [type, inputExpr, ...rest] = args;
+      const base = type?.[0] === "exponential" ? type[1] : 1;
+      const stops = [];
+      for (let i = 0; i < rest.length - 1; i += 2) {
+        stops.push([rest[i], ev(rest[i + 1])]);
+      }
+      return interpolateStops(stops, ev(inputExpr), base);
+    }
+
+    case "to-number":
+      return Number(ev(args[0]));
+    case "to-string":
+      return String(ev(args[0]) ?? "");
+    case "to-boolean":
+      return Boolean(ev(args[0]));
+    case "concat":
+      return args.map((a) => ev(a) ?? "").join("");
+    case "+":
+      return args.reduce((sum, a) => sum + Number(ev(a)), 0);
+    case "*":
+      return args.reduce((product, a) => product * Number(ev(a)), 1);
+    case "-":
+      return args.length === 1 ? -ev(args[0]) : ev(args[0]) - ev(args[1]);
+    case "/":
+      return ev(args[0]) / ev(args[1]);
+
+    default:
+      warnOnce(`Vektortiler: uttrycket "${op}" stöds inte`);
+      return undefined;
+  }
+}
+
+/**
+ * Resolves a paint/layout value: a constant, an expression or a legacy
+ * function with `stops`.
+ */
+function resolve(value, ctx) {
+  if (value && typeof value === "object" && !Array.isArray(value) && value.stops) {
+    const input = value.property
+      ? getProperty(ctx.feature, value.property)
+      : ctx.zoom;
+
+    if (value.type === "categorical") {
+      const stop = value.stops.find(([s]) => s === input);
+      return stop ? stop[1] : value.default;
+    }
+    if (value.type === "interval") {
+      return evaluate(["step", input, value.stops[0][1], ...value.stops.flat()], ctx);
+    }
+    return interpolateStops(value.stops, input, value.base ?? 1);
+  }
+
+  return evaluate(value, ctx);
+}
+
+// ------------------------------------------------------------
+// Style
+// ------------------------------------------------------------
+/**
+ * Normalizes a style to { sources, layers } with the layer types that can
+ * be drawn. Accepts a full style document or just its `layers` array.
+ *
+ * @param {object|Array<object>} style
+ * @returns {{ sources: object, layers: Array<object> }}
+ */
+export function parseStyle(style) {
+  const sources = (!Array.isArray(style) && style?.sources) || {};
+  const layers = (Array.isArray(style) ? style : style?.layers) || [];
+
+  return {
+    sources,
+    layers: layers.filter((layer) => {
+      if (SUPPORTED_TYPES.includes(layer.type)) return true;
+      warnOnce(`Vektortiler: lagertypen "${layer.type}" (${layer.id}) stöds inte`);
+      return false;
+    })
+  };
+}
+
+function isVisibleAt(layer, zoom) {
+  if (layer.layout?.visibility === "none") return false;
+  if (Number.isFinite(layer.minzoom) && zoom < layer.minzoom) return false;
+  if (Number.isFinite(layer.maxzoom) && zoom >= layer.maxzoom) return false;
+  return true;
+}
+
+/**
+ * Decodes the features of a VectorTile once, so every style layer can
+ * reuse the geometry.
+ *
+ * @param {VectorTile} tile - @mapbox/vector-tile tile
+ * @returns {Object<string, Array<object>>} source layer name -> features
+ */
+export function decodeTile(tile) {
+  const result = {};
+
+  Object.entries(tile.layers).forEach(([name, layer]) => {
+    const features = [];
+    for (let i = 0; i < layer.length; i++) {
+      const f = layer.feature(i);
+      features.push({
+        id: f.id,
+        type: f.type,
+        properties: f.properties,
+        extent: f.extent,
+        geometry: f.loadGeometry()
+      });
+    }
+    result[name] = features;
+  });
+
+  return result;
+}
+
+function tracePath(g, rings, toPx, close) {
+  g.beginPath();
+  rings.forEach((ring) => {
+    ring.forEach((p, i) => {
+      const [x, y] = toPx(p);
+      if (i === 0) g.moveTo(x, y);
+      else g.lineTo(x, y);
+    });
+    if (close) g.closePath();
+  });
+}
+
+function drawFill(g, feature, paint, ctx, toPx) {
+  if (feature.type !== 3) return;
+
+  tracePath(g, feature.geometry, toPx, true);
+
+  g.globalAlpha = resolve(paint["fill-opacity"], ctx) ?? 1;
+  g.fillStyle = resolve(paint["fill-color"], ctx) ?? "#000000";
+  g.fill();
+
+  const outline = resolve(paint["fill-outline-color"], ctx);
+  if (outline) {
+    g.lineWidth = 1;
+    g.setLineDash([]);
+    g.strokeStyle = outline;
+    g.stroke();
+  }
+}
+
+function drawLine(g, feature, layer, ctx, toPx, pixelRatio) {
+  if (feature.type !== 2 && feature.type !== 3) return;
+
+  const paint = layer.paint || {};
+  const width = (resolve(paint["line-width"], ctx) ?? 1) * pixelRatio;
+  if (width <= 0) return;
+
+  tracePath(g, feature.geometry, toPx, feature.type === 3);
+
+  const dashes = resolve(paint["line-dasharray"], ctx);
+  g.setLineDash(Array.isArray(dashes) ? dashes.map((d) => d * width) : []);
+  g.lineCap = resolve(layer.layout?.["line-cap"], ctx) || "butt";
+  g.lineJoin = resolve(layer.layout?.["line-join"], ctx) || "miter";
+  g.lineWidth = width;
+  g.globalAlpha = resolve(paint["line-opacity"], ctx) ?? 1;
+  g.strokeStyle = resolve(paint["line-color"], ctx) ?? "#000000";
+  g.stroke();
+}
+
+function drawCircle(g, feature, paint, ctx, toPx, pixelRatio) {
+  if (feature.type !== 1) return;
+
+  const radius = (resolve(paint["circle-radius"], ctx) ?? 5) * pixelRatio;
+  const strokeWidth = (resolve(paint["circle-stroke-width"], ctx) ?? 0) * pixelRatio;
+
+  g.globalAlpha = resolve(paint["circle-opacity"], ctx) ?? 1;
+  g.fillStyle = resolve(paint["circle-color"], ctx) ?? "#000000";
+  g.strokeStyle = resolve(paint["circle-stroke-color"], ctx) ?? "#000000";
+  g.lineWidth = strokeWidth;
+  g.setLineDash([]);
+
+  feature.geometry.flat().forEach((p) => {
+    const [x, y] = toPx(p);
+    g.beginPath();
+    g.arc(x, y, radius, 0, Math.PI * 2);
+    g.fill();
+    if (strokeWidth > 0) g.stroke();
+  });
+}
+
+/**
+ * Draws decoded vector tile features on a canvas with the style layers.
+ *
+ * @param {CanvasRenderingContext2D} g
+ * @param {Object<string, Array<object>>} features - From decodeTile()
+ * @param {Array<object>} layers - Style layers (parseStyle().layers)
+ * @param {object} options
+ * @param {number} options.zoom - Zoom level being drawn
+ * @param {number} options.size - Canvas size in px
+ * @param {number} [options.scale=1] - 2^n when drawing part of a lower level tile
+ * @param {number} [options.offsetX=0] - Px offset of that part
+ * @param {number} [options.offsetY=0]
+ */
+export function paintTile(g, features, layers, { zoom, size, scale = 1, offsetX = 0, offsetY = 0 }) {
+  const pixelRatio = size / GL_TILE_SIZE;
+
+  layers.forEach((layer) => {
+    if (!isVisibleAt(layer, zoom)) return;
+
+    const paint = layer.paint || {};
+
+    if (layer.type === "background") {
+      const ctx = { zoom };
+      g.globalAlpha = resolve(paint["background-opacity"], ctx) ?? 1;
+      g.fillStyle = resolve(paint["background-color"], ctx) ?? "#000000";
+      g.fillRect(0, 0, size, size);
+      return;
+    }
+
+    (features[layer["source-layer"]] || []).forEach((feature) => {
+      const ctx = { zoom, feature };
+      if (layer.filter && !evaluate(layer.filter, ctx)) return;
+
+      const k = (size / feature.extent) * scale;
+      const toPx = (p) => [p.x * k - offsetX, p.y * k - offsetY];
+
+      if (layer.type === "fill") drawFill(g, feature, paint, ctx, toPx);
+      else if (layer.type === "line") drawLine(g, feature, layer, ctx, toPx, pixelRatio);
+      else if (layer.type === "circle") drawCircle(g, feature, paint, ctx, toPx, pixelRatio);
+    });
+  });
+
+  g.globalAlpha = 1;
+}
+
+/**
+ * Returns legend entries ({ label, color }) for the fill, line and circle
+ * layers of a style that have a constant color. The label is
+ * `metadata.legend` of the style layer, or its id.
+ *
+ * @param {object|Array<object>} style
+ * @returns {Array<{label: string, color: string}>}
+ */
+export function getMvtStyleLegendItems(style) {
+  return parseStyle(style)
+    .layers.filter((layer) => layer.type !== "background" && layer.metadata?.legend !== false)
+    .map((layer) => ({
+      label: layer.metadata?.legend || layer.id,
+      color: layer.paint?.[`${layer.type}-color`]
+    }))
+    .filter((entry) => typeof entry.color === "string");
+}
@@ -0,0 +1,233 @@
+// src/config/ui/projectFilter.js
+import { Cartesian3 } from "cesium";
+import { foldText } from "./layerSearch.js";
+
+/**
+ * Search, filters and sorting for the project list ("Pågående projekt").
+ *
+ * Project config keys used:
+ *   "category": "Skolor",                  or "categories": ["Skolor", "Vägar"]
+ *   "tags": ["förskola", "ombyggnad"],
+ *   "status": "ongoing",                   "planned" | "ongoing" | "completed"
+ *   "municipality": "Avesta"
+ *
+ * Controls:
+ *  - Search over name, description, categories, tags and municipality
+ *    (case and å/ä/ö insensitive, every word must match)
+ *  - Category/tag, status and municipality dropdowns, only shown when some
+ *    project has a value for them
+ *  - Sorting by name or by distance from the camera to the project pin
+ *    (or start location)
+ */
+
+export const PROJECT_STATUSES = {
+  planned: "Planerat",
+  ongoing: "Pågående",
+  completed: "Klart"
+};
+
+const DEFAULT_STATE = { query: "", category: "", status: "", municipality: "", sort: "name" };
+
+/**
+ * Categories and tags of a project, as one list.
+ *
+ * @param {object} project
+ * @returns {string[]}
+ */
+export function getProjectCategories(project) {
+  const list = [
+    project.category,
+    ...(Array.isArray(project.categories) ? project.categories : []),
+    ...(Array.isArray(project.tags) ? project.tags : [])
+  ];
+  return [...new Set(list.filter((c) => typeof c === "string" && c))];
+}
+
+/**
+ * Position used for distance sorting: the pin, or the camera start location.
+ *
+ * @param {object} project
+ * @returns {Cartesian3|null}
+ */
+export function getProjectPosition(project) {
+  const p = project.pin || project["start-location"]?.position;
+  if (!p || !Number.isFinite(p.lng) || !Number.isFinite(p.lat)) return null;
+  return Cartesian3.fromDegrees(p.lng, p.lat, project.pin ? p.height ?? 0 : 0);
+}
+
+/**
+ * Formats a distance for the project list ("850 m", "12,4 km").
+ *
+ * @param {number} meters
+ * @returns {string}
+ */
+export function formatDistance(meters) {
+  if (meters < 1000) return `${Math.round(meters)} m`;
+  const km = meters / 1000;
+  return `${(km < 100 ? km.toFixed(1) : Math.round(km).toString()).replace(".", ",")} km`;
+}
+
+function projectSearchText(project) {
+  const description = String(project["html-description"] || "").replace(/<[^>]*>/g, " ");
+  return foldText(
+    [project.name, description, project.municipality, ...getProjectCategories(project)].join(" ")
+  );
+}
+
+function createSelect(className, title) {
+  const select = document.createElement("select");
+  select.className = className;
+  select.title = title;
+  return select;
+}
+
+function fillSelect(select, allLabel, values, current) {
+  select.innerHTML = "";
+  [["", allLabel], ...values].forEach(([value, text]) => {
+    const opt = document.createElement("option");
+    opt.value = value;
+    opt.textContent = text;
+    select.appendChild(opt);
+  });
+  select.value = values.some(([v]) => v === current) ? current : "";
+  select.hidden = values.length === 0;
+}
+
+/**
+ * Creates the filter controls.
+ *
+ * @param {Viewer} viewer - Cesium Viewer instance (camera for distance sorting)
+ * @param {() => void} onChange - Called when the user changes a control
+ * @returns {{
+ *   element: HTMLElement,
+ *   update: (projects: object[]) => void,
+ *   apply: (projects: object[]) => Array<{ project: object, index: number, distance: number|null }>,
+ *   sortsByDistance: () => boolean
+ * }}
+ */
+export function createProjectFilter(viewer, onChange) {
+  const state = { ...DEFAULT_STATE };
+
+  const element = document.createElement("div");
+  element.className = "project-filter";
+
+  const search = document.createElement("input");
+  search.type = "search";
+  search.className = "project-filter-search";
+  search.placeholder = "Sök projekt...";
+
+  const category = createSelect("project-filter-category", "Kategori");
+  const status = createSelect("project-filter-status", "Status");
+  const municipality = createSelect("project-filter-municipality", "Kommun");
+
+  const sort = createSelect("project-filter-sort", "Sortering");
+  [
+    ["name", "Sortera på namn"],
+    ["distance", "Sortera på avstånd"]
+  ].forEach(([value, text]) => {
+    const opt = document.createElement("option");
+    opt.value = value;
+    opt.textContent = text;
+    sort.appendChild(opt);
+  });
+
+  const selects = document.createElement("div");
+  selects.className = "project-filter-selects";
+  selects.append(category, status, municipality, sort);
+
+  const count = document.createElement("div");
+  count.className = "project-filter-count";
+
+  element.append(search, selects, count);
+
+  search.addEventListener("input", () => {
+    state.query = search.value;
+    onChange();
+  });
+  [
+    [category, "category"],
+    [status, "status"],
+    [municipality, "municipality"],
+    [sort, "sort"]
+  ].forEach(([select, key]) => {
+    select.addEventListener("change", () => {
+      state[key] = select.value;
+      onChange();
+    });
+  });
+
+  /**
+   * Refreshes the dropdowns with the values used by the projects.
+   */
+  function update(projects) {
+    const sortedValues = (values) =>
+      [...new Set(values.filter(Boolean))].sort((a, b) => a.localeCompare(b, "sv"));
+
+    const categories = sortedValues(projects.flatMap(getProjectCategories));
+    fillSelect(category, "Alla kategorier", categories.map((c) => [c, c]), state.category);
+
+    const statuses = Object.keys(PROJECT_STATUSES).filter((s) =>
+      projects.some((p) => p.status === s)
+    );
+    fillSelect(status, "Alla statusar", statuses.map((s) => [s, PROJECT_STATUSES[s]]), state.status);
+
+    const municipalities = sortedValues(projects.map((p) => p.municipality));
+    fillSelect(municipality, "Alla kommuner", municipalities.map((m) => [m, m]), state.municipality);
+
+    // A value that no longer exists is reset by fillSelect
+    state.category = category.value;
+    state.status = status.value;
+    state.municipality = municipality.value;
+
+    // Search and sorting only pay off with a few projects
+    element.hidden = projects.length < 2;
+  }
+
+  /**
+   * Filters and sorts the projects. Indexes refer to the given array.
+   */
+  function apply(projects) {
+    const words = foldText(state.query).split(/\s+/).filter(Boolean);
+    const camera = viewer.camera.positionWC;
+
+    const items = projects
+      .map((project, index) => {
+        const position = getProjectPosition(project);
+        return {
+          project,
+          index,
+          distance: position ? Cartesian3.distance(camera, position) : null
+        };
+      })
+      .filter(({ project }) => {
+        if (state.category && !getProjectCategories(project).includes(state.category)) return false;
+        if (state.status && project.status !== state.status) return false;
+        if (state.municipality && project.municipality !== state.municipality) return false;
+        if (!words.length) return true;
+
+        const text = projectSearchText(project);
+        return words.every((w) => text.includes(w));
+      });
+
+    if (state.sort === "distance") {
+      // Projects without position last
+      items.sort((a, b) => (a.distance ?? Infinity) - (b.distance ?? Infinity));
+    } else {
+      items.sort((a, b) => String(a.project.name).localeCompare(String(b.project.name), "sv"));
+    }
+
+    count.textContent =
+      items.length === projects.length
+        ? `${projects.length} projekt`
+        : `Visar ${items.length} av ${projects.length} projekt`;
+
+    return items;
+  }
+
+  return {
+    element,
+    update,
+    apply,
+    sortsByDistance: () => state.sort === "distance"
+  };
+}
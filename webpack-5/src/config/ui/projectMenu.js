@@ -1,30 +1,17 @@
 // src/ui/projectMenu.js
 import {
-  OpenStreetMapImageryProvider,
-  WebMapServiceImageryProvider,
   Cesium3DTileset,
   Cesium3DTileStyle,
-  UrlTemplateImageryProvider,
-  SingleTileImageryProvider,
-  WebMapTileServiceImageryProvider,
   Cartesian3,
-  Rectangle,
-  VerticalOrigin,
   Ellipsoid,
   ScreenSpaceEventHandler,
-  DistanceDisplayCondition,
-  HeightReference,
-  Color,
-  LabelStyle,
-  Cartesian2,
   ScreenSpaceEventType,
   Math as CesiumMath,
   ClippingPolygon,
   ClippingPolygonCollection,
   Matrix4,
   Transforms,
-  HeadingPitchRange,
-  Cartographic
+  HeadingPitchRange
 } from "cesium";
 
 import {
@@ -34,6 +21,66 @@ import {
   flattenLonLatPairs
 } from "./clippingSpecResolver.js";
 
+import { createImageryLayer, isImageryLayer } from "./imageryProviderFactory.js";
+import { applyTilesetTransform, getTilesetTransform } from "./tilesetTransform.js";
+import { slugifyProjectName, validateProject, watchProjectSource } from "./projectSource.js";
+import { createProjectPins } from "./projectPins.js";
+import {
+  createProjectFilter,
+  formatDistance,
+  getProjectCategories,
+  PROJECT_STATUSES
+} from "./projectFilter.js";
+
+/**
+ * "Pågående projekt": project list, project pins and the project sidebar.
+ *
+ * Projects come from config.projects and/or config.projectSource (external
+ * JSON files, see projectSource.js). Every project is validated and gets a
+ * stable "id" (from the config or the project name), used by links like
+ * ?project=<id> (see shareMap.js).
+ *
+ * Projects can have phases (stages such as today, stage 1, completed), each
+ * with its own layers, clipping and description. The sidebar then shows a
+ * phase stepper:
+ *   "phases": [
+ *     { "id": "idag", "name": "Idag", "layers": ["Befintligt"] },
+ *     { "id": "klart", "name": "Klart 2027", "layers": ["Ny skola"],
+ *       "html-description": "<p>...</p>",
+ *       "tilesetClipping": { "url": "klipp.geojson" },
+ *       "inverse-tilesets": false, "tileset-enableAtStart": true }
+ *   ],
+ *   "phase-start": "idag",        id or index of the phase shown first (default 0)
+ *   "phase-transition": 800       ms fade between phases (default 0 = none)
+ * A phase's "layers" are names from "content", or complete layer configs.
+ *
+ * The project list can be searched, filtered on category/tags, status and
+ * municipality and sorted by distance to the camera; the pins on the map
+ * follow the filter (see projectFilter.js).
+ *
+ * Pins are clustered when zoomed out, can have their own icon or colour per
+ * project or category, and show a preview on hover (see projectPins.js).
+ *
+ * @param {Viewer} viewer - Cesium Viewer instance
+ * @param {object} config - Configuration object
+ * @returns {{
+ *   openProjectSidebar: (index: number, options?: {layers?: string[], clipping?: {terrain?: boolean, tilesets?: boolean}, phase?: string|number}) => Promise<void>,
+ *   closeProjectSidebar: () => void,
+ *   getCurrentProjectIndex: () => number|null,
+ *   getProjects: () => object[],
+ *   addProject: (project: object) => object|null,
+ *   updateProject: (project: object) => object|null,
+ *   removeProject: (id: string) => boolean,
+ *   reloadProjects: () => Promise<void>|undefined,
+ *   whenReady: () => Promise<void>,
+ *   getProjectIndex: (id: string) => number,
+ *   getProjectState: () => ({id: string, phase?: string, layers: string[], clipping: {terrain: boolean, tilesets: boolean}}|null),
+ *   setProjectPhase: (phase: string|number) => Promise<void>,
+ *   onProjectsChanged: (callback: (projects: object[]) => void) => () => void,
+ *   loadedTilesets: object,
+ *   loadedWMSImagery: object
+ * }}
+ */
 export default function initProjectMenuUI(viewer, config = {}) {
   let terrainClipReqId = 0;
   let cameraFocusReqId = 0;
@@ -60,25 +107,23 @@ function unloadProjectLayers(projectIndex) {
   const project = projects[projectIndex];
   if (!project || !Array.isArray(project.content)) return;
 
-  project.content.forEach((layer) => {
-    const isWMS =
-      layer.type === "WMS" ||
-      (layer.provider && String(layer.provider).toUpperCase() === "WMS");
+  project.content.forEach(hideProjectLayer);
+}
 
-    if (isWMS) {
-      const img = loadedWMSImagery[layer.name];
-      if (img) {
-        viewer.imageryLayers.remove(img, true);
-        delete loadedWMSImagery[layer.name];
-      }
-    } else {
-      const ts = loadedTilesets[layer.name];
-      if (ts) {
-        viewer.scene.primitives.remove(ts);
-        delete loadedTilesets[layer.name];
-      }
+function hideProjectLayer(layer) {
+  if (isImageryLayer(layer)) {
+    const img = loadedWMSImagery[layer.name];
+    if (img) {
+      viewer.imageryLayers.remove(img, true);
+      delete loadedWMSImagery[layer.name];
     }
-  });
+  } else {
+    const ts = loadedTilesets[layer.name];
+    if (ts) {
+      viewer.scene.primitives.remove(ts);
+      delete loadedTilesets[layer.name];
+    }
+  }
 }
 
   // Backup guard against multiple initializations on the same viewer instance
@@ -86,10 +131,12 @@ function unloadProjectLayers(projectIndex) {
     console.warn("[projectMenu] already initialized; returning existing API");
     return viewer.__projectMenuApi;
   }
-  const projects = Array.isArray(config.projects) ? config.projects : [];
+  // Shared with the layer menu search, so runtime changes are searchable
+  if (!Array.isArray(config.projects)) config.projects = [];
+  const projects = config.projects;
   const tilesetClipMgr = config.tilesetClipMgr;
   let tilesetClippingEnabled = false;
-  if (projects.length === 0) {
+  if (projects.length === 0 && !config.projectSource) {
     console.warn("Inga projekt hittades i configen - projektmenyn initieras inte.");
     return {};
   }
@@ -172,6 +219,10 @@ function shouldShowTilesetClipRow(project) {
   header.textContent = "Pågående projekt";
   menuBox.appendChild(header);
 
+  // Search, filters and sorting (see projectFilter.js)
+  const projectFilter = createProjectFilter(viewer, () => renderProjectList());
+  menuBox.appendChild(projectFilter.element);
+
   const list = document.createElement("div");
   list.className = "project-list";
   menuBox.appendChild(list);
@@ -210,6 +261,10 @@ function shouldShowTilesetClipRow(project) {
   const loadedWMSImagery = {};
   let currentProjectIndex = null;
 
+  // Phase of the open project (see "Project phases") and the running transition
+  let currentPhaseIndex = null;
+  let phaseReqId = 0;
+
   // --- NEW: Terrain clipping state ---
   let terrainClippingEnabled = false;
 
@@ -303,7 +358,7 @@ function projectHasTilesetClipping(project) {
     viewer.scene.requestRender();
   }
 
-async function applyProjectTerrainClipping(project) {
+async function applyProjectTerrainClipping(project, enabled = project?.["terrain-enableAtStart"]) {
   const myReq = ++terrainClipReqId;
 
   if (!terrainClipFeatureEnabledByConfig(project)) {
@@ -344,10 +399,10 @@ async function applyProjectTerrainClipping(project) {
   viewer.scene.globe.clippingPolygons = new ClippingPolygonCollection({
     polygons: [new ClippingPolygon({ positions })],
     inverse: !!project["inverse-terrain"],
-    enabled: !!project["terrain-enableAtStart"]
+    enabled: !!enabled
   });
 
-  terrainClippingEnabled = !!project["terrain-enableAtStart"];
+  terrainClippingEnabled = !!enabled;
   viewer.scene.requestRender();
 }
 
@@ -362,7 +417,7 @@ function updateTerrainClippingToggleUI() {
   const el = sidebarContent.querySelector('input[type="checkbox"][data-terrain-clip-toggle="1"]');
   if (!el) return;
 
-  const project = projects[parseInt(sidebar.dataset.projectIndex || "-1", 10)];
+  const project = getOpenProject();
   const ok = terrainClipFeatureEnabledByConfig(project);
 
   el.disabled = !ok;
@@ -372,7 +427,7 @@ function updateTilesetClippingToggleUI() {
   const el = sidebarContent.querySelector('input[type="checkbox"][data-tileset-clip-toggle="1"]');
   if (!el) return;
 
-  const project = projects[parseInt(sidebar.dataset.projectIndex || "-1", 10)];
+  const project = getOpenProject();
   const ok = tilesetClipFeatureEnabledByConfig(project) && !!tilesetClipMgr?.hasPolygon?.();
 
   el.disabled = !ok;
@@ -384,45 +439,6 @@ function updateTilesetClippingToggleUI() {
     return Cesium3DTileset.fromUrl(layer.url, layer.options || {});
   }
 
-  function createImageryProvider(layer) {
-    if (!layer) return null;
-    if (layer.type === "OSM") return new OpenStreetMapImageryProvider();
-    if (layer.type === "WMS" || (layer.provider && String(layer.provider).toUpperCase() === "WMS")) {
-      return new WebMapServiceImageryProvider({ url: layer.url, layers: layer.layers, parameters: layer.parameters || {} });
-    }
-    if (layer.typeOptions && layer.typeOptions.wmtsOptions) {
-      try {
-        return new WebMapTileServiceImageryProvider(layer.typeOptions.wmtsOptions);
-      } catch (e) {
-        console.warn(e);
-        return null;
-      }
-    }
-    if (typeof layer.url === "string" && /\{z\}|\{x\}|\{y\}/.test(layer.url))
-      return new UrlTemplateImageryProvider({ url: layer.url });
-    if (layer.provider && String(layer.provider).toLowerCase() === "single" && layer.rectangle) {
-      try {
-        const r = layer.rectangle;
-        const rect = Rectangle.fromDegrees(r.west, r.south, r.east, r.north);
-        return new SingleTileImageryProvider({ url: layer.url, rectangle: rect });
-      } catch (e) {
-        console.warn(e);
-        return null;
-      }
-    }
-    return null;
-  }
-
-  // --- Height offset for 3D tilesets ---
-  function applyHeightOffsetToTileset(tileset, heightOffset) {
-    if (!Number.isFinite(heightOffset) || heightOffset === 0) return;
-    const cartographic = Cartographic.fromCartesian(tileset.boundingSphere.center);
-    const surface = Cartesian3.fromRadians(cartographic.longitude, cartographic.latitude, 0.0);
-    const offsetPos = Cartesian3.fromRadians(cartographic.longitude, cartographic.latitude, heightOffset);
-    const translation = Cartesian3.subtract(offsetPos, surface, new Cartesian3());
-    tileset.modelMatrix = Matrix4.fromTranslation(translation);
-  }
-
   // --- Fly to project start ---
 function flyToStartLocation(project) {
   if (!project || !project["start-location"] || !viewer) return Promise.resolve();
@@ -548,7 +564,7 @@ function flyCameraToLockedProjectPose(project, opts = {}) {
   });
 }
   // --- Project list ---
-  function createProjectRowElement(proj, idx) {
+  function createProjectRowElement(proj, idx, distance = null) {
     const row = document.createElement("div");
     row.className = "project-row";
     row.tabIndex = 0;
@@ -559,6 +575,25 @@ function flyCameraToLockedProjectPose(project, opts = {}) {
     title.textContent = proj.name || `Projekt ${idx + 1}`;
     row.appendChild(title);
 
+    // Status, municipality, categories and distance
+    const meta = document.createElement("div");
+    meta.className = "project-row-meta";
+
+    if (PROJECT_STATUSES[proj.status]) {
+      const status = document.createElement("span");
+      status.className = `project-status project-status-${proj.status}`;
+      status.textContent = PROJECT_STATUSES[proj.status];
+      meta.appendChild(status);
+    }
+
+    const details = [proj.municipality, ...getProjectCategories(proj)].filter(Boolean);
+    if (projectFilter.sortsByDistance() && distance !== null) {
+      details.push(formatDistance(distance));
+    }
+    if (details.length) meta.append(details.join(" · "));
+
+    if (meta.childNodes.length) row.appendChild(meta);
+
     row.addEventListener("click", () => {
       //flyToStartLocation(proj);
       openProjectSidebar(idx);
@@ -570,20 +605,33 @@ function flyCameraToLockedProjectPose(project, opts = {}) {
 
   function renderProjectList() {
     const frag = document.createDocumentFragment();
+    const items = projectFilter.apply(projects);
+
     if (!projects.length) {
       const empty = document.createElement("div");
       empty.className = "project-empty";
       empty.textContent = "Inga projekt konfigurerade";
       frag.appendChild(empty);
+    } else if (!items.length) {
+      const empty = document.createElement("div");
+      empty.className = "project-empty";
+      empty.textContent = "Inga projekt matchar sökningen";
+      frag.appendChild(empty);
     } else {
-      projects.forEach((p, i) => frag.appendChild(createProjectRowElement(p, i)));
+      items.forEach(({ project, index, distance }) =>
+        frag.appendChild(createProjectRowElement(project, index, distance))
+      );
     }
     list.innerHTML = "";
     list.appendChild(frag);
+
+    // Pins follow the list
+    visibleProjectIndexes = new Set(items.map((item) => item.index));
+    updatePinVisibility();
   }
 
   // --- Sidebar content ---
-  function buildSidebarContentFragment(project) {
+  function buildSidebarContentFragment(project, isVisibleAtStart) {
     const frag = document.createDocumentFragment();
 
     const title = document.createElement("h2");
@@ -591,6 +639,10 @@ function flyCameraToLockedProjectPose(project, opts = {}) {
     title.textContent = project.name || "";
     frag.appendChild(title);
 
+    if (project.phases?.length) {
+      frag.appendChild(buildPhaseStepper(project));
+    }
+
     const layersWrap = document.createElement("div");
     layersWrap.className = "project-layers";
     frag.appendChild(layersWrap);
@@ -687,7 +739,7 @@ function flyCameraToLockedProjectPose(project, opts = {}) {
       switchWrap.className = "switch project-layer-switch";
       const input = document.createElement("input");
       input.type = "checkbox";
-      input.checked = !!layer["visible-at-start"];
+      input.checked = isVisibleAtStart(layer);
       input.dataset.layerIndex = idx;
       switchWrap.appendChild(input);
       const sliderSpan = document.createElement("span");
@@ -722,8 +774,7 @@ function flyCameraToLockedProjectPose(project, opts = {}) {
         const layer = project.content[idx];
         if (!layer) return;
 
-        const isWMS =
-          layer.type === "WMS" || (layer.provider && String(layer.provider).toUpperCase() === "WMS");
+        const isWMS = isImageryLayer(layer);
 
         if (isWMS) {
           const imgL = loadedWMSImagery[layer.name];
@@ -787,7 +838,7 @@ function flyCameraToLockedProjectPose(project, opts = {}) {
     if (terrainToggle) {
       ev.stopPropagation();
 
-      const project = projects[parseInt(sidebar.dataset.projectIndex || "-1", 10)];
+      const project = getOpenProject();
       if (!projectHasTerrainClipping(project)) {
         terrainToggle.checked = false;
         terrainToggle.disabled = true;
@@ -843,22 +894,12 @@ function flyCameraToLockedProjectPose(project, opts = {}) {
           : null;
         const opacity = opacitySlider ? parseFloat(opacitySlider.value) : 1;
 
-        const isWMS =
-          layer.type === "WMS" ||
-          (layer.provider && String(layer.provider).toUpperCase() === "WMS");
+        const isWMS = isImageryLayer(layer);
 
         if (chk.checked) {
           if (isWMS) {
             if (!isProjectSessionActive(sessionId, projIdx)) return;
 
-            const provider = createImageryProvider(layer);
-            if (!provider) {
-              if (isProjectSessionActive(sessionId, projIdx)) chk.checked = false;
-              return;
-            }
-
-            if (!isProjectSessionActive(sessionId, projIdx)) return;
-
             const existing = loadedWMSImagery[layer.name];
             if (existing) {
               existing.alpha = opacity;
@@ -868,8 +909,13 @@ function flyCameraToLockedProjectPose(project, opts = {}) {
               return;
             }
 
-            const imgLayer = viewer.imageryLayers.addImageryProvider(provider);
-            imgLayer.alpha = opacity;
+            const imgLayer = createImageryLayer(layer, { alpha: opacity });
+            if (!imgLayer) {
+              chk.checked = false;
+              return;
+            }
+
+            viewer.imageryLayers.add(imgLayer);
             loadedWMSImagery[layer.name] = imgLayer;
 
             try {
@@ -893,7 +939,7 @@ function flyCameraToLockedProjectPose(project, opts = {}) {
               }
 
               viewer.scene.primitives.add(tsObj);
-              applyHeightOffsetToTileset(tsObj, layer.heightOffset ?? 0);
+              applyTilesetTransform(tsObj, getTilesetTransform(layer));
               tsObj.style = new Cesium3DTileStyle({
                 color: `color('white', ${opacity})`
               });
@@ -926,10 +972,337 @@ function flyCameraToLockedProjectPose(project, opts = {}) {
   });
 }
 
+// --- Project phases ---
+// A phase overrides these project keys; "layers" picks the content layers
+// that are on in the phase.
+const PHASE_KEYS = [
+  "terrainClipping",
+  "tilesetClipping",
+  "inverse-terrain",
+  "inverse-tilesets",
+  "terrain-enableAtStart",
+  "tileset-enableAtStart"
+];
+
+// Index of a phase given by id or index (0 when not found)
+function findPhaseIndex(project, phase) {
+  const phases = project?.phases || [];
+  if (!phases.length) return null;
+  if (Number.isInteger(phase) && phases[phase]) return phase;
+
+  const idx = phases.findIndex((p) => p.id === String(phase));
+  return idx === -1 ? 0 : idx;
+}
+
+// The project as it is in one phase: the phase's clipping replaces the project's
+function projectWithPhase(project, phaseIndex) {
+  const phase = project?.phases?.[phaseIndex];
+  if (!phase) return project;
+
+  const merged = { ...project };
+  PHASE_KEYS.forEach((key) => {
+    if (phase[key] !== undefined) merged[key] = phase[key];
+  });
+  return merged;
+}
+
+// The open project in its current phase
+function getOpenProject() {
+  const project = projects[parseInt(sidebar.dataset.projectIndex || "-1", 10)];
+  return projectWithPhase(project, currentPhaseIndex);
+}
+
+function setProjectLayerOpacity(layer, opacity) {
+  if (isImageryLayer(layer)) {
+    const img = loadedWMSImagery[layer.name];
+    if (img) img.alpha = opacity;
+  } else {
+    const ts = loadedTilesets[layer.name];
+    if (ts) {
+      ts.style = new Cesium3DTileStyle({
+        color: `color('white', ${opacity})`
+      });
+    }
+  }
+}
+
+/**
+ * Loads a project layer (if needed) with the given opacity.
+ * Returns false if it could not be loaded or isActive() turned false.
+ */
+async function showProjectLayer(layer, opacity, isActive) {
+  if (isImageryLayer(layer)) {
+    if (!loadedWMSImagery[layer.name]) {
+      const imgLayer = createImageryLayer(layer, { alpha: opacity });
+      if (!imgLayer) return false;
+      viewer.imageryLayers.add(imgLayer);
+      loadedWMSImagery[layer.name] = imgLayer;
+    }
+    try {
+      viewer.imageryLayers.raiseToTop(loadedWMSImagery[layer.name]);
+    } catch {}
+  } else if (!loadedTilesets[layer.name]) {
+    const tsObj = await loadTileset(layer);
+    if (!isActive()) {
+      tsObj?.destroy?.();
+      return false;
+    }
+    viewer.scene.primitives.add(tsObj);
+    applyTilesetTransform(tsObj, getTilesetTransform(layer));
+    loadedTilesets[layer.name] = tsObj;
+  }
+
+  setProjectLayerOpacity(layer, opacity);
+  return true;
+}
+
+// Runs step(t) with t from 0 to 1 over duration ms; resolves false if aborted
+function animateTransition(duration, step, isActive) {
+  return new Promise((resolve) => {
+    const start = performance.now();
+
+    function frame(now) {
+      if (!isActive()) {
+        resolve(false);
+        return;
+      }
+      const t = Math.min((now - start) / duration, 1);
+      step(t);
+      viewer.scene.requestRender();
+
+      if (t < 1) requestAnimationFrame(frame);
+      else resolve(true);
+    }
+
+    requestAnimationFrame(frame);
+  });
+}
+
+function getLayerOpacityFromSidebar(layerIndex) {
+  const slider = sidebarContent.querySelector(
+    `.project-layer-info[data-layer-index="${layerIndex}"] input[type="range"]`
+  );
+  return slider ? parseFloat(slider.value) : 1;
+}
+
+/**
+ * Stepper with previous/next buttons, a slider and the phase names.
+ */
+function buildPhaseStepper(project) {
+  const phases = project.phases;
+  const current = currentPhaseIndex ?? 0;
+
+  const wrap = document.createElement("div");
+  wrap.className = "project-phases";
+
+  const head = document.createElement("div");
+  head.className = "project-phase-head";
+
+  const prev = document.createElement("button");
+  prev.type = "button";
+  prev.className = "project-phase-prev";
+  prev.textContent = "‹";
+  prev.title = "Föregående etapp";
+  prev.disabled = current === 0;
+  prev.addEventListener("click", () => setProjectPhase(current - 1));
+
+  const name = document.createElement("div");
+  name.className = "project-phase-name";
+  name.textContent = `${phases[current].name} (${current + 1}/${phases.length})`;
+
+  const next = document.createElement("button");
+  next.type = "button";
+  next.className = "project-phase-next";
+  next.textContent = "›";
+  next.title = "Nästa etapp";
+  next.disabled = current === phases.length - 1;
+  next.addEventListener("click", () => setProjectPhase(current + 1));
+
+  head.append(prev, name, next);
+  wrap.appendChild(head);
+
+  if (phases.length > 1) {
+    const slider = document.createElement("input");
+    slider.type = "range";
+    slider.className = "project-phase-slider";
+    slider.min = 0;
+    slider.max = phases.length - 1;
+    slider.step = 1;
+    slider.value = current;
+    slider.setAttribute("aria-label", "Etapp");
+    slider.setAttribute("aria-valuetext", phases[current].name);
+    slider.addEventListener("change", () => setProjectPhase(parseInt(slider.value, 10)));
+
+    const ticks = document.createElement("div");
+    ticks.className = "project-phase-ticks";
+    phases.forEach((phase, i) => {
+      const tick = document.createElement("button");
+      tick.type = "button";
+      tick.className = "project-phase-tick";
+      tick.classList.toggle("active", i === current);
+      tick.textContent = phase.name;
+      tick.addEventListener("click", () => setProjectPhase(i));
+      ticks.appendChild(tick);
+    });
+
+    wrap.append(slider, ticks);
+  }
+
+  if (phases[current]["html-description"]) {
+    const desc = document.createElement("div");
+    desc.className = "project-phase-description";
+    desc.innerHTML = phases[current]["html-description"];
+    wrap.appendChild(desc);
+  }
+
+  return wrap;
+}
+
+/**
+ * Switches the open project to another phase: sidebar, clipping and layers.
+ * With "phase-transition" (ms) on the project, layers fade in and out.
+ *
+ * @param {string|number} phase - Phase id or index
+ */
+async function setProjectPhase(phase) {
+  const projectIndex = currentProjectIndex;
+  const baseProject = projects[projectIndex];
+  if (!baseProject?.phases?.length) return;
+
+  const phaseIndex = Number.isInteger(phase) ? phase : findPhaseIndex(baseProject, phase);
+  if (!baseProject.phases[phaseIndex] || phaseIndex === currentPhaseIndex) return;
+
+  const sessionId = projectSessionId;
+  const reqId = ++phaseReqId;
+  const isActive = () =>
+    reqId === phaseReqId && isProjectSessionActive(sessionId, projectIndex);
+
+  const project = projectWithPhase(baseProject, phaseIndex);
+  const visible = new Set(baseProject.phases[phaseIndex].layers);
+  const layers = Array.isArray(project.content) ? project.content : [];
+
+  // Keep opacities and the collapsed layer list when the sidebar is rebuilt
+  const opacities = layers.map((_, i) => getLayerOpacityFromSidebar(i));
+  const listMinimized = !!sidebarContent.querySelector(".project-layers.minimized");
+
+  currentPhaseIndex = phaseIndex;
+
+  const frag = buildSidebarContentFragment(project, (layer) => visible.has(layer.name));
+  sidebarContent.innerHTML = "";
+  sidebarContent.appendChild(frag);
+  attachLayersDelegation();
+
+  sidebarContent.querySelector(".project-layers")?.classList.toggle("minimized", listMinimized);
+  const textBtn = sidebarContent.querySelector(".project-sidebar-text-minimize");
+  if (textBtn) {
+    textBtn.textContent = sidebar.classList.contains("minimized") ? "Visa text" : "Göm text";
+  }
+  opacities.forEach((value, i) => {
+    const slider = sidebarContent.querySelector(
+      `.project-layer-info[data-layer-index="${i}"] input[type="range"]`
+    );
+    if (slider) slider.value = value;
+  });
+
+  // Clipping of the phase
+  if (tilesetClipFeatureEnabledByConfig(project)) {
+    const hasPoly = await tilesetClipMgr?.setPolygonFromProjectAsync(project, {
+      inverse: !!project["inverse-tilesets"]
+    });
+    if (!isActive()) return;
+
+    tilesetClippingEnabled = !!(hasPoly && project["tileset-enableAtStart"]);
+    tilesetClipMgr?.setEnabled(tilesetClippingEnabled);
+  } else {
+    tilesetClippingEnabled = false;
+    tilesetClipMgr?.setEnabled(false);
+    tilesetClipMgr?.clearPolygon?.();
+  }
+
+  await applyProjectTerrainClipping(project);
+  if (!isActive()) return;
+
+  updateTerrainClippingToggleUI();
+  updateTilesetClippingToggleUI();
+
+  // Layers
+  const isLoaded = (layer) =>
+    !!(isImageryLayer(layer) ? loadedWMSImagery[layer.name] : loadedTilesets[layer.name]);
+
+  const duration = Math.max(Number(baseProject["phase-transition"]) || 0, 0);
+  const turnOn = [];
+  const turnOff = [];
+
+  layers.forEach((layer, i) => {
+    if (visible.has(layer.name)) {
+      if (isLoaded(layer)) setProjectLayerOpacity(layer, opacities[i]);
+      else turnOn.push(i);
+    } else if (isLoaded(layer)) {
+      turnOff.push(i);
+    }
+  });
+
+  const shown = await Promise.all(
+    turnOn.map(async (i) => {
+      try {
+        return (await showProjectLayer(layers[i], duration ? 0 : opacities[i], isActive)) && i;
+      } catch (e) {
+        console.warn("Kunde inte ladda lager för etappen:", e);
+        return false;
+      }
+    })
+  );
+  if (!isActive()) return;
+
+  // Uncheck layers that failed to load
+  turnOn.forEach((i, n) => {
+    if (shown[n] !== false) return;
+    const chk = sidebarContent.querySelector(`input[type="checkbox"][data-layer-index="${i}"]`);
+    if (chk) chk.checked = false;
+  });
+  const fadeIn = shown.filter((i) => i !== false);
+
+  if (duration) {
+    const completed = await animateTransition(
+      duration,
+      (t) => {
+        fadeIn.forEach((i) => setProjectLayerOpacity(layers[i], opacities[i] * t));
+        turnOff.forEach((i) => setProjectLayerOpacity(layers[i], opacities[i] * (1 - t)));
+      },
+      isActive
+    );
+    // A newer phase takes over the layers from here
+    if (!completed) return;
+  }
+
+  turnOff.forEach((i) => hideProjectLayer(layers[i]));
+  viewer.scene.requestRender();
+}
+
 // --- Open/close sidebar ---
-async function openProjectSidebar(projectIndex) {
-  const project = projects[projectIndex];
-  if (!project) return;
+/**
+ * Opens a project: sidebar, clipping, camera and layers.
+ *
+ * Options (used by shared links, see shareMap.js):
+ *  - layers    Names of the project layers to turn on, instead of "visible-at-start"
+ *  - clipping  { terrain, tilesets } booleans, instead of "*-enableAtStart"
+ *  - phase     Id or index of the phase to open in
+ */
+async function openProjectSidebar(projectIndex, options = {}) {
+  const baseProject = projects[projectIndex];
+  if (!baseProject) return;
+
+  // Projects with phases open in "phase-start" (or the first phase)
+  const phaseIndex = findPhaseIndex(baseProject, options.phase ?? baseProject["phase-start"]);
+  const phase = baseProject.phases?.[phaseIndex];
+  const project = projectWithPhase(baseProject, phaseIndex);
+
+  const { layers: startLayers, clipping = {} } = options;
+  const isVisibleAtStart = (layer) => {
+    if (Array.isArray(startLayers)) return startLayers.includes(layer.name);
+    if (phase) return phase.layers.includes(layer.name);
+    return !!layer["visible-at-start"];
+  };
 
   const sidebarIsOpen = sidebar.style.display !== "none";
   const isSameProject = currentProjectIndex === projectIndex;
@@ -963,6 +1336,8 @@ async function openProjectSidebar(projectIndex) {
   tilesetClipMgr?.clearPolygon?.();
 
   currentProjectIndex = projectIndex;
+  currentPhaseIndex = phase ? phaseIndex : null;
+  phaseReqId++;
   sidebar.style.display = "block";
   sidebar.dataset.projectIndex = String(projectIndex);
   sidebarContent.innerHTML = "";
@@ -979,7 +1354,7 @@ async function openProjectSidebar(projectIndex) {
       return;
     }
 
-    tilesetClippingEnabled = !!(hasPoly && project["tileset-enableAtStart"]);
+    tilesetClippingEnabled = !!(hasPoly && (clipping.tilesets ?? project["tileset-enableAtStart"]));
     tilesetClipMgr?.setEnabled(tilesetClippingEnabled);
   } else {
     tilesetClippingEnabled = false;
@@ -988,7 +1363,7 @@ async function openProjectSidebar(projectIndex) {
   }
 
   // Terrain clipping
-  await applyProjectTerrainClipping(project);
+  await applyProjectTerrainClipping(project, clipping.terrain ?? project["terrain-enableAtStart"]);
   if (!isProjectSessionActive(sessionId, projectIndex)) return;
 
   // Reset minimizer state
@@ -1002,7 +1377,7 @@ async function openProjectSidebar(projectIndex) {
 
   sidebarCollapse.style.setProperty("--icon", "var(--black-icon-collapse-panel)");
 
-  const frag = buildSidebarContentFragment(project);
+  const frag = buildSidebarContentFragment(project, isVisibleAtStart);
   if (!isProjectSessionActive(sessionId, projectIndex)) return;
 
   sidebarContent.innerHTML = "";
@@ -1020,11 +1395,9 @@ async function openProjectSidebar(projectIndex) {
     if (!isProjectSessionActive(sessionId, projectIndex)) return;
 
     const layer = layers[i];
-    if (!layer["visible-at-start"]) continue;
+    if (!isVisibleAtStart(layer)) continue;
 
-    const isWMS =
-      layer.type === "WMS" ||
-      (layer.provider && String(layer.provider).toUpperCase() === "WMS");
+    const isWMS = isImageryLayer(layer);
 
     const infoPanel = sidebarContent.querySelector(
       `.project-layer-info[data-layer-index="${i}"]`
@@ -1043,13 +1416,12 @@ async function openProjectSidebar(projectIndex) {
             viewer.imageryLayers.raiseToTop(existing);
           } catch {}
         } else {
-          const provider = createImageryProvider(layer);
-          if (!provider) continue;
+          const imgLayer = createImageryLayer(layer, { alpha: opacity });
+          if (!imgLayer) continue;
 
           if (!isProjectSessionActive(sessionId, projectIndex)) return;
 
-          const imgLayer = viewer.imageryLayers.addImageryProvider(provider);
-          imgLayer.alpha = opacity;
+          viewer.imageryLayers.add(imgLayer);
           loadedWMSImagery[layer.name] = imgLayer;
 
           try {
@@ -1070,7 +1442,7 @@ async function openProjectSidebar(projectIndex) {
           }
 
           viewer.scene.primitives.add(tsObj);
-          applyHeightOffsetToTileset(tsObj, layer.heightOffset ?? 0);
+          applyTilesetTransform(tsObj, getTilesetTransform(layer));
           tsObj.style = new Cesium3DTileStyle({
             color: `color('white', ${opacity})`
           });
@@ -1097,6 +1469,8 @@ function closeProjectSidebar() {
   unloadProjectLayers(currentProjectIndex);
 
   currentProjectIndex = null;
+  currentPhaseIndex = null;
+  phaseReqId++;
   sidebar.dataset.projectIndex = "";
   sidebar.style.display = "none";
   sidebarContent.innerHTML = "";
@@ -1119,6 +1493,11 @@ function closeProjectSidebar() {
   // --- Events ---
   toggleBtn.addEventListener("click", () => {
     menuBox.style.display = menuBox.style.display === "block" ? "none" : "block";
+
+    // Distances are from where the camera is now
+    if (menuBox.style.display === "block" && projectFilter.sortsByDistance()) {
+      renderProjectList();
+    }
   });
   closeBtn.addEventListener("click", () => (menuBox.style.display = "none"));
   sidebarClose.addEventListener("click", closeProjectSidebar);
@@ -1162,49 +1541,27 @@ function closeProjectSidebar() {
   });
 
   // -----------------------------
-  // Add project pins in Cesium
+  // Add project pins in Cesium (clustering, icons and previews, see projectPins.js)
   // -----------------------------
   let pinsEnabled = true;
-  const projectPins = [];
-
-  projects.forEach((proj, index) => {
-    if (!proj.pin) return;
-
-    const { lng, lat, height = 0 } = proj.pin;
-
-    // Create an entity/pin in Cesium
-    const entity = viewer.entities.add({
-      position: Cartesian3.fromDegrees(lng, lat, height),
-      billboard: {
-        image: "./images/icons/Pin_med_hammare.png",
-        scale: 0.05,
-        verticalOrigin: VerticalOrigin.BOTTOM,
-        heightReference: HeightReference.CLAMP_TO_GROUND,
-        distanceDisplayCondition: new DistanceDisplayCondition(0.0, 15000.0)
-      },
-      label: {
-        text: proj.name || "Projekt",
-        font: "18px sans-serif",
-        fillColor: Color.WHITE,
-        outlineColor: Color.BLACK,
-        outlineWidth: 3,
-        style: LabelStyle.FILL_AND_OUTLINE,
-        verticalOrigin: VerticalOrigin.BOTTOM,
-        heightReference: HeightReference.CLAMP_TO_GROUND,
-        pixelOffset: new Cartesian2(0, -60),
-        distanceDisplayCondition: new DistanceDisplayCondition(0.0, 15000.0)
-      },
 
-      properties: {
-        isProjectPin: true,
-        projectIndex: index // SUPER IMPORTANT
-      }
-    });
+  const pinLayer = createProjectPins(viewer, config.projectPins, (project) =>
+    [PROJECT_STATUSES[project.status], project.municipality].filter(Boolean).join(" · ")
+  );
 
-    projectPins.push(entity);
-    console.log("[projectMenu] init start", Date.now());
-    console.log("[projectMenu] creating pins", projects.length);
-      });
+  // Projects that pass the list filter (see renderProjectList)
+  let visibleProjectIndexes = null;
+
+  function updatePinVisibility() {
+    pinLayer.setVisible(
+      (index) => pinsEnabled && (!visibleProjectIndexes || visibleProjectIndexes.has(index))
+    );
+  }
+
+  function renderPins() {
+    pinLayer.render(projects);
+    updatePinVisibility();
+  }
 
   // -------------------------------------
   // Click event: open project via entity
@@ -1220,6 +1577,12 @@ function closeProjectSidebar() {
 
       const id = picked.id;
 
+      // Cluster of pins: zoom in until they separate
+      if (Array.isArray(id)) {
+        if (id.some((e) => e.properties?.isProjectPin)) pinLayer.zoomToCluster(id);
+        return;
+      }
+
       // Is this a project pin?
       if (!id.properties || !id.properties.projectIndex) return;
 
@@ -1243,24 +1606,206 @@ function closeProjectSidebar() {
     viewer.selectedEntity = undefined;
   });
 
+  // -----------------------------
+  // Adding, updating and removing projects at runtime
+  // -----------------------------
+  const projectChangeListeners = new Set();
+
+  function projectsChanged() {
+    projectFilter.update(projects);
+    renderPins();
+    renderProjectList();
+    projectChangeListeners.forEach((cb) => cb(projects));
+  }
+
+  /**
+   * Validates a project and adds it, or replaces the project with the same id.
+   * An open project that is replaced is reopened with the new config.
+   * Returns the added project, or null if it was invalid.
+   */
+  function upsertProject(raw, options = {}) {
+    const { project, errors, warnings } = validateProject(raw, options);
+    const label = raw?.name || options.id || "?";
+
+    warnings.forEach((w) => console.warn(`[projectMenu] Projekt "${label}": ${w}`));
+    if (!project) {
+      console.warn(`[projectMenu] Projekt "${label}" hoppas över: ${errors.join(", ")}`);
+      return null;
+    }
+
+    const idx = projects.findIndex((p) => p.id === project.id);
+    if (idx === -1) {
+      projects.push(project);
+      return project;
+    }
+
+    const wasOpen = currentProjectIndex === idx;
+    if (wasOpen) closeProjectSidebar();
+    projects[idx] = project;
+    if (wasOpen) openProjectSidebar(idx);
+
+    return project;
+  }
+
+  function deleteProject(id) {
+    const idx = projects.findIndex((p) => p.id === id);
+    if (idx === -1) return false;
+
+    if (currentProjectIndex === idx) closeProjectSidebar();
+    projects.splice(idx, 1);
+
+    // Projects after the removed one move up one index
+    if (currentProjectIndex !== null && currentProjectIndex > idx) {
+      currentProjectIndex--;
+      sidebar.dataset.projectIndex = String(currentProjectIndex);
+    }
+
+    return true;
+  }
+
+  function addProject(raw) {
+    const project = upsertProject(raw);
+    if (project) projectsChanged();
+    return project;
+  }
+
+  function removeProject(id) {
+    const removed = deleteProject(id);
+    if (removed) projectsChanged();
+    return removed;
+  }
+
+  function getProjectIndex(id) {
+    return projects.findIndex((p) => p.id === String(id));
+  }
+
+  /**
+   * State of the open project for shared links: id, layers that are on and
+   * clipping. Null when no project is open.
+   */
+  function getProjectState() {
+    const project = projects[currentProjectIndex];
+    if (!project) return null;
+
+    const layers = Array.from(
+      sidebarContent.querySelectorAll('input[type="checkbox"][data-layer-index]:checked')
+    )
+      .map((chk) => project.content?.[parseInt(chk.dataset.layerIndex, 10)]?.name)
+      .filter(Boolean);
+
+    return {
+      id: project.id,
+      phase: project.phases?.[currentPhaseIndex]?.id,
+      layers,
+      clipping: { terrain: terrainClippingEnabled, tilesets: tilesetClippingEnabled }
+    };
+  }
+
+  function onProjectsChanged(callback) {
+    projectChangeListeners.add(callback);
+    return () => projectChangeListeners.delete(callback);
+  }
+
+  // Projects from index.json get the same validation and ids as loaded ones
+  projects.splice(0).forEach((raw) => {
+    const { project, errors, warnings } = validateProject(raw);
+    warnings.forEach((w) => console.warn(`[projectMenu] Projekt "${raw?.name}": ${w}`));
+    if (!project) {
+      console.warn(`[projectMenu] Projekt "${raw?.name}" hoppas över: ${errors.join(", ")}`);
+      return;
+    }
+    if (projects.some((p) => p.id === project.id)) {
+      console.warn(`[projectMenu] Projekt-id "${project.id}" finns redan, lägger till "-${projects.length + 1}"`);
+      project.id = `${project.id}-${projects.length + 1}`;
+    }
+    projects.push(project);
+  });
+
+  // Projects from config.projectSource (see projectSource.js). Each reload
+  // adds new and changed projects and removes the ones no longer listed.
+  const sourceProjects = new Map(); // id -> JSON of the loaded config
+  const sourceEntryIds = new Map(); // list entry key -> project id
+  let projectSourceWatcher = null;
+
+  if (config.projectSource) {
+    projectSourceWatcher = watchProjectSource(config.projectSource, ({ projects: loaded, failed }) => {
+      const seen = new Set();
+      let changed = false;
+
+      loaded.forEach(({ raw, id, baseUrl, key: entryKey }) => {
+        const json = JSON.stringify(raw);
+        const key = String(raw?.id ?? id ?? slugifyProjectName(raw?.name));
+        if (entryKey) sourceEntryIds.set(entryKey, key);
+        if (sourceProjects.get(key) === json) {
+          seen.add(key);
+          return;
+        }
+
+        const project = upsertProject(raw, { id, baseUrl });
+        if (!project) return;
+
+        sourceProjects.set(project.id, json);
+        seen.add(project.id);
+        changed = true;
+      });
+
+      // A project file that could not be read this time (network error) is
+      // still listed: keep the version already loaded
+      failed.forEach((entryKey) => {
+        const id = sourceEntryIds.get(entryKey);
+        if (id) seen.add(id);
+      });
+
+      [...sourceProjects.keys()].forEach((id) => {
+        if (seen.has(id)) return;
+        sourceProjects.delete(id);
+        deleteProject(id);
+        changed = true;
+      });
+
+      if (changed) projectsChanged();
+    });
+  }
+
   // --- Init ---
+  projectFilter.update(projects);
+  renderPins();
   renderProjectList();
 
+  // Distance sorting follows the camera while the list is open
+  viewer.camera.moveEnd.addEventListener(() => {
+    if (menuBox.style.display !== "none" && projectFilter.sortsByDistance()) {
+      renderProjectList();
+    }
+  });
+
   function togglePins() {
     pinsEnabled = !pinsEnabled;
 
-    projectPins.forEach((e) => {
-      if (e.billboard) e.billboard.show = pinsEnabled;
-      if (e.label) e.label.show = pinsEnabled;
-    });
-
-    viewer.scene.requestRender();
+    updatePinVisibility();
 
     pinBtn.style.setProperty("--icon", pinsEnabled ? "var(--black-icon-pin)" : "var(--black-icon-pin-off)");
   }
   pinBtn.addEventListener("click", togglePins);
 
-  const api = { openProjectSidebar, closeProjectSidebar, loadedTilesets, loadedWMSImagery };
+  const api = {
+    openProjectSidebar,
+    closeProjectSidebar,
+    getCurrentProjectIndex: () => currentProjectIndex,
+    getProjects: () => projects,
+    addProject,
+    updateProject: addProject,
+    removeProject,
+    reloadProjects: () => projectSourceWatcher?.reload(),
+    // Resolves when projects from config.projectSource have been loaded once
+    whenReady: () => projectSourceWatcher?.ready ?? Promise.resolve(),
+    getProjectIndex,
+    getProjectState,
+    setProjectPhase,
+    onProjectsChanged,
+    loadedTilesets,
+    loadedWMSImagery
+  };
   viewer.__projectMenuApi = api;
   return api;
   
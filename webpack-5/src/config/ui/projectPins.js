@@ -0,0 +1,431 @@
+// src/config/ui/projectPins.js
+import {
+  BoundingSphere,
+  Cartesian2,
+  Cartesian3,
+  Color,
+  CustomDataSource,
+  DistanceDisplayCondition,
+  HeadingPitchRange,
+  HeightReference,
+  LabelStyle,
+  Math as CesiumMath,
+  ScreenSpaceEventHandler,
+  ScreenSpaceEventType,
+  VerticalOrigin
+} from "cesium";
+
+import { getProjectCategories } from "./projectFilter.js";
+
+/**
+ * Project pins on the map, with clustering and hover previews.
+ *
+ * Config (index.json, all keys optional):
+ *   "projectPins": {
+ *     "icon": "./images/icons/Pin_med_hammare.png",
+ *     "scale": 0.05,
+ *     "color": "#e07a1f",
+ *     "clustering": true,
+ *     "pixelRange": 40,
+ *     "minimumClusterSize": 2,
+ *     "maxDistance": 0,
+ *     "labelDistance": 15000,
+ *     "categories": {
+ *       "Skolor": { "color": "#2a9d8f" },
+ *       "Vägar": { "icon": "./images/icons/road.png", "scale": 0.5 }
+ *     }
+ *   }
+ *
+ *  - icon / scale        Pin image and its scale
+ *  - color               Without icon: a pin drawn in this colour;
+ *                        with icon: tints the image
+ *  - clustering          Merge pins that overlap on screen into one badge
+ *                        with the number of projects; click zooms in
+ *  - pixelRange          Screen distance (px) at which pins are merged
+ *  - minimumClusterSize  Fewest pins in a cluster
+ *  - maxDistance         Hide pins farther away than this (m), 0 = always shown
+ *  - labelDistance       Show the project name below this distance (m)
+ *  - categories          icon/color/scale per category or tag of the project
+ *
+ * A project can set its own "icon", "color" and "scale" in "pin". The hover
+ * preview shows the project name, status and "thumbnail" (or the first
+ * image of its html-description).
+ *
+ * Order: the project's pin, its first category with a style, the
+ * projectPins defaults.
+ */
+
+const DEFAULTS = {
+  icon: "./images/icons/Pin_med_hammare.png",
+  scale: 0.05,
+  color: null,
+  clustering: true,
+  pixelRange: 40,
+  minimumClusterSize: 2,
+  maxDistance: 0,
+  labelDistance: 15000,
+  categories: {}
+};
+
+// Names listed in a cluster preview
+const PREVIEW_MAX_NAMES = 6;
+
+// ------------------------------------------------------------
+// Images
+// ------------------------------------------------------------
+const pinImageCache = new Map(); // css color -> canvas
+const clusterImageCache = new Map(); // count -> canvas
+
+/**
+ * Draws a map pin in a colour (used when no icon is configured).
+ */
+function drawPinImage(cssColor) {
+  if (pinImageCache.has(cssColor)) return pinImageCache.get(cssColor);
+
+  const canvas = document.createElement("canvas");
+  canvas.width = 30;
+  canvas.height = 42;
+  const ctx = canvas.getContext("2d");
+
+  ctx.beginPath();
+  ctx.arc(15, 15, 13, Math.PI * 0.85, Math.PI * 0.15);
+  ctx.lineTo(15, 40);
+  ctx.closePath();
+  ctx.fillStyle = cssColor;
+  ctx.fill();
+  ctx.lineWidth = 2;
+  ctx.strokeStyle = "#fff";
+  ctx.stroke();
+
+  ctx.beginPath();
+  ctx.arc(15, 15, 5, 0, Math.PI * 2);
+  ctx.fillStyle = "#fff";
+  ctx.fill();
+
+  pinImageCache.set(cssColor, canvas);
+  return canvas;
+}
+
+/**
+ * Draws the round count badge of a cluster.
+ */
+function drawClusterImage(count) {
+  if (clusterImageCache.has(count)) return clusterImageCache.get(count);
+
+  const text = count > 99 ? "99+" : String(count);
+  const size = 26 + text.length * 6;
+
+  const canvas = document.createElement("canvas");
+  canvas.width = size;
+  canvas.height = size;
+  const ctx = canvas.getContext("2d");
+
+  ctx.beginPath();
+  ctx.arc(size / 2, size / 2, size / 2 - 2, 0, Math.PI * 2);
+  ctx.fillStyle = "#d35400";
+  ctx.fill();
+  ctx.lineWidth = 3;
+  ctx.strokeStyle = "#fff";
+  ctx.stroke();
+
+  ctx.fillStyle = "#fff";
+  ctx.font = "bold 14px sans-serif";
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.fillText(text, size / 2, size / 2 + 1);
+
+  clusterImageCache.set(count, canvas);
+  return canvas;
+}
+
+// ------------------------------------------------------------
+// Style per project
+// ------------------------------------------------------------
+/**
+ * Icon, colour and scale of a project's pin.
+ *
+ * @param {object} project
+ * @param {object} settings - projectPins config merged with defaults
+ * @returns {{ image: string|HTMLCanvasElement, scale: number, color?: Color }}
+ */
+export function getPinStyle(project, settings) {
+  const category = getProjectCategories(project).find((c) => settings.categories?.[c]);
+  const sources = [project.pin || {}, settings.categories?.[category] || {}];
+
+  // The first source with an icon or colour decides the look
+  const own = sources.find((s) => s.icon || s.color) || {};
+  const icon = own.icon ?? (own.color ? null : settings.icon);
+  const cssColor = own.color ?? (own.icon ? null : settings.color);
+  const scale = own.scale ?? sources.find((s) => s.scale)?.scale;
+
+  if (!icon && cssColor) {
+    return { image: drawPinImage(cssColor), scale: scale ?? 1 };
+  }
+
+  return {
+    image: icon || DEFAULTS.icon,
+    scale: scale ?? (icon === settings.icon ? settings.scale : 1),
+    ...(cssColor ? { color: Color.fromCssColorString(cssColor) } : {})
+  };
+}
+
+/**
+ * Thumbnail for the hover preview: "thumbnail" or the first image of the
+ * description.
+ */
+function getProjectThumbnail(project) {
+  if (project.thumbnail) return project.thumbnail;
+
+  const html = project["html-description"];
+  if (!html) return null;
+
+  const img = new DOMParser().parseFromString(String(html), "text/html").querySelector("img[src]");
+  return img ? img.getAttribute("src") : null;
+}
+
+// ------------------------------------------------------------
+// Pin layer
+// ------------------------------------------------------------
+/**
+ * Creates the pin layer.
+ *
+ * @param {Viewer} viewer - Cesium Viewer instance
+ * @param {object} [options] - config.projectPins
+ * @param {(project: object) => string} [describeStatus] - Status text for the preview
+ * @returns {{
+ *   render: (projects: object[]) => void,
+ *   setVisible: (isVisible: (index: number) => boolean) => void,
+ *   zoomToCluster: (entities: Entity[]) => void,
+ *   entities: Entity[]
+ * }}
+ */
+export function createProjectPins(viewer, options = {}, describeStatus = () => "") {
+  const settings = { ...DEFAULTS, ...options };
+
+  // A default colour without an icon means drawn pins
+  if (options.color && options.icon === undefined) settings.icon = null;
+
+  const dataSource = new CustomDataSource("projectPins");
+  viewer.dataSources.add(dataSource);
+
+  const entities = [];
+  let projectsByEntity = new Map(); // Entity -> project
+
+  // ------------------------------------------------------------
+  // Clustering
+  // ------------------------------------------------------------
+  const clustering = dataSource.clustering;
+  clustering.enabled = settings.clustering !== false;
+  clustering.pixelRange = settings.pixelRange;
+  clustering.minimumClusterSize = settings.minimumClusterSize;
+  clustering.clusterLabels = true;
+  clustering.clusterPoints = false;
+
+  clustering.clusterEvent.addEventListener((clustered, cluster) => {
+    cluster.label.show = false;
+    cluster.billboard.show = true;
+    cluster.billboard.id = clustered;
+    cluster.billboard.image = drawClusterImage(clustered.length);
+    cluster.billboard.verticalOrigin = VerticalOrigin.CENTER;
+    cluster.billboard.scale = 1;
+  });
+
+  function maxDistanceCondition() {
+    return settings.maxDistance > 0
+      ? new DistanceDisplayCondition(0.0, settings.maxDistance)
+      : undefined;
+  }
+
+  /**
+   * Creates one pin per project with a pin position.
+   */
+  function render(projects) {
+    dataSource.entities.removeAll();
+    entities.length = 0;
+    projectsByEntity = new Map();
+
+    projects.forEach((project, index) => {
+      if (!project.pin) return;
+
+      const { lng, lat, height = 0 } = project.pin;
+      const style = getPinStyle(project, settings);
+
+      const entity = dataSource.entities.add({
+        position: Cartesian3.fromDegrees(lng, lat, height),
+        billboard: {
+          ...style,
+          verticalOrigin: VerticalOrigin.BOTTOM,
+          heightReference: HeightReference.CLAMP_TO_GROUND,
+          distanceDisplayCondition: maxDistanceCondition()
+        },
+        label: {
+          text: project.name || "Projekt",
+          font: "18px sans-serif",
+          fillColor: Color.WHITE,
+          outlineColor: Color.BLACK,
+          outlineWidth: 3,
+          style: LabelStyle.FILL_AND_OUTLINE,
+          verticalOrigin: VerticalOrigin.BOTTOM,
+          heightReference: HeightReference.CLAMP_TO_GROUND,
+          pixelOffset: new Cartesian2(0, -60),
+          distanceDisplayCondition: new DistanceDisplayCondition(0.0, settings.labelDistance)
+        },
+
+        properties: {
+          isProjectPin: true,
+          projectIndex: index, // SUPER IMPORTANT
+          projectId: project.id
+        }
+      });
+
+      entities.push(entity);
+      projectsByEntity.set(entity, project);
+    });
+
+    viewer.scene.requestRender();
+  }
+
+  function setVisible(isVisible) {
+    entities.forEach((e) => {
+      e.show = isVisible(e.properties.projectIndex.getValue());
+    });
+    viewer.scene.requestRender();
+  }
+
+  /**
+   * Flies so all pins of a cluster fit the view.
+   */
+  function zoomToCluster(clustered) {
+    const positions = clustered
+      .map((e) => e.position?.getValue(viewer.clock.currentTime))
+      .filter(Boolean);
+    if (!positions.length) return;
+
+    const sphere = BoundingSphere.fromPoints(positions);
+    viewer.camera.flyToBoundingSphere(sphere, {
+      offset: new HeadingPitchRange(
+        viewer.camera.heading,
+        CesiumMath.toRadians(-60),
+        Math.max(sphere.radius * 3, 500)
+      ),
+      duration: 1.2
+    });
+  }
+
+  // ------------------------------------------------------------
+  // Hover preview
+  // ------------------------------------------------------------
+  const preview = document.createElement("div");
+  preview.className = "project-pin-preview";
+  preview.hidden = true;
+  document.body.appendChild(preview);
+
+  let previewKey = null;
+
+  function showPreview(key, fill, screenPosition) {
+    if (key !== previewKey) {
+      previewKey = key;
+      preview.innerHTML = "";
+      fill();
+    }
+
+    const rect = viewer.canvas.getBoundingClientRect();
+    preview.style.left = `${rect.left + screenPosition.x + 14}px`;
+    preview.style.top = `${rect.top + screenPosition.y + 14}px`;
+    preview.hidden = false;
+  }
+
+  function hidePreview() {
+    previewKey = null;
+    preview.hidden = true;
+    viewer.canvas.style.cursor = "";
+  }
+
+  function fillProjectPreview(project) {
+    const thumbnail = getProjectThumbnail(project);
+    if (thumbnail) {
+      const img = document.createElement("img");
+      img.className = "project-pin-preview-thumbnail";
+      img.src = thumbnail;
+      img.alt = "";
+      preview.appendChild(img);
+    }
+
+    const title = document.createElement("div");
+    title.className = "project-pin-preview-title";
+    title.textContent = project.name || "Projekt";
+    preview.appendChild(title);
+
+    const status = describeStatus(project);
+    if (status) {
+      const meta = document.createElement("div");
+      meta.className = "project-pin-preview-meta";
+      meta.textContent = status;
+      preview.appendChild(meta);
+    }
+  }
+
+  function fillClusterPreview(clustered) {
+    const title = document.createElement("div");
+    title.className = "project-pin-preview-title";
+    title.textContent = `${clustered.length} projekt`;
+
+    const names = document.createElement("ul");
+    names.className = "project-pin-preview-list";
+    clustered.slice(0, PREVIEW_MAX_NAMES).forEach((e) => {
+      const li = document.createElement("li");
+      li.textContent = projectsByEntity.get(e)?.name || "Projekt";
+      names.appendChild(li);
+    });
+    if (clustered.length > PREVIEW_MAX_NAMES) {
+      const li = document.createElement("li");
+      li.textContent = `och ${clustered.length - PREVIEW_MAX_NAMES} till`;
+      names.appendChild(li);
+    }
+
+    const hint = document.createElement("div");
+    hint.className = "project-pin-preview-meta";
+    hint.textContent = "Klicka för att zooma in";
+
+    preview.append(title, names, hint);
+  }
+
+  // One pick per animation frame at most
+  let pendingMove = null;
+  const hoverHandler = new ScreenSpaceEventHandler(viewer.canvas);
+
+  hoverHandler.setInputAction((movement) => {
+    if (pendingMove === null) {
+      requestAnimationFrame(() => {
+        const position = pendingMove;
+        pendingMove = null;
+        updateHover(position);
+      });
+    }
+    pendingMove = Cartesian2.clone(movement.endPosition);
+  }, ScreenSpaceEventType.MOUSE_MOVE);
+
+  function updateHover(position) {
+    if (!entities.length || !position) {
+      hidePreview();
+      return;
+    }
+
+    const picked = viewer.scene.pick(position);
+    const id = picked?.id;
+
+    if (Array.isArray(id) && id.some((e) => projectsByEntity.has(e))) {
+      viewer.canvas.style.cursor = "pointer";
+      showPreview(`cluster:${id.length}:${id[0].id}`, () => fillClusterPreview(id), position);
+    } else if (projectsByEntity.has(id)) {
+      viewer.canvas.style.cursor = "pointer";
+      showPreview(id.id, () => fillProjectPreview(projectsByEntity.get(id)), position);
+    } else if (previewKey !== null) {
+      hidePreview();
+    }
+  }
+
+  viewer.canvas.addEventListener("mouseleave", hidePreview);
+
+  return { render, setVisible, zoomToCluster, entities };
+}
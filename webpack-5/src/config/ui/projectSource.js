@@ -0,0 +1,324 @@
+// src/config/ui/projectSource.js
+import { isImageryLayer } from "./imageryProviderFactory.js";
+import { PROJECT_STATUSES } from "./projectFilter.js";
+
+/**
+ * Projects kept outside index.json, so a new project does not need a new
+ * deploy of the main config.
+ *
+ * Config (index.json):
+ *   "projectSource": {
+ *     "url": "projects/projects.json",
+ *     "directory": "projects/",
+ *     "refreshInterval": 300000
+ *   }
+ *   or just "projectSource": "projects/projects.json"
+ *
+ *  - url              List file: a JSON array, or { "projects": [...] }
+ *  - directory        Folder with one <id>/project.json per project
+ *                     (default: the folder of the list file)
+ *  - ids              Project ids to read from the directory, instead of a list file
+ *  - refreshInterval  ms between reloads; added, changed and removed projects
+ *                     are applied without reloading the page (default 0 = load once)
+ *
+ * Entries of the list can be:
+ *  - "nya-skolan"                          id, read from <directory>/nya-skolan/project.json
+ *  - { "id": "bron", "url": "..." }        project file at another URL
+ *  - { "name": "...", "content": [...] }   a complete project, as in config.projects
+ *
+ * Relative URLs in a project file (layer url, terrainClipping.url,
+ * tilesetClipping.url, also in phases, thumbnail and pin.icon) are
+ * relative to that file.
+ *
+ * Every project is validated (see validateProject). Projects with errors
+ * are skipped and the problems are logged.
+ */
+
+const DEFAULTS = {
+  directory: null,
+  ids: null,
+  refreshInterval: 0
+};
+
+function isObject(v) {
+  return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+function hasLngLat(p) {
+  return isObject(p) && Number.isFinite(p.lng) && Number.isFinite(p.lat);
+}
+
+/**
+ * Stable id from a project name ("Nya Östra skolan" -> "nya-ostra-skolan").
+ *
+ * @param {string} name
+ * @returns {string}
+ */
+export function slugifyProjectName(name) {
+  return String(name ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+function resolveUrl(url, baseUrl) {
+  if (!baseUrl || typeof url !== "string" || !url) return url;
+  try {
+    return new URL(url, baseUrl).href;
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * Validates a project config and returns a cleaned copy.
+ *
+ * Errors make the project unusable (no name, content not a list). Smaller
+ * problems are warnings and the broken part is dropped (a layer without
+ * name or url, a pin or start location without coordinates, an unknown
+ * layer in a phase). Layers defined in a phase are added to "content".
+ *
+ * @param {object} raw - Project config
+ * @param {object} [options]
+ * @param {string} [options.id] - Id to use when the project has none
+ * @param {string} [options.baseUrl] - URL of the project file, for relative URLs
+ * @returns {{ project: object|null, errors: string[], warnings: string[] }}
+ */
+export function validateProject(raw, { id, baseUrl } = {}) {
+  const errors = [];
+  const warnings = [];
+
+  if (!isObject(raw)) {
+    return { project: null, errors: ["projektet är inte ett objekt"], warnings };
+  }
+
+  const project = { ...raw };
+
+  if (typeof project.name !== "string" || !project.name.trim()) {
+    errors.push('"name" saknas');
+  }
+
+  project.id = String(project.id ?? id ?? slugifyProjectName(project.name));
+  if (!project.id) errors.push('"id" saknas och kan inte skapas från namnet');
+
+  if (project.content !== undefined && !Array.isArray(project.content)) {
+    errors.push('"content" måste vara en lista');
+  }
+
+  if (errors.length) return { project: null, errors, warnings };
+
+  // Layers
+  project.content = (project.content || []).filter((layer, i) => {
+    if (!isObject(layer) || !layer.name) {
+      warnings.push(`lager ${i + 1} saknar "name" och hoppas över`);
+      return false;
+    }
+    if (!layer.url && !layer.ionAssetId && !isImageryLayer(layer)) {
+      warnings.push(`lagret "${layer.name}" saknar "url" och hoppas över`);
+      return false;
+    }
+    return true;
+  });
+
+  // Phases: layers given as names of content layers, or as new layers
+  if (project.phases !== undefined) {
+    if (!Array.isArray(project.phases)) {
+      warnings.push('"phases" måste vara en lista och används inte');
+      delete project.phases;
+    } else {
+      project.phases = project.phases.filter(isObject).map((phase, i) => {
+        const name = typeof phase.name === "string" && phase.name ? phase.name : `Etapp ${i + 1}`;
+        if (!phase.name) warnings.push(`etapp ${i + 1} saknar "name"`);
+
+        const layers = (Array.isArray(phase.layers) ? phase.layers : []).flatMap((entry) => {
+          if (isObject(entry) && entry.name) {
+            if (!project.content.some((l) => l.name === entry.name)) {
+              project.content.push(entry);
+            }
+            return [entry.name];
+          }
+          if (project.content.some((l) => l.name === entry)) return [entry];
+
+          warnings.push(`etappen "${name}" har okänt lager "${entry}"`);
+          return [];
+        });
+
+        return { ...phase, id: String(phase.id ?? (slugifyProjectName(name) || i + 1)), name, layers };
+      });
+    }
+  }
+
+  if (baseUrl) {
+    project.content = project.content.map((layer) =>
+      layer.url ? { ...layer, url: resolveUrl(layer.url, baseUrl) } : layer
+    );
+
+    if (project.thumbnail) project.thumbnail = resolveUrl(project.thumbnail, baseUrl);
+    if (isObject(project.pin) && project.pin.icon) {
+      project.pin = { ...project.pin, icon: resolveUrl(project.pin.icon, baseUrl) };
+    }
+
+    [project, ...(project.phases || [])].forEach((target) => {
+      ["terrainClipping", "tilesetClipping"].forEach((key) => {
+        if (isObject(target[key]) && typeof target[key].url === "string") {
+          target[key] = { ...target[key], url: resolveUrl(target[key].url, baseUrl) };
+        }
+      });
+    });
+  }
+
+  // List filters (see projectFilter.js)
+  ["categories", "tags"].forEach((key) => {
+    if (typeof project[key] === "string") project[key] = [project[key]];
+    if (project[key] !== undefined && !Array.isArray(project[key])) {
+      warnings.push(`"${key}" måste vara en lista och används inte`);
+      delete project[key];
+    }
+  });
+
+  if (project.status !== undefined && !PROJECT_STATUSES[project.status]) {
+    warnings.push(
+      `okänd "status" "${project.status}" (${Object.keys(PROJECT_STATUSES).join(", ")})`
+    );
+    delete project.status;
+  }
+
+  // Pin and camera
+  if (project.pin !== undefined && !hasLngLat(project.pin)) {
+    warnings.push('"pin" saknar lng/lat och visas inte');
+    delete project.pin;
+  }
+
+  const start = project["start-location"];
+  if (start !== undefined && !hasLngLat(start?.position)) {
+    warnings.push('"start-location" saknar position med lng/lat och används inte');
+    delete project["start-location"];
+  }
+
+  return { project, errors, warnings };
+}
+
+// ------------------------------------------------------------
+// Loading
+// ------------------------------------------------------------
+async function fetchJson(url) {
+  // no-cache: a refresh must see edited files
+  const res = await fetch(url, { cache: "no-cache" });
+  if (!res.ok) throw new Error(`HTTP ${res.status} för ${url}`);
+  return res.json();
+}
+
+function normalizeSource(source) {
+  if (typeof source === "string") return { ...DEFAULTS, url: source };
+  return { ...DEFAULTS, ...source };
+}
+
+/**
+ * Loads all projects of a source.
+ *
+ * A project file that cannot be read is logged and skipped, so one broken
+ * project does not hide the others. Its key (id, or url when the entry has
+ * no id) is returned in `failed`, so a caller can keep the version it
+ * already has. A list file that cannot be read throws.
+ *
+ * @param {string|object} source - config.projectSource
+ * @returns {Promise<{
+ *   projects: Array<{ raw: object, id?: string, baseUrl?: string, key?: string }>,
+ *   failed: string[]
+ * }>}
+ */
+export async function loadProjectSource(source) {
+  const settings = normalizeSource(source);
+  const page = window.location.href;
+
+  let entries;
+  let listUrl = null;
+
+  if (settings.url) {
+    listUrl = new URL(settings.url, page).href;
+    const list = await fetchJson(listUrl);
+    entries = Array.isArray(list) ? list : list?.projects;
+    if (!Array.isArray(entries)) {
+      throw new Error(`${settings.url} innehåller ingen projektlista`);
+    }
+  } else if (Array.isArray(settings.ids)) {
+    entries = settings.ids;
+  } else {
+    throw new Error('"projectSource" behöver "url" eller "ids"');
+  }
+
+  const directory = settings.directory
+    ? new URL(settings.directory, page).href
+    : new URL("./", listUrl || page).href;
+  const directoryUrl = directory.endsWith("/") ? directory : `${directory}/`;
+
+  const failed = [];
+
+  const loaded = await Promise.all(
+    entries.map(async (entry) => {
+      // Inline project
+      if (isObject(entry) && entry.name !== undefined) {
+        return { raw: entry, baseUrl: listUrl };
+      }
+
+      const id = typeof entry === "string" ? entry : entry?.id;
+      const url = isObject(entry) && entry.url
+        ? new URL(entry.url, listUrl || page).href
+        : id && `${directoryUrl}${encodeURIComponent(id)}/project.json`;
+
+      if (!url) {
+        console.warn("[projectSource] Ogiltig post i projektlistan:", entry);
+        return null;
+      }
+
+      const key = id || url;
+      try {
+        return { raw: await fetchJson(url), id, baseUrl: url, key };
+      } catch (err) {
+        console.warn(`[projectSource] Kunde inte läsa projektet "${key}"`, err);
+        failed.push(key);
+        return null;
+      }
+    })
+  );
+
+  return { projects: loaded.filter(Boolean), failed };
+}
+
+/**
+ * Loads a source now and again every refreshInterval ms. onLoad is only
+ * called when the list itself could be read.
+ *
+ * @param {string|object} source - config.projectSource
+ * @param {(result: { projects: Array<object>, failed: string[] }) => void} onLoad - See loadProjectSource
+ * @returns {{ ready: Promise<void>, reload: () => Promise<void>, stop: () => void }}
+ */
+export function watchProjectSource(source, onLoad) {
+  const settings = normalizeSource(source);
+  let timer = null;
+
+  async function reload() {
+    try {
+      onLoad(await loadProjectSource(settings));
+    } catch (err) {
+      console.warn("[projectSource] Kunde inte läsa projekten", err);
+    }
+  }
+
+  const ready = reload();
+
+  if (settings.refreshInterval > 0) {
+    timer = setInterval(reload, settings.refreshInterval);
+  }
+
+  return {
+    ready,
+    reload,
+    stop: () => {
+      if (timer) clearInterval(timer);
+      timer = null;
+    }
+  };
+}
@@ -0,0 +1,164 @@
+// src/config/ui/reproject.js
+import proj4 from "proj4";
+
+/**
+ * Reprojection of vector data to WGS 84 using the CRS definitions in
+ * `proj4Defs` (index.json). Used for imported files and WFS layers, which
+ * often come in SWEREF 99 TM (EPSG:3006) or a local SWEREF 99 zone.
+ */
+
+/**
+ * Registers all configured CRS definitions (code and alias) with proj4.
+ *
+ * @param {Array<{code: string, alias?: string, projection: string}>} proj4Defs
+ */
+export function registerProj4Defs(proj4Defs) {
+  (proj4Defs || []).forEach((def) => {
+    proj4.defs(def.code, def.projection);
+    if (def.alias) proj4.defs(def.alias, def.projection);
+  });
+}
+
+/**
+ * Normalizes a CRS name to the configured code, e.g.
+ * "urn:ogc:def:crs:EPSG::3006", "EPSG:3006" or
+ * "http://www.opengis.net/def/crs/EPSG/0/3006" -> "EPSG:3006".
+ * Returns null if the CRS is not configured.
+ *
+ * @param {string} name - CRS name from the data
+ * @param {Array<object>} proj4Defs
+ * @returns {string|null}
+ */
+export function resolveCrsCode(name, proj4Defs) {
+  if (!name) return null;
+
+  const s = String(name).trim();
+  if (/CRS84$/i.test(s)) return "EPSG:4326";
+
+  const def = (proj4Defs || []).find(
+    (d) => d.code === s || d.alias === s
+  );
+  if (def) return def.code;
+
+  const epsg = s.match(/EPSG[:/]*(?:[\d.]*[:/])*(\d+)$/i);
+  if (epsg) {
+    const code = `EPSG:${epsg[1]}`;
+    return (proj4Defs || []).some((d) => d.code === code) ? code : null;
+  }
+
+  return null;
+}
+
+function firstPosition(coords) {
+  let c = coords;
+  while (Array.isArray(c) && Array.isArray(c[0])) c = c[0];
+  return Array.isArray(c) && c.length >= 2 ? c : null;
+}
+
+function firstGeoJsonPosition(geojson) {
+  if (!geojson) return null;
+
+  if (geojson.type === "FeatureCollection") {
+    for (const f of geojson.features || []) {
+      const pos = firstGeoJsonPosition(f);
+      if (pos) return pos;
+    }
+    return null;
+  }
+
+  if (geojson.type === "Feature") return firstGeoJsonPosition(geojson.geometry);
+
+  if (geojson.type === "GeometryCollection") {
+    for (const g of geojson.geometries || []) {
+      const pos = firstGeoJsonPosition(g);
+      if (pos) return pos;
+    }
+    return null;
+  }
+
+  return firstPosition(geojson.coordinates);
+}
+
+/**
+ * Works out which CRS a GeoJSON object is in.
+ *
+ * Uses the (GeoJSON 2008) `crs` member when present. Otherwise, coordinates
+ * outside the lon/lat range are taken to be projected and `fallbackCode`
+ * is assumed. Projected data can be in any of the SWEREF 99 zones, so pass
+ * `null` to get null back and let the caller decide.
+ *
+ * @param {object} geojson
+ * @param {Array<object>} proj4Defs
+ * @param {string|null} [fallbackCode="EPSG:3006"]
+ * @returns {string|null} CRS code, "EPSG:4326" when no reprojection is needed
+ */
+export function detectGeoJsonCrs(geojson, proj4Defs, fallbackCode = "EPSG:3006") {
+  const named = resolveCrsCode(geojson?.crs?.properties?.name, proj4Defs);
+  if (named) return named;
+
+  const pos = firstGeoJsonPosition(geojson);
+  if (pos && (Math.abs(pos[0]) > 180 || Math.abs(pos[1]) > 90)) {
+    return fallbackCode;
+  }
+
+  return "EPSG:4326";
+}
+
+function transformCoords(coords, convert) {
+  if (!Array.isArray(coords)) return coords;
+
+  if (typeof coords[0] === "number") {
+    const [x, y, ...rest] = coords;
+    const [lon, lat] = convert([x, y]);
+    return [lon, lat, ...rest];
+  }
+
+  return coords.map((c) => transformCoords(c, convert));
+}
+
+function transformGeometry(geometry, convert) {
+  if (!geometry) return geometry;
+
+  if (geometry.type === "GeometryCollection") {
+    return {
+      ...geometry,
+      geometries: (geometry.geometries || []).map((g) => transformGeometry(g, convert))
+    };
+  }
+
+  return { ...geometry, coordinates: transformCoords(geometry.coordinates, convert) };
+}
+
+/**
+ * Returns a copy of a GeoJSON object reprojected from `fromCode` to WGS 84.
+ * Heights (third coordinate) are kept. The `crs` member is dropped.
+ *
+ * @param {object} geojson - FeatureCollection, Feature or geometry
+ * @param {string} fromCode - Source CRS code registered with proj4
+ * @returns {object}
+ */
+export function reprojectGeoJson(geojson, fromCode) {
+  if (!fromCode || fromCode === "EPSG:4326") return geojson;
+
+  const converter = proj4(fromCode, "EPSG:4326");
+  const convert = (xy) => converter.forward(xy);
+
+  const copy = { ...geojson };
+  delete copy.crs;
+
+  if (copy.type === "FeatureCollection") {
+    return {
+      ...copy,
+      features: (copy.features || []).map((f) => ({
+        ...f,
+        geometry: transformGeometry(f.geometry, convert)
+      }))
+    };
+  }
+
+  if (copy.type === "Feature") {
+    return { ...copy, geometry: transformGeometry(copy.geometry, convert) };
+  }
+
+  return transformGeometry(copy, convert);
+}
@@ -0,0 +1,390 @@
+// src/config/ui/serviceCatalog.js
+import { windowManager } from "./windowManager.js";
+import { fetchCapabilities, flattenLayers } from "./capabilities.js";
+
+/**
+ * "Lägg till tjänst": lets the user add layers from any WMS/WMTS service.
+ *
+ * Features:
+ *  - URL field with service type (guessed from the URL by default)
+ *  - Reads GetCapabilities (see capabilities.js) and shows the layers as a
+ *    tree with titles, layer names and abstracts
+ *  - Search over title, name, abstract and keywords; parents of hits stay
+ *    visible and are expanded
+ *  - Picked layers are added to the "Tillagda tjänster" group of the layer
+ *    menu for this session (not kept in shared links)
+ *  - The last used URLs are offered as suggestions
+ *
+ * @param {(layer: object) => Promise<void>} addLayer - Adds a layer config to the layer menu
+ * @returns {{ button: HTMLButtonElement, open: () => void, close: () => void }}
+ */
+export function createServiceCatalog(addLayer) {
+  const HISTORY_KEY = "serviceCatalogHistory";
+  const HISTORY_SIZE = 10;
+
+  // ------------------------------------------------------------
+  // 1) Button in the layer menu
+  // ------------------------------------------------------------
+  const button = document.createElement("button");
+  button.type = "button";
+  button.className = "file-import-button";
+  button.textContent = "Lägg till tjänst";
+  button.title = "Lägg till lager från en WMS- eller WMTS-tjänst";
+  button.addEventListener("click", () => open());
+
+  // ------------------------------------------------------------
+  // 2) Panel
+  // ------------------------------------------------------------
+  const panel = document.createElement("div");
+  panel.className = "tool-panel service-catalog";
+  panel.style.display = "none";
+
+  const header = document.createElement("div");
+  header.className = "panel-header";
+  header.textContent = "Lägg till tjänst";
+
+  const closeBtn = document.createElement("button");
+  closeBtn.type = "button";
+  closeBtn.className = "panel-close tool-button";
+  closeBtn.title = "Stäng";
+  closeBtn.style.setProperty("--icon", "var(--black-icon-close)");
+  closeBtn.addEventListener("pointerdown", (e) => e.stopPropagation());
+  closeBtn.addEventListener("click", () => close());
+  header.appendChild(closeBtn);
+
+  const body = document.createElement("div");
+  body.className = "panel-body";
+
+  // URL + type + fetch
+  const form = document.createElement("form");
+  form.className = "service-catalog-form";
+
+  const historyList = document.createElement("datalist");
+  historyList.id = "service-catalog-history";
+
+  const urlInput = document.createElement("input");
+  urlInput.type = "url";
+  urlInput.required = true;
+  urlInput.placeholder = "https://exempel.se/geoserver/wms";
+  urlInput.className = "service-catalog-url";
+  urlInput.setAttribute("list", historyList.id);
+
+  const typeSelect = document.createElement("select");
+  typeSelect.className = "service-catalog-type";
+  [
+    ["", "Automatiskt"],
+    ["WMS", "WMS"],
+    ["WMTS", "WMTS"]
+  ].forEach(([value, text]) => {
+    const opt = document.createElement("option");
+    opt.value = value;
+    opt.textContent = text;
+    typeSelect.appendChild(opt);
+  });
+
+  const fetchBtn = document.createElement("button");
+  fetchBtn.type = "submit";
+  fetchBtn.textContent = "Hämta";
+
+  form.append(urlInput, historyList, typeSelect, fetchBtn);
+
+  const statusEl = document.createElement("div");
+  statusEl.className = "service-catalog-status";
+
+  const serviceEl = document.createElement("div");
+  serviceEl.className = "service-catalog-service";
+  serviceEl.hidden = true;
+
+  const searchInput = document.createElement("input");
+  searchInput.type = "search";
+  searchInput.placeholder = "Sök lager...";
+  searchInput.className = "service-catalog-search";
+  searchInput.hidden = true;
+
+  const tree = document.createElement("ul");
+  tree.className = "service-catalog-tree";
+
+  const footer = document.createElement("div");
+  footer.className = "service-catalog-footer";
+  footer.hidden = true;
+
+  const addBtn = document.createElement("button");
+  addBtn.type = "button";
+  addBtn.className = "service-catalog-add";
+  addBtn.disabled = true;
+  footer.appendChild(addBtn);
+
+  body.append(form, statusEl, serviceEl, searchInput, tree, footer);
+  panel.append(header, body);
+  document.body.appendChild(panel);
+
+  windowManager.makeDraggable(panel, header);
+  panel.addEventListener("pointerdown", () => windowManager.bringToFront(panel));
+
+  // ------------------------------------------------------------
+  // State
+  // ------------------------------------------------------------
+  let service = null; // parsed capabilities + url
+  let nodeEls = []; // { node, li, checkbox, text }
+  const selected = new Set(); // picked nodes
+
+  function loadHistory() {
+    try {
+      return JSON.parse(localStorage.getItem(HISTORY_KEY)) || [];
+    } catch {
+      return [];
+    }
+  }
+
+  function renderHistory() {
+    historyList.innerHTML = "";
+    loadHistory().forEach((url) => {
+      const opt = document.createElement("option");
+      opt.value = url;
+      historyList.appendChild(opt);
+    });
+  }
+
+  function remember(url) {
+    const history = [url, ...loadHistory().filter((u) => u !== url)].slice(0, HISTORY_SIZE);
+    try {
+      localStorage.setItem(HISTORY_KEY, JSON.stringify(history));
+    } catch {
+      // storage full or disabled
+    }
+    renderHistory();
+  }
+
+  function setStatus(text, isError = false) {
+    statusEl.textContent = text;
+    statusEl.classList.toggle("error", isError);
+  }
+
+  function updateAddButton() {
+    addBtn.disabled = selected.size === 0;
+    addBtn.textContent = selected.size
+      ? `Lägg till ${selected.size} lager`
+      : "Välj lager att lägga till";
+  }
+
+  // ------------------------------------------------------------
+  // 3) Layer tree
+  // ------------------------------------------------------------
+  function renderNode(node, parentEl) {
+    const li = document.createElement("li");
+    li.className = "service-catalog-node";
+
+    const row = document.createElement("div");
+    row.className = "service-catalog-row";
+
+    const toggle = document.createElement("button");
+    toggle.type = "button";
+    toggle.className = "service-catalog-toggle";
+    toggle.hidden = !node.children.length;
+    toggle.title = "Visa/dölj underlager";
+    toggle.addEventListener("click", () => li.classList.toggle("open"));
+
+    let checkbox = null;
+    if (node.config) {
+      checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.addEventListener("change", () => {
+        if (checkbox.checked) selected.add(node);
+        else selected.delete(node);
+        updateAddButton();
+      });
+    }
+
+    const label = document.createElement("label");
+    label.className = "service-catalog-label";
+
+    const title = document.createElement("span");
+    title.className = "service-catalog-title";
+    title.textContent = node.title || node.name;
+    label.appendChild(title);
+
+    if (node.name && node.name !== node.title) {
+      const name = document.createElement("span");
+      name.className = "service-catalog-name";
+      name.textContent = node.name;
+      label.appendChild(name);
+    }
+
+    if (checkbox) label.prepend(checkbox);
+    row.append(toggle, label);
+    li.appendChild(row);
+
+    // Abstract, clamped until clicked
+    const abstract = node.abstract || node.unsupported;
+    if (abstract) {
+      const p = document.createElement("p");
+      p.className = "service-catalog-abstract";
+      p.classList.toggle("unsupported", !!node.unsupported);
+      p.textContent = abstract;
+      p.title = "Klicka för att visa hela texten";
+      p.addEventListener("click", () => p.classList.toggle("expanded"));
+      li.appendChild(p);
+    }
+
+    const text = [node.title, node.name, node.abstract, ...node.keywords]
+      .join(" ")
+      .toLowerCase();
+    nodeEls.push({ node, li, checkbox, text });
+
+    if (node.children.length) {
+      const ul = document.createElement("ul");
+      node.children.forEach((child) => renderNode(child, ul));
+      li.appendChild(ul);
+    }
+
+    parentEl.appendChild(li);
+  }
+
+  function renderTree() {
+    tree.innerHTML = "";
+    nodeEls = [];
+    selected.clear();
+
+    service.layers.forEach((node) => renderNode(node, tree));
+
+    // Open the first level, which is usually a single root layer
+    tree.querySelectorAll(":scope > li").forEach((li) => li.classList.add("open"));
+
+    updateAddButton();
+  }
+
+  /**
+   * Shows nodes matching every word of the query, with their ancestors.
+   */
+  function applySearch() {
+    const words = searchInput.value.toLowerCase().split(/\s+/).filter(Boolean);
+
+    if (!words.length) {
+      nodeEls.forEach(({ li }) => li.classList.remove("hidden", "search-open"));
+      return;
+    }
+
+    // Children come after their parent, so walk backwards to bubble hits up
+    const visible = new Set();
+    for (let i = nodeEls.length - 1; i >= 0; i--) {
+      const { li, text } = nodeEls[i];
+      const hit = words.every((w) => text.includes(w));
+      const childHit = Array.from(li.querySelectorAll(":scope > ul > li")).some((c) =>
+        visible.has(c)
+      );
+
+      if (hit || childHit) visible.add(li);
+      li.classList.toggle("hidden", !visible.has(li));
+      li.classList.toggle("search-open", childHit);
+    }
+  }
+
+  searchInput.addEventListener("input", applySearch);
+
+  // ------------------------------------------------------------
+  // 4) Fetch capabilities
+  // ------------------------------------------------------------
+  form.addEventListener("submit", async (ev) => {
+    ev.preventDefault();
+
+    const url = urlInput.value.trim();
+    if (!url) return;
+
+    fetchBtn.disabled = true;
+    setStatus("Hämtar tjänstens lager...");
+
+    try {
+      const caps = await fetchCapabilities(url, typeSelect.value || undefined);
+      service = { ...caps, url };
+
+      const count = flattenLayers(caps.layers).length;
+      setStatus(`${count} lager i tjänsten (${caps.type})`);
+
+      serviceEl.innerHTML = "";
+      const title = document.createElement("strong");
+      title.textContent = caps.title || url;
+      serviceEl.appendChild(title);
+      if (caps.abstract) {
+        const p = document.createElement("p");
+        p.className = "service-catalog-abstract";
+        p.textContent = caps.abstract;
+        p.addEventListener("click", () => p.classList.toggle("expanded"));
+        serviceEl.appendChild(p);
+      }
+
+      serviceEl.hidden = false;
+      searchInput.hidden = false;
+      footer.hidden = false;
+      searchInput.value = "";
+
+      renderTree();
+      remember(url);
+    } catch (err) {
+      console.warn("Could not read capabilities", err);
+      service = null;
+      tree.innerHTML = "";
+      serviceEl.hidden = true;
+      searchInput.hidden = true;
+      footer.hidden = true;
+      setStatus(`Kunde inte läsa tjänsten: ${err.message}`, true);
+    } finally {
+      fetchBtn.disabled = false;
+    }
+  });
+
+  // ------------------------------------------------------------
+  // 5) Add picked layers
+  // ------------------------------------------------------------
+  addBtn.addEventListener("click", async () => {
+    if (!service) return;
+
+    const host = new URL(service.url, window.location.href).host;
+    const nodes = nodeEls.map((e) => e.node).filter((n) => selected.has(n));
+    const failed = [];
+
+    for (const node of nodes) {
+      const layer = {
+        ...node.config,
+        // Unique per service, so the same layer name from two services can coexist
+        name: `${host}/${node.config.name}`,
+        infoText: node.config.infoText || service.title || host
+      };
+
+      try {
+        await addLayer(layer);
+      } catch (err) {
+        console.warn(`Could not add service layer "${layer.title}"`, err);
+        failed.push(layer.title);
+      }
+    }
+
+    if (failed.length) {
+      setStatus(`Kunde inte läggas till: ${failed.join(", ")}`, true);
+    } else {
+      setStatus(`${nodes.length} lager tillagda i "Tillagda tjänster"`);
+    }
+
+    nodeEls.forEach(({ checkbox }) => {
+      if (checkbox) checkbox.checked = false;
+    });
+    selected.clear();
+    updateAddButton();
+  });
+
+  // ------------------------------------------------------------
+  // API
+  // ------------------------------------------------------------
+  function open() {
+    renderHistory();
+    panel.style.display = "flex";
+    windowManager.bringToFront(panel);
+    requestAnimationFrame(() => windowManager.keepInViewport(panel));
+    urlInput.focus();
+  }
+
+  function close() {
+    panel.style.display = "none";
+  }
+
+  return { button, open, close };
+}
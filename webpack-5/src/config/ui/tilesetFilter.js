@@ -0,0 +1,447 @@
+// src/config/ui/tilesetFilter.js
+import { Expression } from "cesium";
+
+import { getLoadedTiles, readTileFeatures } from "./attributeTable.js";
+
+/**
+ * Attribute filter ("query builder") for 3D tilesets in the layer menu.
+ *
+ * A filter is a list of conditions joined with AND or OR:
+ *   {
+ *     join: "and",
+ *     conditions: [
+ *       { property: "height", operator: ">", value: "20" },
+ *       { property: "usage", operator: "=", value: "Bostad" }
+ *     ]
+ *   }
+ *
+ * It is turned into a 3D Tiles `show` expression and combined with the
+ * show expression of the active style (see tilesetStyle.js), so switching
+ * style or changing opacity keeps the filter. Conditions without property
+ * or value are ignored.
+ *
+ * The editor discovers property names (and some values as suggestions)
+ * from the features that are loaded, and counts how many of them match.
+ */
+
+export const FILTER_OPERATORS = [
+  { value: "=", label: "=" },
+  { value: "!=", label: "≠" },
+  { value: ">", label: ">" },
+  { value: ">=", label: "≥" },
+  { value: "<", label: "<" },
+  { value: "<=", label: "≤" },
+  { value: "~", label: "innehåller" }
+];
+
+// Max number of distinct values suggested per property
+const MAX_SUGGESTIONS = 50;
+
+// Delay before recounting after tiles were loaded
+const COUNT_DELAY = 500;
+
+/**
+ * Quotes a string for a style expression. Cesium keeps backslashes as-is
+ * inside expression strings, so quotes cannot be escaped: the quote
+ * character not in the value is used, and double quotes are dropped if
+ * the value has both.
+ */
+function quote(value) {
+  const s = String(value);
+  if (!s.includes("'")) return `'${s}'`;
+  return `"${s.replace(/"/g, "")}"`;
+}
+
+function propertyRef(name) {
+  return /^[A-Za-z_][A-Za-z0-9_]*$/.test(name)
+    ? `\${${name}}`
+    : `\${feature[${quote(name)}]}`;
+}
+
+function escapeRegExp(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function isNumeric(value) {
+  return String(value).trim() !== "" && Number.isFinite(Number(value));
+}
+
+function buildCondition({ property, operator, value }) {
+  const ref = propertyRef(property);
+  const v = String(value).trim();
+
+  if (operator === "~") {
+    return `regExp(${quote(escapeRegExp(v))}, 'i').test(String(${ref}))`;
+  }
+
+  const numeric = isNumeric(v);
+  const left = numeric ? `Number(${ref})` : `String(${ref})`;
+  const right = numeric ? String(Number(v)) : quote(v);
+
+  switch (operator) {
+    case "=":
+      return `${left} === ${right}`;
+    case "!=":
+      return `${left} !== ${right}`;
+    case ">":
+    case ">=":
+    case "<":
+    case "<=":
+      // Ordering only makes sense for numbers
+      return numeric ? `${left} ${operator} ${right}` : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Returns the complete conditions of a filter (property and value set).
+ *
+ * @param {object} filter
+ * @returns {Array<object>}
+ */
+export function getActiveConditions(filter) {
+  return (filter?.conditions || []).filter(
+    (c) => c.property && String(c.value ?? "").trim() !== ""
+  );
+}
+
+/**
+ * Builds a 3D Tiles `show` expression from a filter.
+ *
+ * @param {object} filter
+ * @returns {string|undefined} undefined when the filter has no complete condition
+ */
+export function buildFilterExpression(filter) {
+  const parts = getActiveConditions(filter).map(buildCondition).filter(Boolean);
+  if (!parts.length) return undefined;
+
+  const join = filter.join === "or" ? " || " : " && ";
+  return parts.map((p) => `(${p})`).join(join);
+}
+
+/**
+ * Counts the loaded features of a tileset that match a show expression.
+ *
+ * @param {Cesium3DTileset} tileset
+ * @param {string|undefined} expression
+ * @returns {{ matching: number, total: number }}
+ */
+export function countMatchingFeatures(tileset, expression) {
+  const compiled = expression ? new Expression(expression) : null;
+  let matching = 0;
+  let total = 0;
+
+  getLoadedTiles(tileset).forEach((tile) => {
+    readTileFeatures(tile).forEach(({ feature }) => {
+      total++;
+      try {
+        if (!compiled || compiled.evaluate(feature)) matching++;
+      } catch {
+        // e.g. properties missing on this feature
+      }
+    });
+  });
+
+  return { matching, total };
+}
+
+/**
+ * Collects property names and some distinct values from loaded features.
+ *
+ * @param {Cesium3DTileset} tileset
+ * @returns {Map<string, Set<string>>} property name -> suggested values
+ */
+function discoverProperties(tileset) {
+  const properties = new Map();
+
+  getLoadedTiles(tileset).forEach((tile) => {
+    readTileFeatures(tile).forEach((row) => {
+      Object.entries(row.properties).forEach(([name, value]) => {
+        if (!properties.has(name)) properties.set(name, new Set());
+
+        const values = properties.get(name);
+        if (
+          values.size < MAX_SUGGESTIONS &&
+          value !== undefined &&
+          value !== null &&
+          typeof value !== "object"
+        ) {
+          values.add(String(value));
+        }
+      });
+    });
+  });
+
+  return properties;
+}
+
+// ------------------------------------------------------------
+// Editor
+// ------------------------------------------------------------
+/**
+ * Creates the filter editor shown in a tileset's info panel.
+ *
+ * @param {object} options
+ * @param {() => Cesium3DTileset|undefined} options.getTileset - The loaded tileset, if any
+ * @param {(filter: object|null) => void} options.onChange - Called with the new filter
+ *        (null when cleared)
+ * @returns {{
+ *   element: HTMLElement,
+ *   setFilter: (filter: object|null) => void,
+ *   setTileset: (tileset: Cesium3DTileset|null) => void,
+ *   refresh: () => void
+ * }}
+ */
+export function createTilesetFilterEditor({ getTileset, onChange }) {
+  const element = document.createElement("div");
+  element.className = "tileset-filter";
+
+  const title = document.createElement("label");
+  title.textContent = "Filter:";
+
+  const joinSelect = document.createElement("select");
+  joinSelect.className = "tileset-filter-join";
+  [
+    ["and", "Alla villkor (OCH)"],
+    ["or", "Något villkor (ELLER)"]
+  ].forEach(([value, text]) => {
+    const opt = document.createElement("option");
+    opt.value = value;
+    opt.textContent = text;
+    joinSelect.appendChild(opt);
+  });
+
+  const list = document.createElement("div");
+  list.className = "tileset-filter-conditions";
+
+  const actions = document.createElement("div");
+  actions.className = "tileset-filter-actions";
+
+  const addButton = document.createElement("button");
+  addButton.type = "button";
+  addButton.textContent = "+ Villkor";
+
+  const clearButton = document.createElement("button");
+  clearButton.type = "button";
+  clearButton.textContent = "Rensa";
+
+  actions.append(addButton, clearButton);
+
+  const countEl = document.createElement("div");
+  countEl.className = "tileset-filter-count";
+
+  element.append(title, joinSelect, list, actions, countEl);
+
+  let properties = new Map(); // name -> Set<value>
+  let rows = []; // { element, property, operator, value }
+  let watchedTileset = null;
+  let removeTileLoad = null;
+  let countTimer = null;
+
+  // ------------------------------------------------------------
+  // State <-> UI
+  // ------------------------------------------------------------
+  function readFilter() {
+    const conditions = rows.map((r) => ({
+      property: r.property.value,
+      operator: r.operator.value,
+      value: r.value.value
+    }));
+
+    return conditions.length ? { join: joinSelect.value, conditions } : null;
+  }
+
+  function emit() {
+    onChange(readFilter());
+    updateCount();
+  }
+
+  function fillPropertyOptions(select, selected) {
+    const names = Array.from(properties.keys()).sort((a, b) =>
+      a.localeCompare(b, "sv")
+    );
+
+    // Keep a selected name even if no loaded feature has it (e.g. from a link)
+    if (selected && !properties.has(selected)) names.unshift(selected);
+
+    select.innerHTML = "";
+
+    const empty = document.createElement("option");
+    empty.value = "";
+    empty.textContent = names.length ? "Välj egenskap" : "Inga egenskaper laddade";
+    select.appendChild(empty);
+
+    names.forEach((name) => {
+      const opt = document.createElement("option");
+      opt.value = name;
+      opt.textContent = name;
+      select.appendChild(opt);
+    });
+
+    select.value = selected || "";
+  }
+
+  function fillSuggestions(datalist, property) {
+    datalist.innerHTML = "";
+    Array.from(properties.get(property) || [])
+      .sort((a, b) => a.localeCompare(b, "sv", { numeric: true }))
+      .forEach((value) => {
+        const opt = document.createElement("option");
+        opt.value = value;
+        datalist.appendChild(opt);
+      });
+  }
+
+  function addRow(condition = {}) {
+    const rowEl = document.createElement("div");
+    rowEl.className = "tileset-filter-row";
+
+    const property = document.createElement("select");
+    property.className = "tileset-filter-property";
+    fillPropertyOptions(property, condition.property);
+
+    const operator = document.createElement("select");
+    operator.className = "tileset-filter-operator";
+    FILTER_OPERATORS.forEach(({ value, label }) => {
+      const opt = document.createElement("option");
+      opt.value = value;
+      opt.textContent = label;
+      operator.appendChild(opt);
+    });
+    operator.value = condition.operator || "=";
+
+    const datalist = document.createElement("datalist");
+    datalist.id = `tileset-filter-values-${Math.random().toString(36).slice(2)}`;
+
+    const value = document.createElement("input");
+    value.type = "text";
+    value.className = "tileset-filter-value";
+    value.placeholder = "Värde";
+    value.value = condition.value ?? "";
+    value.setAttribute("list", datalist.id);
+    fillSuggestions(datalist, condition.property);
+
+    const remove = document.createElement("button");
+    remove.type = "button";
+    remove.className = "remove-button";
+    remove.title = "Ta bort villkor";
+
+    rowEl.append(property, operator, value, datalist, remove);
+    list.appendChild(rowEl);
+
+    const row = { element: rowEl, property, operator, value, datalist };
+    rows.push(row);
+
+    // Rediscover on open so properties of newly loaded tiles show up
+    property.addEventListener("focus", () => {
+      discover();
+      fillPropertyOptions(property, property.value);
+    });
+
+    property.addEventListener("change", () => {
+      fillSuggestions(datalist, property.value);
+      emit();
+    });
+    operator.addEventListener("change", emit);
+    value.addEventListener("change", emit);
+
+    remove.addEventListener("click", (ev) => {
+      ev.stopPropagation();
+      rows = rows.filter((r) => r !== row);
+      rowEl.remove();
+      emit();
+    });
+
+    return row;
+  }
+
+  function discover() {
+    const tileset = getTileset();
+    if (tileset) properties = discoverProperties(tileset);
+  }
+
+  // ------------------------------------------------------------
+  // Match count
+  // ------------------------------------------------------------
+  function updateCount() {
+    const tileset = getTileset();
+    const expression = buildFilterExpression(readFilter());
+
+    if (!tileset || !expression) {
+      countEl.textContent = "";
+      return;
+    }
+
+    const { matching, total } = countMatchingFeatures(tileset, expression);
+    countEl.textContent = `${matching} av ${total} laddade objekt matchar`;
+  }
+
+  function scheduleCount() {
+    clearTimeout(countTimer);
+    countTimer = setTimeout(updateCount, COUNT_DELAY);
+  }
+
+  // ------------------------------------------------------------
+  // Events
+  // ------------------------------------------------------------
+  joinSelect.addEventListener("change", emit);
+
+  addButton.addEventListener("click", (ev) => {
+    ev.stopPropagation();
+    discover();
+    addRow();
+  });
+
+  clearButton.addEventListener("click", (ev) => {
+    ev.stopPropagation();
+    setFilter(null);
+    emit();
+  });
+
+  // ------------------------------------------------------------
+  // API
+  // ------------------------------------------------------------
+  /**
+   * Replaces the editor's conditions (without calling onChange).
+   */
+  function setFilter(filter) {
+    rows = [];
+    list.innerHTML = "";
+    joinSelect.value = filter?.join === "or" ? "or" : "and";
+    (filter?.conditions || []).forEach((c) => addRow(c));
+    updateCount();
+  }
+
+  /**
+   * Follows tile loads of a tileset to keep the match count current.
+   */
+  function setTileset(tileset) {
+    if (tileset === watchedTileset) return;
+
+    removeTileLoad?.();
+    removeTileLoad = null;
+    clearTimeout(countTimer);
+    watchedTileset = tileset;
+
+    if (tileset) {
+      removeTileLoad = tileset.tileLoad.addEventListener(scheduleCount);
+    }
+
+    updateCount();
+  }
+
+  /**
+   * Rediscovers properties and recounts (e.g. when the info panel opens).
+   */
+  function refresh() {
+    discover();
+    rows.forEach((r) => {
+      fillPropertyOptions(r.property, r.property.value);
+      fillSuggestions(r.datalist, r.property.value);
+    });
+    updateCount();
+  }
+
+  return { element, setFilter, setTileset, refresh };
+}
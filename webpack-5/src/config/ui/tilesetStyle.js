@@ -0,0 +1,143 @@
+// src/config/ui/tilesetStyle.js
+import { Cesium3DTileStyle } from "cesium";
+
+/**
+ * Thematic styling for 3D tilesets in the layer menu.
+ *
+ * A tileset can have one style block (`style`) or several named styles
+ * (`styles`) that the user switches between in the layer's info panel.
+ * The blocks use the Cesium 3D Tiles styling language, so `color` and
+ * `show` may be plain expressions or `conditions` lists.
+ *
+ * Example:
+ * {
+ *   "name": "avesta",
+ *   "url": "buildings/avesta/tileset.json",
+ *   "group": "avesta",
+ *   "defaultStyle": "height",
+ *   "styles": [
+ *     { "name": "plain", "title": "Enfärgad" },
+ *     {
+ *       "name": "height",
+ *       "title": "Byggnadshöjd",
+ *       "color": {
+ *         "conditions": [
+ *           ["${height} >= 20", "color('#b2182b')"],
+ *           ["${height} >= 10", "color('#ef8a62')"],
+ *           ["true", "color('#f7f7f7')"]
+ *         ]
+ *       },
+ *       "show": "${construction_year} !== undefined"
+ *     }
+ *   ]
+ * }
+ *
+ * A condition may carry a third element used as legend label (see legend.js);
+ * it is dropped before the style reaches Cesium.
+ *
+ * The opacity slider is merged into the style instead of replacing it:
+ * every color expression is multiplied with vec4(1, 1, 1, opacity).
+ * An attribute filter from the info panel (see tilesetFilter.js) is merged
+ * the same way: it is AND-ed with the style's own `show`.
+ */
+
+const DEFAULT_STYLE_NAME = "default";
+
+/**
+ * Returns the list of named styles configured for a tileset.
+ * Always returns at least one entry so callers can treat all tilesets alike.
+ *
+ * @param {object} layer - Tileset layer config
+ * @returns {Array<object>} Style definitions with `name` and `title`
+ */
+export function getTilesetStyles(layer) {
+  if (Array.isArray(layer?.styles) && layer.styles.length) {
+    return layer.styles.map((s, i) => ({
+      ...s,
+      name: s.name || `style-${i}`,
+      title: s.title || s.name || `Stil ${i + 1}`
+    }));
+  }
+
+  if (layer?.style && typeof layer.style === "object") {
+    return [{ ...layer.style, name: DEFAULT_STYLE_NAME, title: "Standard" }];
+  }
+
+  return [{ name: DEFAULT_STYLE_NAME, title: "Standard" }];
+}
+
+/**
+ * Returns the style definition that should be active from start.
+ *
+ * @param {object} layer - Tileset layer config
+ * @returns {object}
+ */
+export function getDefaultTilesetStyle(layer) {
+  const styles = getTilesetStyles(layer);
+  return styles.find((s) => s.name === layer?.defaultStyle) || styles[0];
+}
+
+function withOpacity(colorExpr, opacity) {
+  if (opacity >= 1) return colorExpr;
+  return `(${colorExpr}) * vec4(1.0, 1.0, 1.0, ${opacity})`;
+}
+
+function buildColor(color, opacity) {
+  if (!color) {
+    return `color('white', ${opacity})`;
+  }
+
+  if (typeof color === "string") {
+    return withOpacity(color, opacity);
+  }
+
+  if (Array.isArray(color.conditions)) {
+    return {
+      conditions: color.conditions.map(([condition, expr]) => [
+        condition,
+        withOpacity(expr, opacity)
+      ])
+    };
+  }
+
+  return `color('white', ${opacity})`;
+}
+
+function buildShow(show, filterExpr) {
+  if (show === undefined || show === null) return filterExpr;
+  if (typeof show === "boolean") show = String(show);
+  if (!filterExpr) return show;
+
+  if (Array.isArray(show.conditions)) {
+    return {
+      conditions: show.conditions.map(([condition, expr]) => [
+        condition,
+        `(${expr}) && (${filterExpr})`
+      ])
+    };
+  }
+
+  return `(${show}) && (${filterExpr})`;
+}
+
+/**
+ * Builds a Cesium3DTileStyle from a style definition merged with an opacity.
+ *
+ * @param {object} styleDef - One entry from getTilesetStyles()
+ * @param {number} [opacity=1] - Opacity between 0 and 1
+ * @param {string} [filterExpr] - Extra show expression from an attribute filter
+ * @returns {Cesium3DTileStyle}
+ */
+export function buildTilesetStyle(styleDef = {}, opacity = 1, filterExpr) {
+  const json = {
+    color: buildColor(styleDef.color, opacity)
+  };
+
+  const show = buildShow(styleDef.show, filterExpr);
+  if (show !== undefined) json.show = show;
+
+  if (styleDef.defines) json.defines = styleDef.defines;
+  if (styleDef.pointSize !== undefined) json.pointSize = styleDef.pointSize;
+
+  return new Cesium3DTileStyle(json);
+}
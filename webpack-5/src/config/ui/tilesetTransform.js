@@ -0,0 +1,186 @@
+// src/config/ui/tilesetTransform.js
+import {
+  Cartesian3,
+  HeadingPitchRoll,
+  Math as CesiumMath,
+  Matrix4,
+  Quaternion,
+  Transforms
+} from "cesium";
+
+/**
+ * Placement corrections for 3D tilesets that float above or sink into the
+ * terrain, or are slightly misplaced.
+ *
+ * Config keys on a tileset (layer menu and project layers):
+ *   "heightOffset": -2.5,                                 meters, up is positive
+ *   "translation": { "east": 0, "north": 0, "up": 0 },    meters
+ *   "rotation": { "heading": 0, "pitch": 0, "roll": 0 }   degrees
+ *
+ * Translation and height offset are applied in the local east-north-up
+ * frame at the tileset's center, and the rotation is around that center.
+ *
+ * Admins (pages opened with ?admin in the URL) get a slider in the info
+ * panel of tilesets to find the height offset interactively. The slider
+ * prints the resulting config value to copy into index.json.
+ */
+
+// Range of the admin slider in meters
+const SLIDER_RANGE = 50;
+const SLIDER_STEP = 0.1;
+
+// Tileset center before any transform, so repeated adjustments do not drift
+const baseCenters = new WeakMap(); // Cesium3DTileset -> Cartesian3
+
+function numberOr(value, fallback = 0) {
+  return Number.isFinite(value) ? value : fallback;
+}
+
+/**
+ * True if the page was opened in admin mode (?admin or ?admin=1).
+ *
+ * @returns {boolean}
+ */
+export function isAdminMode() {
+  const value = new URLSearchParams(window.location.search).get("admin");
+  return value !== null && value !== "0" && value !== "false";
+}
+
+/**
+ * Reads the transform of a tileset config.
+ *
+ * @param {object} layer - Tileset config
+ * @returns {{ heightOffset: number, translation: {east: number, north: number, up: number}, rotation: {heading: number, pitch: number, roll: number} }}
+ */
+export function getTilesetTransform(layer) {
+  const t = layer?.translation || {};
+  const r = layer?.rotation || {};
+
+  return {
+    heightOffset: numberOr(layer?.heightOffset),
+    translation: { east: numberOr(t.east), north: numberOr(t.north), up: numberOr(t.up) },
+    rotation: { heading: numberOr(r.heading), pitch: numberOr(r.pitch), roll: numberOr(r.roll) }
+  };
+}
+
+function isIdentity({ heightOffset, translation, rotation }) {
+  return [heightOffset, ...Object.values(translation), ...Object.values(rotation)].every(
+    (v) => v === 0
+  );
+}
+
+/**
+ * Sets a tileset's modelMatrix from a transform (see getTilesetTransform).
+ * Can be called again with new values, e.g. while an admin drags the slider.
+ *
+ * @param {Cesium3DTileset} tileset
+ * @param {object} transform
+ */
+export function applyTilesetTransform(tileset, transform) {
+  if (!baseCenters.has(tileset)) {
+    // Nothing to do for a tileset that has never been moved
+    if (isIdentity(transform)) return;
+    baseCenters.set(tileset, Cartesian3.clone(tileset.boundingSphere.center));
+  }
+
+  if (isIdentity(transform)) {
+    tileset.modelMatrix = Matrix4.clone(Matrix4.IDENTITY);
+    return;
+  }
+
+  const { heightOffset, translation, rotation } = transform;
+
+  const enu = Transforms.eastNorthUpToFixedFrame(baseCenters.get(tileset));
+  const toLocal = Matrix4.inverseTransformation(enu, new Matrix4());
+
+  const local = Matrix4.fromTranslationQuaternionRotationScale(
+    new Cartesian3(translation.east, translation.north, translation.up + heightOffset),
+    Quaternion.fromHeadingPitchRoll(
+      new HeadingPitchRoll(
+        CesiumMath.toRadians(rotation.heading),
+        CesiumMath.toRadians(rotation.pitch),
+        CesiumMath.toRadians(rotation.roll)
+      )
+    ),
+    new Cartesian3(1, 1, 1)
+  );
+
+  const matrix = Matrix4.multiply(enu, local, new Matrix4());
+  tileset.modelMatrix = Matrix4.multiply(matrix, toLocal, matrix);
+}
+
+// ------------------------------------------------------------
+// Admin slider
+// ------------------------------------------------------------
+/**
+ * Creates the admin height offset slider shown in a tileset's info panel.
+ *
+ * @param {number} value - Current height offset in meters
+ * @param {(value: number) => void} onChange - Called while the slider moves
+ * @returns {{ element: HTMLElement, setValue: (value: number) => void }}
+ */
+export function createHeightOffsetControl(value, onChange) {
+  const element = document.createElement("div");
+  element.className = "height-offset-control";
+
+  const label = document.createElement("label");
+  label.textContent = "Höjdjustering (admin):";
+
+  const slider = document.createElement("input");
+  slider.type = "range";
+  slider.min = -SLIDER_RANGE;
+  slider.max = SLIDER_RANGE;
+  slider.step = SLIDER_STEP;
+
+  const number = document.createElement("input");
+  number.type = "number";
+  number.step = SLIDER_STEP;
+  number.className = "height-offset-value";
+
+  const output = document.createElement("div");
+  output.className = "height-offset-output";
+
+  const code = document.createElement("code");
+
+  const copyButton = document.createElement("button");
+  copyButton.type = "button";
+  copyButton.textContent = "Kopiera";
+  copyButton.addEventListener("click", async (ev) => {
+    ev.stopPropagation();
+    try {
+      await navigator.clipboard.writeText(code.textContent);
+      copyButton.textContent = "Kopierat";
+      setTimeout(() => (copyButton.textContent = "Kopiera"), 1500);
+    } catch {
+      // Clipboard not allowed: the text can still be selected
+    }
+  });
+
+  output.append(code, copyButton);
+  element.append(label, slider, number, output);
+
+  function setValue(v) {
+    const rounded = Math.round(v * 100) / 100;
+    slider.value = Math.min(Math.max(rounded, -SLIDER_RANGE), SLIDER_RANGE);
+    number.value = rounded;
+    code.textContent = `"heightOffset": ${rounded}`;
+  }
+
+  slider.addEventListener("input", () => {
+    const v = parseFloat(slider.value);
+    setValue(v);
+    onChange(v);
+  });
+
+  // The number field allows values outside the slider range
+  number.addEventListener("change", () => {
+    const v = parseFloat(number.value);
+    if (!Number.isFinite(v)) return;
+    setValue(v);
+    onChange(v);
+  });
+
+  setValue(value);
+
+  return { element, setValue };
+}
@@ -0,0 +1,315 @@
+// src/config/ui/timeSeries.js
+
+/**
+ * Time-enabled imagery layers for the layer menu.
+ *
+ * Two kinds of config are supported:
+ *
+ *  - WMS layers with a TIME dimension. `time` lists the values, or a range
+ *    of years, and each step requests the layer with TIME=<value>:
+ *      {
+ *        "name": "orto_historik", "type": "WMS", "layers": "orto", ...,
+ *        "time": { "values": ["1960", "1975", "2000"], "default": "2000" }
+ *      }
+ *      "time": { "start": 1960, "end": 2020, "step": 5 }
+ *
+ *  - Time series groups: a group with "timeSeries": true (or an options
+ *    object) whose layers are one year each ("year": 1975). The layers can
+ *    be of any imagery type and are shown as one row named after the group.
+ *
+ * Options, on `time` or on the group's `timeSeries` object:
+ *  - crossFade     true to fade between years instead of switching directly
+ *  - fadeDuration  Cross-fade duration in ms (default 600)
+ *  - interval      Time per year in autoplay mode in ms (default 2000)
+ *
+ * The selected year is switched with a slider under the layer row, which
+ * also has a play button that steps through the years in a loop.
+ */
+
+const DEFAULT_FADE_DURATION = 600;
+const DEFAULT_INTERVAL = 2000;
+
+function rangeValues({ start, end, step = 1 }) {
+  const values = [];
+  if (!Number.isFinite(start) || !Number.isFinite(end) || step <= 0) return values;
+
+  for (let v = start; v <= end; v += step) values.push(String(v));
+  return values;
+}
+
+/**
+ * Returns the steps of a time layer, oldest first, or an empty list for
+ * layers without time.
+ *
+ * @param {object} layer - Layer config
+ * @returns {Array<{value: string, layer: object}>} value and the config to create the step from
+ */
+export function getTimeSteps(layer) {
+  if (Array.isArray(layer?.timeSteps)) return layer.timeSteps;
+
+  const time = layer?.time;
+  if (!time || typeof time !== "object") return [];
+
+  const values = Array.isArray(time.values)
+    ? time.values.map(String)
+    : rangeValues(time);
+
+  return values.map((value) => ({
+    value,
+    layer: { ...layer, parameters: { ...layer.parameters, time: value } }
+  }));
+}
+
+/**
+ * True if the layer has more than one time step.
+ *
+ * @param {object} layer - Layer config
+ * @returns {boolean}
+ */
+export function isTimeLayer(layer) {
+  return getTimeSteps(layer).length > 1;
+}
+
+/**
+ * Returns the value shown from start: `default` if it is a step, otherwise
+ * the latest step.
+ *
+ * @param {object} layer - Layer config
+ * @returns {string|undefined}
+ */
+export function getDefaultTimeValue(layer) {
+  const steps = getTimeSteps(layer);
+  const wanted = String(layer.time?.default ?? layer.timeSeries?.default ?? "");
+  return (steps.find((s) => s.value === wanted) || steps[steps.length - 1])?.value;
+}
+
+/**
+ * Returns the layer config for one step; falls back to the default step.
+ *
+ * @param {object} layer - Time layer config
+ * @param {string} [value]
+ * @returns {object}
+ */
+export function getTimeStepLayer(layer, value) {
+  const steps = getTimeSteps(layer);
+  const defaultValue = getDefaultTimeValue(layer);
+
+  return (
+    steps.find((s) => s.value === value) ||
+    steps.find((s) => s.value === defaultValue)
+  )?.layer || layer;
+}
+
+/**
+ * Returns the cross-fade and autoplay options of a time layer.
+ *
+ * @param {object} layer - Time layer config
+ * @returns {{ crossFade: boolean, fadeDuration: number, interval: number }}
+ */
+export function getTimeOptions(layer) {
+  const opts = typeof layer.timeSeries === "object" ? layer.timeSeries : layer.time || {};
+
+  return {
+    crossFade: opts.crossFade === true,
+    fadeDuration: Number.isFinite(opts.fadeDuration) ? opts.fadeDuration : DEFAULT_FADE_DURATION,
+    interval: Number.isFinite(opts.interval) ? opts.interval : DEFAULT_INTERVAL
+  };
+}
+
+// ------------------------------------------------------------
+// Time series groups
+// ------------------------------------------------------------
+function findTimeSeriesGroups(groups, result = []) {
+  (groups || []).forEach((group) => {
+    if (group.timeSeries && group.name) result.push(group);
+    if (Array.isArray(group.groups)) findTimeSeriesGroups(group.groups, result);
+  });
+  return result;
+}
+
+/**
+ * Replaces the layers of every time series group in `layersByGroup` with
+ * one time layer holding them as steps.
+ *
+ * @param {Array<object>} groups - Root groups from the config
+ * @param {Object<string, object[]>} layersByGroup - Group name -> layer configs
+ * @returns {object[]} the created time layers
+ */
+export function createTimeSeriesLayers(groups, layersByGroup) {
+  return findTimeSeriesGroups(groups)
+    .map((group) => {
+      const members = (layersByGroup[group.name] || []).filter(
+        (l) => l.year !== undefined
+      );
+      if (!members.length) return null;
+
+      const steps = members
+        .map((l) => ({ value: String(l.year), layer: l }))
+        .sort((a, b) => a.value.localeCompare(b.value, "sv", { numeric: true }));
+
+      const first = steps[0].layer;
+      const timeLayer = {
+        ...first,
+        name: group.name,
+        title: group.title || group.name,
+        group: group.name,
+        infoText: group.infoText ?? first.infoText,
+        style: group.style ?? first.style,
+        "visible-at-start":
+          group["visible-at-start"] === true ||
+          members.some((l) => l["visible-at-start"] === true),
+        timeSeries: group.timeSeries,
+        timeSteps: steps
+      };
+      delete timeLayer.year;
+
+      // Layers in the group without a year are kept as normal rows
+      layersByGroup[group.name] = [
+        timeLayer,
+        ...(layersByGroup[group.name] || []).filter((l) => !members.includes(l))
+      ];
+
+      return timeLayer;
+    })
+    .filter(Boolean);
+}
+
+// ------------------------------------------------------------
+// Cross-fade
+// ------------------------------------------------------------
+/**
+ * Fades one imagery layer out and another in.
+ *
+ * @param {Viewer} viewer
+ * @param {ImageryLayer} from
+ * @param {ImageryLayer} to
+ * @param {number} alpha - Final alpha of `to` (the layer's opacity)
+ * @param {number} duration - ms
+ * @returns {{ promise: Promise<void>, finish: () => void }} `finish` jumps to the end
+ */
+export function crossFadeImagery(viewer, from, to, alpha, duration) {
+  let frame = null;
+  let done = false;
+  let resolve;
+
+  const promise = new Promise((r) => (resolve = r));
+  const start = performance.now();
+
+  function finish() {
+    if (done) return;
+    done = true;
+    cancelAnimationFrame(frame);
+
+    from.alpha = 0;
+    to.alpha = alpha;
+    viewer.scene.requestRender();
+    resolve();
+  }
+
+  function step(now) {
+    if (done) return;
+
+    const t = Math.min((now - start) / Math.max(duration, 1), 1);
+    from.alpha = alpha * (1 - t);
+    to.alpha = alpha * t;
+    viewer.scene.requestRender();
+
+    if (t < 1) frame = requestAnimationFrame(step);
+    else finish();
+  }
+
+  frame = requestAnimationFrame(step);
+  return { promise, finish };
+}
+
+// ------------------------------------------------------------
+// Slider + autoplay
+// ------------------------------------------------------------
+/**
+ * Creates the year slider with play button shown under a time layer row.
+ *
+ * @param {object} layer - Time layer config
+ * @param {string} value - Initially selected value
+ * @param {(value: string) => void} onChange - Called when the user (or autoplay) picks a year
+ * @returns {{ element: HTMLElement, setValue: (value: string) => void, stop: () => void }}
+ */
+export function createTimeControl(layer, value, onChange) {
+  const steps = getTimeSteps(layer);
+  const { interval } = getTimeOptions(layer);
+
+  const element = document.createElement("div");
+  element.className = "time-control";
+
+  const playButton = document.createElement("button");
+  playButton.type = "button";
+  playButton.className = "time-play";
+  playButton.title = "Spela upp";
+
+  const slider = document.createElement("input");
+  slider.type = "range";
+  slider.className = "time-slider";
+  slider.min = 0;
+  slider.max = steps.length - 1;
+  slider.step = 1;
+
+  const valueEl = document.createElement("span");
+  valueEl.className = "time-value";
+
+  // Years at both ends of the slider
+  const range = document.createElement("div");
+  range.className = "time-range";
+  range.textContent = `${steps[0].value} – ${steps[steps.length - 1].value}`;
+
+  element.append(playButton, slider, valueEl, range);
+
+  let timer = null;
+
+  function indexOf(v) {
+    const i = steps.findIndex((s) => s.value === v);
+    return i === -1 ? steps.length - 1 : i;
+  }
+
+  function setValue(v) {
+    const i = indexOf(v);
+    slider.value = i;
+    valueEl.textContent = steps[i].value;
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+    playButton.classList.remove("playing");
+    playButton.title = "Spela upp";
+  }
+
+  function play() {
+    playButton.classList.add("playing");
+    playButton.title = "Pausa";
+
+    timer = setInterval(() => {
+      const next = (parseInt(slider.value, 10) + 1) % steps.length;
+      setValue(steps[next].value);
+      onChange(steps[next].value);
+    }, interval);
+  }
+
+  playButton.addEventListener("click", (ev) => {
+    ev.stopPropagation();
+    if (timer) stop();
+    else play();
+  });
+
+  // Label follows the thumb; the layer switches when it is released
+  slider.addEventListener("input", () => {
+    valueEl.textContent = steps[parseInt(slider.value, 10)].value;
+  });
+
+  slider.addEventListener("change", () => {
+    stop();
+    onChange(steps[parseInt(slider.value, 10)].value);
+  });
+
+  setValue(value);
+
+  return { element, setValue, stop };
+}
@@ -242,9 +242,16 @@ export default async function initToolbar(config, viewer) {
 
       const toolsUsingToolConfig = new Set(["bookmarks", "forms"]);
 
-      api = toolsUsingToolConfig.has(tool.toolName)
-        ? initTool(panel, viewer, tool)
-        : initTool(panel, viewer, config.proj4Defs);
+      // Tools that work with other modules through the global config (e.g. config.layerMenuApi)
+      const toolsUsingAppConfig = new Set(["swipe"]);
+
+      if (toolsUsingToolConfig.has(tool.toolName)) {
+        api = initTool(panel, viewer, tool);
+      } else if (toolsUsingAppConfig.has(tool.toolName)) {
+        api = initTool(panel, viewer, config);
+      } else {
+        api = initTool(panel, viewer, config.proj4Defs);
+      }
 
       // Add close button to the panel header (top-right)
       ensurePanelHeaderButtons(panel, api, {
@@ -0,0 +1,299 @@
+// src/config/ui/vectorLayerLoader.js
+import {
+  GeoJsonDataSource,
+  KmlDataSource,
+  CzmlDataSource,
+  Color,
+  ColorMaterialProperty,
+  ConstantProperty,
+  HeightReference,
+  VerticalOrigin,
+  JulianDate,
+  PointGraphics
+} from "cesium";
+
+/**
+ * Loader and styling helpers for vector layers (config section `vectorLayers`).
+ *
+ * Supported types: "GeoJSON", "KML" (also KMZ), "CZML" and "WFS"
+ * (WFS data sources are created by wfsLayer.js, styled with the same keys).
+ *
+ * Example config entry:
+ * {
+ *   "name": "detaljplaner",
+ *   "title": "Detaljplaner",
+ *   "group": "Planer",
+ *   "type": "GeoJSON",
+ *   "url": "./data/detaljplaner.geojson",
+ *   "infoText": "Gällande detaljplaner",
+ *   "style": {
+ *     "stroke": "#1f5fa8",
+ *     "strokeWidth": 2,
+ *     "fill": "rgba(31, 95, 168, 0.3)",
+ *     "clampToGround": true,
+ *     "extrudedHeightProperty": "hojd",
+ *     "icon": "Blue_pin.png",
+ *     "iconScale": 0.05
+ *   }
+ * }
+ *
+ * Style keys:
+ *  - stroke / strokeWidth      Line color and width (polylines and polygon outlines)
+ *  - fill                      Polygon fill color (any CSS color string)
+ *  - clampToGround             Drape lines/polygons and clamp points to terrain
+ *  - extrudedHeightProperty    Feature property holding the extrusion height in meters
+ *  - extrudedHeightScale       Multiplier for the extrusion height (default 1)
+ *  - icon / iconScale          Billboard image from images/icons for point features
+ *  - pointColor / pointSize    Draw point features as colored dots instead of pins
+ *  - pointOutline              Outline color of the dots (default white)
+ */
+
+const VECTOR_TYPES = ["GEOJSON", "KML", "KMZ", "CZML", "WFS"];
+
+// Entity -> colors before any opacity was applied
+const baseColors = new WeakMap();
+
+// DataSource -> last opacity applied (for entities added later, e.g. WFS)
+const dataSourceOpacity = new WeakMap();
+
+/**
+ * True if the layer config describes a vector data source.
+ *
+ * @param {object} layer - Layer configuration object
+ * @returns {boolean}
+ */
+export function isVectorLayer(layer) {
+  return VECTOR_TYPES.includes(String(layer?.type || "").toUpperCase());
+}
+
+function parseColor(value, fallback) {
+  if (!value) return fallback;
+  return Color.fromCssColorString(value) ?? fallback;
+}
+
+function readNumberProperty(entity, propName, time) {
+  const prop = entity.properties?.[propName];
+  if (!prop) return NaN;
+
+  const value = typeof prop.getValue === "function" ? prop.getValue(time) : prop;
+  return Number(value);
+}
+
+/**
+ * Applies per-layer styling to all entities of a data source.
+ * Safe to call for GeoJSON, KML and CZML sources and for user-imported data.
+ *
+ * @param {DataSource} dataSource - Loaded Cesium data source
+ * @param {object} [style] - Style block from the layer config
+ */
+export function applyVectorStyle(dataSource, style = {}) {
+  const time = JulianDate.now();
+
+  const stroke = parseColor(style.stroke, null);
+  const fill = parseColor(style.fill, null);
+  const clamp = !!style.clampToGround;
+  const extrudeProp = style.extrudedHeightProperty;
+  const extrudeScale = Number.isFinite(style.extrudedHeightScale)
+    ? style.extrudedHeightScale
+    : 1;
+
+  dataSource.entities.values.forEach((entity) => {
+    if (entity.polygon) {
+      if (fill) entity.polygon.material = new ColorMaterialProperty(fill);
+      if (stroke) {
+        entity.polygon.outline = new ConstantProperty(true);
+        entity.polygon.outlineColor = new ConstantProperty(stroke);
+      }
+
+      const h = extrudeProp ? readNumberProperty(entity, extrudeProp, time) : NaN;
+      if (Number.isFinite(h)) {
+        entity.polygon.extrudedHeight = new ConstantProperty(h * extrudeScale);
+        entity.polygon.heightReference = new ConstantProperty(
+          HeightReference.CLAMP_TO_GROUND
+        );
+        entity.polygon.extrudedHeightReference = new ConstantProperty(
+          HeightReference.RELATIVE_TO_GROUND
+        );
+      }
+    }
+
+    if (entity.polyline) {
+      if (stroke) entity.polyline.material = new ColorMaterialProperty(stroke);
+      if (Number.isFinite(style.strokeWidth)) {
+        entity.polyline.width = new ConstantProperty(style.strokeWidth);
+      }
+      if (clamp) entity.polyline.clampToGround = new ConstantProperty(true);
+    }
+
+    if (entity.billboard) {
+      if (style.icon) {
+        entity.billboard.image = new ConstantProperty(`images/icons/${style.icon}`);
+        entity.billboard.scale = new ConstantProperty(style.iconScale ?? 1);
+        entity.billboard.verticalOrigin = new ConstantProperty(VerticalOrigin.BOTTOM);
+      }
+      if (clamp) {
+        entity.billboard.heightReference = new ConstantProperty(
+          HeightReference.CLAMP_TO_GROUND
+        );
+      }
+    }
+
+    // Dots instead of the default GeoJSON pins
+    if (entity.billboard && style.pointColor && !style.icon) {
+      entity.billboard = undefined;
+      entity.point = new PointGraphics({
+        color: parseColor(style.pointColor, Color.WHITE),
+        pixelSize: style.pointSize ?? 8,
+        outlineColor: parseColor(style.pointOutline, Color.WHITE),
+        outlineWidth: 1
+      });
+    }
+
+    if (entity.point && clamp) {
+      entity.point.heightReference = new ConstantProperty(
+        HeightReference.CLAMP_TO_GROUND
+      );
+    }
+
+    // Styling changed the colors, forget any stored opacity base
+    baseColors.delete(entity);
+  });
+}
+
+/**
+ * GeoJsonDataSource.load options for a layer config.
+ *
+ * @param {object} layer - Layer configuration object
+ * @returns {object}
+ */
+export function geoJsonLoadOptions(layer) {
+  const style = layer.style || {};
+
+  return {
+    stroke: parseColor(style.stroke, GeoJsonDataSource.stroke),
+    fill: parseColor(style.fill, GeoJsonDataSource.fill),
+    strokeWidth: style.strokeWidth ?? GeoJsonDataSource.strokeWidth,
+    clampToGround: !!style.clampToGround,
+    credit: layer.credit
+  };
+}
+
+/**
+ * Loads a vector layer as a Cesium data source (not yet added to the viewer).
+ *
+ * @param {object} layer - Layer configuration object
+ * @param {Viewer} viewer - Cesium Viewer instance (KML needs camera + canvas)
+ * @returns {Promise<DataSource>}
+ */
+export async function loadVectorDataSource(layer, viewer) {
+  const type = String(layer.type || "").toUpperCase();
+  const style = layer.style || {};
+  const source = layer.data ?? layer.url;
+
+  let dataSource;
+
+  if (type === "GEOJSON") {
+    dataSource = await GeoJsonDataSource.load(source, geoJsonLoadOptions(layer));
+  } else if (type === "KML" || type === "KMZ") {
+    dataSource = await KmlDataSource.load(source, {
+      camera: viewer.scene.camera,
+      canvas: viewer.scene.canvas,
+      clampToGround: !!style.clampToGround,
+      credit: layer.credit
+    });
+  } else if (type === "CZML") {
+    dataSource = await CzmlDataSource.load(source, { credit: layer.credit });
+  } else {
+    throw new Error(`Unsupported vector layer type: ${layer.type}`);
+  }
+
+  dataSource.name = layer.title || layer.name;
+  applyVectorStyle(dataSource, style);
+
+  return dataSource;
+}
+
+function currentColor(property, time) {
+  if (!property) return undefined;
+
+  // ColorMaterialProperty keeps its color in .color
+  const value =
+    typeof property.getValue === "function" ? property.getValue(time) : property;
+  const color = value?.color ?? value;
+
+  return color instanceof Color ? Color.clone(color) : undefined;
+}
+
+function getBaseColors(entity, time) {
+  let base = baseColors.get(entity);
+  if (base) return base;
+
+  base = {
+    polygon: currentColor(entity.polygon?.material, time),
+    outline: currentColor(entity.polygon?.outlineColor, time),
+    polyline: currentColor(entity.polyline?.material, time),
+    billboard: currentColor(entity.billboard?.color, time) ?? Color.WHITE,
+    point: currentColor(entity.point?.color, time),
+    label: currentColor(entity.label?.fillColor, time)
+  };
+
+  baseColors.set(entity, base);
+  return base;
+}
+
+function withOpacity(color, opacity) {
+  return color.withAlpha(color.alpha * opacity);
+}
+
+/**
+ * Applies a layer opacity (0..1) to all entities of a data source.
+ * The original entity colors are remembered so the slider can go back up.
+ *
+ * @param {DataSource} dataSource - Loaded Cesium data source
+ * @param {number} opacity - Opacity between 0 and 1
+ */
+export function applyVectorOpacity(dataSource, opacity) {
+  const time = JulianDate.now();
+  dataSourceOpacity.set(dataSource, opacity);
+
+  dataSource.entities.values.forEach((entity) => {
+    const base = getBaseColors(entity, time);
+
+    if (entity.polygon && base.polygon) {
+      entity.polygon.material = new ColorMaterialProperty(
+        withOpacity(base.polygon, opacity)
+      );
+    }
+    if (entity.polygon && base.outline) {
+      entity.polygon.outlineColor = new ConstantProperty(
+        withOpacity(base.outline, opacity)
+      );
+    }
+    if (entity.polyline && base.polyline) {
+      entity.polyline.material = new ColorMaterialProperty(
+        withOpacity(base.polyline, opacity)
+      );
+    }
+    if (entity.billboard) {
+      entity.billboard.color = new ConstantProperty(
+        withOpacity(base.billboard, opacity)
+      );
+    }
+    if (entity.point && base.point) {
+      entity.point.color = new ConstantProperty(withOpacity(base.point, opacity));
+    }
+    if (entity.label && base.label) {
+      entity.label.fillColor = new ConstantProperty(withOpacity(base.label, opacity));
+    }
+  });
+}
+
+/**
+ * Returns the opacity last applied with applyVectorOpacity (default 1).
+ *
+ * @param {DataSource} dataSource
+ * @returns {number}
+ */
+export function getVectorOpacity(dataSource) {
+  return dataSourceOpacity.get(dataSource) ?? 1;
+}
@@ -0,0 +1,560 @@
+// src/config/ui/wfsLayer.js
+import proj4 from "proj4";
+import {
+  CustomDataSource,
+  GeoJsonDataSource,
+  Math as CesiumMath
+} from "cesium";
+
+import {
+  applyVectorStyle,
+  applyVectorOpacity,
+  getVectorOpacity,
+  geoJsonLoadOptions
+} from "./vectorLayerLoader.js";
+import { reprojectGeoJson } from "./reproject.js";
+
+/**
+ * WFS 2.0 vector layers (config section `vectorLayers`, type "WFS").
+ *
+ * Features are requested with GetFeature for the area in view only.
+ * The view is split into a fixed grid of request tiles (in degrees) so
+ * responses can be cached and reused while the user pans around.
+ * The layer refreshes when the camera stops moving.
+ *
+ * Example config entry:
+ * {
+ *   "name": "fastighetsytor",
+ *   "title": "Fastighetsytor",
+ *   "group": "Planer",
+ *   "type": "WFS",
+ *   "url": "https://example.se/geoserver/wfs",
+ *   "typeName": "plan:fastighetsytor",
+ *   "outputFormat": "application/json",
+ *   "srsName": "EPSG:3006",
+ *   "maxFeatures": 3000,
+ *   "style": {
+ *     "stroke": "#b35806",
+ *     "strokeWidth": 2,
+ *     "fill": "rgba(179, 88, 6, 0.2)",
+ *     "pointColor": "#b35806",
+ *     "pointSize": 8,
+ *     "clampToGround": true
+ *   }
+ * }
+ *
+ * Config keys:
+ *  - typeName       TYPENAMES of the feature type(s)
+ *  - outputFormat   "application/json" (default) or a GML format
+ *  - srsName        CRS of the requests and responses (default "EPSG:3006").
+ *                   Must be listed in proj4Defs
+ *  - swapAxes       true if the server uses north/east order for srsName
+ *  - maxFeatures    Max features shown at once, also COUNT per request (default 2000)
+ *  - tileSize       Request tile size in degrees (default 0.02)
+ *  - maxTiles       Skip loading when the view needs more tiles (default 48)
+ *  - cacheTiles     Number of request tiles kept in memory (default 200)
+ *  - parameters     Extra query parameters (e.g. CQL_FILTER)
+ *  - rectangle      { west, south, east, north } used by the zoom button
+ *  - style          See vectorLayerLoader.js
+ */
+
+const DEFAULTS = {
+  outputFormat: "application/json",
+  srsName: "EPSG:3006",
+  maxFeatures: 2000,
+  tileSize: 0.02,
+  maxTiles: 48,
+  cacheTiles: 200
+};
+
+// ------------------------------------------------------------
+// GML parsing (GML 3.2 from WFS 2.0, also handles GML 2/3.1 names)
+// ------------------------------------------------------------
+function childrenByName(el, name) {
+  return Array.from(el.children).filter((c) => c.localName === name);
+}
+
+function firstChild(el, name) {
+  return Array.from(el.children).find((c) => c.localName === name);
+}
+
+function parseNumbers(text) {
+  return String(text || "")
+    .trim()
+    .split(/[\s,]+/)
+    .filter(Boolean)
+    .map(Number);
+}
+
+/**
+ * Reads the coordinates of a GML element holding posList, pos or coordinates.
+ */
+function readPositions(el) {
+  const posList = firstChild(el, "posList");
+  if (posList) {
+    const dim = parseInt(
+      posList.getAttribute("srsDimension") || el.getAttribute("srsDimension") || "2",
+      10
+    );
+    const nums = parseNumbers(posList.textContent);
+    const out = [];
+    for (let i = 0; i + dim - 1 < nums.length; i += dim) {
+      out.push(nums.slice(i, i + dim));
+    }
+    return out;
+  }
+
+  const pos = childrenByName(el, "pos");
+  if (pos.length) return pos.map((p) => parseNumbers(p.textContent));
+
+  const coords = firstChild(el, "coordinates");
+  if (coords) {
+    return coords.textContent
+      .trim()
+      .split(/\s+/)
+      .map((tuple) => tuple.split(",").map(Number));
+  }
+
+  return [];
+}
+
+function readRing(container) {
+  const ring = container && firstChild(container, "LinearRing");
+  return ring ? readPositions(ring) : [];
+}
+
+function readPolygon(el) {
+  // Surface -> patches -> PolygonPatch
+  const patch = firstChild(el, "patches")?.firstElementChild;
+  const poly = patch || el;
+
+  const outer = firstChild(poly, "exterior") || firstChild(poly, "outerBoundaryIs");
+  const inner = [
+    ...childrenByName(poly, "interior"),
+    ...childrenByName(poly, "innerBoundaryIs")
+  ];
+
+  return [readRing(outer), ...inner.map(readRing)];
+}
+
+function readLine(el) {
+  // Curve -> segments -> LineStringSegment
+  const segments = firstChild(el, "segments");
+  if (segments) {
+    return Array.from(segments.children).flatMap((seg) => readPositions(seg));
+  }
+  return readPositions(el);
+}
+
+function memberGeometries(el, memberNames) {
+  return Array.from(el.children)
+    .filter((c) => memberNames.includes(c.localName))
+    .flatMap((m) => Array.from(m.children));
+}
+
+/**
+ * Converts a GML geometry element to a GeoJSON geometry.
+ */
+function gmlToGeometry(el) {
+  switch (el.localName) {
+    case "Point":
+      return { type: "Point", coordinates: readPositions(el)[0] };
+
+    case "LineString":
+    case "Curve":
+      return { type: "LineString", coordinates: readLine(el) };
+
+    case "Polygon":
+    case "Surface":
+      return { type: "Polygon", coordinates: readPolygon(el) };
+
+    case "MultiPoint":
+      return {
+        type: "MultiPoint",
+        coordinates: memberGeometries(el, ["pointMember", "pointMembers"]).map(
+          (p) => readPositions(p)[0]
+        )
+      };
+
+    case "MultiCurve":
+    case "MultiLineString":
+      return {
+        type: "MultiLineString",
+        coordinates: memberGeometries(el, [
+          "curveMember",
+          "curveMembers",
+          "lineStringMember"
+        ]).map(readLine)
+      };
+
+    case "MultiSurface":
+    case "MultiPolygon":
+      return {
+        type: "MultiPolygon",
+        coordinates: memberGeometries(el, [
+          "surfaceMember",
+          "surfaceMembers",
+          "polygonMember"
+        ]).map(readPolygon)
+      };
+
+    default:
+      return null;
+  }
+}
+
+function isGmlElement(el) {
+  return /opengis\.net\/gml/.test(el.namespaceURI || "");
+}
+
+/**
+ * Parses a WFS GML response into GeoJSON features.
+ *
+ * @param {string} text - GetFeature response body
+ * @returns {object[]} GeoJSON features
+ */
+export function parseGmlFeatures(text) {
+  const doc = new DOMParser().parseFromString(text, "text/xml");
+  if (doc.querySelector("parsererror")) {
+    throw new Error("Ogiltigt GML-svar");
+  }
+
+  const exception = doc.getElementsByTagNameNS("*", "ExceptionText")[0];
+  if (exception) throw new Error(exception.textContent.trim());
+
+  const members = [
+    ...doc.getElementsByTagNameNS("*", "member"),
+    ...doc.getElementsByTagNameNS("*", "featureMember")
+  ];
+
+  return members
+    .map((member) => member.firstElementChild)
+    .filter(Boolean)
+    .map((featureEl) => {
+      const properties = {};
+      let geometry = null;
+
+      Array.from(featureEl.children).forEach((prop) => {
+        const geomEl = Array.from(prop.children).find(isGmlElement);
+        if (geomEl && !geometry) {
+          geometry = gmlToGeometry(geomEl);
+        } else if (prop.children.length === 0) {
+          properties[prop.localName] = prop.textContent;
+        }
+      });
+
+      const id =
+        featureEl.getAttributeNS("http://www.opengis.net/gml/3.2", "id") ||
+        featureEl.getAttribute("gml:id") ||
+        featureEl.getAttribute("fid") ||
+        undefined;
+
+      return { type: "Feature", id, properties, geometry };
+    })
+    .filter((f) => f.geometry);
+}
+
+// ------------------------------------------------------------
+// Requests
+// ------------------------------------------------------------
+function swapXY(coords) {
+  if (typeof coords[0] === "number") {
+    const [a, b, ...rest] = coords;
+    return [b, a, ...rest];
+  }
+  return coords.map(swapXY);
+}
+
+function swapGeometry(geometry) {
+  if (!geometry) return geometry;
+  if (geometry.type === "GeometryCollection") {
+    return { ...geometry, geometries: geometry.geometries.map(swapGeometry) };
+  }
+  return { ...geometry, coordinates: swapXY(geometry.coordinates) };
+}
+
+/**
+ * Builds a GetFeature URL for a request tile given in degrees.
+ */
+function buildGetFeatureUrl(layer, opts, tile) {
+  const toSrs = proj4("EPSG:4326", opts.srsName);
+
+  const corners = [
+    [tile.west, tile.south],
+    [tile.east, tile.south],
+    [tile.east, tile.north],
+    [tile.west, tile.north]
+  ].map((c) => toSrs.forward(c));
+
+  const xs = corners.map((c) => c[0]);
+  const ys = corners.map((c) => c[1]);
+  let bbox = [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+  if (layer.swapAxes) bbox = [bbox[1], bbox[0], bbox[3], bbox[2]];
+
+  const params = new URLSearchParams({
+    SERVICE: "WFS",
+    VERSION: "2.0.0",
+    REQUEST: "GetFeature",
+    TYPENAMES: layer.typeName || layer.typeNames,
+    OUTPUTFORMAT: opts.outputFormat,
+    SRSNAME: opts.srsName,
+    COUNT: String(opts.maxFeatures),
+    BBOX: `${bbox.join(",")},${opts.srsName}`,
+    ...(layer.parameters || {})
+  });
+
+  const base = String(layer.url);
+  return `${base}${base.includes("?") ? "&" : "?"}${params.toString()}`;
+}
+
+async function fetchTileFeatures(layer, opts, tile) {
+  const res = await fetch(buildGetFeatureUrl(layer, opts, tile));
+  if (!res.ok) throw new Error(`GetFeature ${res.status}`);
+
+  const text = await res.text();
+
+  let features;
+  if (/json/i.test(opts.outputFormat)) {
+    const json = JSON.parse(text);
+    features = Array.isArray(json.features) ? json.features : [];
+  } else {
+    features = parseGmlFeatures(text);
+  }
+
+  if (layer.swapAxes) {
+    features = features.map((f) => ({ ...f, geometry: swapGeometry(f.geometry) }));
+  }
+
+  if (features.length >= opts.maxFeatures) {
+    console.warn(
+      `WFS layer "${layer.name}": request tile returned ${features.length} features (COUNT limit), some may be missing`
+    );
+  }
+
+  return reprojectGeoJson({ type: "FeatureCollection", features }, opts.srsName)
+    .features;
+}
+
+// ------------------------------------------------------------
+// Data source
+// ------------------------------------------------------------
+/**
+ * Creates a data source that loads WFS features for the camera view.
+ * Loading starts when the data source is added to the viewer and stops
+ * when it is removed.
+ *
+ * Load state and errors are reported through the data source's
+ * loadingEvent and errorEvent.
+ *
+ * @param {object} layer - WFS layer config
+ * @param {Viewer} viewer - Cesium Viewer instance
+ * @returns {Promise<CustomDataSource>}
+ */
+export async function loadWfsDataSource(layer, viewer) {
+  const opts = { ...DEFAULTS, ...layer };
+
+  if (!proj4.defs(opts.srsName)) {
+    throw new Error(`srsName ${opts.srsName} saknas i proj4Defs`);
+  }
+
+  const dataSource = new CustomDataSource(layer.title || layer.name);
+
+  const tileCache = new Map(); // tile key -> GeoJSON features (insertion order = LRU)
+  const pending = new Map(); // tile key -> Promise<features>
+
+  const featureKeys = new Map(); // feature identity -> internal entity id
+  const shown = new Map(); // internal entity id -> Entity[]
+  let keyCounter = 0;
+
+  let updateId = 0;
+  let removeMoveEnd = null;
+
+  function identityOf(feature) {
+    if (feature.id !== undefined && feature.id !== null) return `id:${feature.id}`;
+    return `geom:${JSON.stringify(feature.geometry)}`;
+  }
+
+  function internalKey(feature) {
+    const identity = identityOf(feature);
+    if (!featureKeys.has(identity)) featureKeys.set(identity, `wfs${++keyCounter}`);
+    return featureKeys.get(identity);
+  }
+
+  /**
+   * Request tiles covering the current view, or null when the view is too
+   * large (e.g. zoomed out to the whole country) or not on the globe.
+   */
+  function tilesInView() {
+    const rect = viewer.camera.computeViewRectangle();
+    if (!rect) return null;
+
+    const size = opts.tileSize;
+    const west = CesiumMath.toDegrees(rect.west);
+    const south = CesiumMath.toDegrees(rect.south);
+    const east = CesiumMath.toDegrees(rect.east);
+    const north = CesiumMath.toDegrees(rect.north);
+
+    const x0 = Math.floor(west / size);
+    const x1 = Math.floor(east / size);
+    const y0 = Math.floor(south / size);
+    const y1 = Math.floor(north / size);
+
+    if ((x1 - x0 + 1) * (y1 - y0 + 1) > opts.maxTiles || x1 < x0) return null;
+
+    const tiles = [];
+    for (let y = y0; y <= y1; y++) {
+      for (let x = x0; x <= x1; x++) {
+        tiles.push({
+          key: `${x}/${y}`,
+          west: x * size,
+          south: y * size,
+          east: (x + 1) * size,
+          north: (y + 1) * size
+        });
+      }
+    }
+    return tiles;
+  }
+
+  function getTile(tile) {
+    const cached = tileCache.get(tile.key);
+    if (cached) {
+      // Move to the end (most recently used)
+      tileCache.delete(tile.key);
+      tileCache.set(tile.key, cached);
+      return Promise.resolve(cached);
+    }
+
+    if (pending.has(tile.key)) return pending.get(tile.key);
+
+    const promise = fetchTileFeatures(layer, opts, tile)
+      .then((features) => {
+        tileCache.set(tile.key, features);
+        while (tileCache.size > opts.cacheTiles) {
+          tileCache.delete(tileCache.keys().next().value);
+        }
+        return features;
+      })
+      .finally(() => pending.delete(tile.key));
+
+    pending.set(tile.key, promise);
+    return promise;
+  }
+
+  /**
+   * Shows the features of the given tiles (up to maxFeatures) and removes
+   * entities of features that are no longer in view.
+   */
+  async function render(tiles, myUpdate) {
+    const wanted = new Map(); // internal key -> feature
+
+    for (const tile of tiles) {
+      const features = tileCache.get(tile.key) || [];
+      for (const feature of features) {
+        if (wanted.size >= opts.maxFeatures) break;
+        wanted.set(internalKey(feature), feature);
+      }
+    }
+
+    dataSource.entities.suspendEvents();
+    shown.forEach((entities, key) => {
+      if (wanted.has(key)) return;
+      entities.forEach((e) => dataSource.entities.remove(e));
+      shown.delete(key);
+    });
+    dataSource.entities.resumeEvents();
+
+    const added = [];
+    wanted.forEach((feature, key) => {
+      if (!shown.has(key)) added.push({ ...feature, id: key });
+    });
+    if (!added.length) return;
+
+    // Style in a temporary source, then move the entities over
+    const tmp = await GeoJsonDataSource.load(
+      { type: "FeatureCollection", features: added },
+      geoJsonLoadOptions(layer)
+    );
+    // A newer update (or stop) superseded this one while styling
+    if (myUpdate !== updateId) return;
+
+    applyVectorStyle(tmp, layer.style);
+    applyVectorOpacity(tmp, getVectorOpacity(dataSource));
+
+    const entities = tmp.entities.values.slice();
+    tmp.entities.removeAll();
+
+    dataSource.entities.suspendEvents();
+    entities.forEach((entity) => {
+      // Multi geometries give "<key>_2", "<key>_3", ...
+      const key = entity.id.replace(/_\d+$/, "");
+      if (dataSource.entities.getById(entity.id)) return;
+
+      dataSource.entities.add(entity);
+      if (!shown.has(key)) shown.set(key, []);
+      shown.get(key).push(entity);
+    });
+    dataSource.entities.resumeEvents();
+  }
+
+  async function update() {
+    const myUpdate = ++updateId;
+
+    const tiles = tilesInView();
+    if (!tiles) {
+      // Zoomed out too far: nothing to load, and an older load is superseded
+      dataSource.isLoading = false;
+      return;
+    }
+
+    dataSource.isLoading = true;
+
+    try {
+      const results = await Promise.allSettled(tiles.map(getTile));
+      if (myUpdate !== updateId) return;
+
+      const failed = results.filter((r) => r.status === "rejected");
+      if (failed.length) {
+        console.warn(`WFS layer "${layer.name}":`, failed[0].reason);
+        dataSource.errorEvent.raiseEvent(dataSource, failed[0].reason);
+      }
+
+      await render(tiles, myUpdate);
+    } catch (err) {
+      console.warn(`WFS layer "${layer.name}" could not be updated`, err);
+      dataSource.errorEvent.raiseEvent(dataSource, err);
+    } finally {
+      if (myUpdate === updateId) dataSource.isLoading = false;
+    }
+  }
+
+  function start() {
+    if (removeMoveEnd) return;
+    removeMoveEnd = viewer.camera.moveEnd.addEventListener(update);
+    update();
+  }
+
+  function stop() {
+    removeMoveEnd?.();
+    removeMoveEnd = null;
+    updateId++;
+    dataSource.isLoading = false;
+  }
+
+  const removeAddedListener = viewer.dataSources.dataSourceAdded.addEventListener(
+    (_, added) => {
+      if (added === dataSource) start();
+    }
+  );
+
+  const removeRemovedListener = viewer.dataSources.dataSourceRemoved.addEventListener(
+    (_, removed) => {
+      if (removed !== dataSource) return;
+      stop();
+      removeAddedListener();
+      removeRemovedListener();
+    }
+  );
+
+  return dataSource;
+}
@@ -25,6 +25,7 @@ import { initCopyCoordinates } from "./config/ui/rightClickMenu.js";
 import initLogo from "./config/ui/logo.js"; 
 import { createTilesetClippingManager } from "./config/ui/tilesetClippingManager.js";
 import makeCesiumInfoBoxDraggable from "./config/ui/infoBoxMod.js";
+import { expandCapabilityLayers } from "./config/ui/capabilities.js";
 
 // CSS imports
 import "cesium/Build/Cesium/Widgets/widgets.css";
@@ -164,18 +165,19 @@ async function main() {
   const projectMenuApi = initProjectMenuUI(viewer, config);
   config.projectMenuApi = projectMenuApi;
 
-  initMenuUI(viewer, config);               // Top-right menu
+  config.menuApi = initMenuUI(viewer, config);          // Top-right menu
   initSearchBar(viewer, config);            // Address search bar
   initCopyCoordinates(viewer, config.proj4Defs); // Right-click coordiante menu
-  initLayerMenu(viewer, config);            // Layer menu (left side)
+  await expandCapabilityLayers(config);      // wmsLayers given as a capabilities URL
+  config.layerMenuApi = initLayerMenu(viewer, config);  // Layer menu (left side)
   initLogo(config);                         // Add logo
   makeCesiumInfoBoxDraggable(viewer);       // Make the info box draggable
 
   await initToolbar(config, viewer);
 
   // ------------------------------------------------------------
-  // 10) Apply camera parameters from URL (if shared link)
+  // 10) Apply map state and camera parameters from URL (if shared link)
   // ------------------------------------------------------------
-  applyUrlCamera(viewer);
+  await applyUrlCamera(viewer, config);
 }
 main();
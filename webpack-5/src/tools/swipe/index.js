@@ -0,0 +1,232 @@
+// src/tools/swipe/index.js
+
+import { SplitDirection } from "cesium";
+import "./style.css";
+
+/**
+ * Swipe tool: compares layers side by side with a draggable divider.
+ *
+ * Purpose:
+ *  - Compare e.g. orthophoto years or textured vs. plain building models
+ *    without toggling layers back and forth.
+ *
+ * Key behaviors:
+ *  - Lists the layers that are on in the layer menu (imagery and 3D tilesets)
+ *  - Each layer is shown to the left, to the right or on both sides
+ *    (Cesium's splitDirection on ImageryLayer / Cesium3DTileset)
+ *  - A vertical divider over the map sets scene.splitPosition
+ *  - Side assignments are kept per layer name, so turning a layer off and
+ *    on again (or retrying it) keeps its side. The divider keeps its
+ *    position when layers change and between openings of the panel.
+ *  - Active while the panel is open; closing it shows all layers in full
+ *
+ * Vector layers cannot be split by Cesium and are not listed.
+ *
+ * @param {HTMLElement} panel  The container element for the tool UI.
+ * @param {Viewer}      viewer The Cesium Viewer instance.
+ * @param {object}      config Global config (uses config.layerMenuApi)
+ * @returns {{ stop: () => void }}
+ */
+export default function initSwipe(panel, viewer, config = {}) {
+  const layerMenuApi = config.layerMenuApi;
+  const scene = viewer.scene;
+
+  // ------------------------------------------------------------
+  // 1) Panel header + body
+  // ------------------------------------------------------------
+  const header = document.createElement("div");
+  header.className = "panel-header";
+  header.textContent = "Jämför lager";
+  panel.appendChild(header);
+
+  const body = document.createElement("div");
+  body.className = "panel-body";
+  panel.appendChild(body);
+
+  const instructions = document.createElement("div");
+  instructions.className = "tool-instructions";
+  instructions.textContent =
+    "Välj sida för varje tänt lager och dra i avdelaren i kartan för att jämföra.";
+  body.appendChild(instructions);
+
+  const list = document.createElement("div");
+  list.className = "swipe-list";
+  body.appendChild(list);
+
+  // ------------------------------------------------------------
+  // 2) Divider over the map
+  // ------------------------------------------------------------
+  const divider = document.createElement("div");
+  divider.className = "swipe-divider";
+  divider.hidden = true;
+
+  const handle = document.createElement("div");
+  handle.className = "swipe-divider-handle";
+  handle.title = "Dra för att flytta avdelaren";
+  divider.appendChild(handle);
+
+  viewer.container.appendChild(divider);
+
+  // ------------------------------------------------------------
+  // Internal state
+  // ------------------------------------------------------------
+  const SIDES = [
+    { value: SplitDirection.LEFT, key: "left", label: "Vänster" },
+    { value: SplitDirection.NONE, key: "none", label: "Båda" },
+    { value: SplitDirection.RIGHT, key: "right", label: "Höger" }
+  ];
+
+  const sides = {}; // layer name -> SplitDirection (kept while the page is open)
+  let position = 0.5; // divider position, 0..1 of the map width
+  let active = false;
+  let removeLayerListener = null;
+  let dragPointerId = null;
+
+  function getLayers() {
+    return (layerMenuApi?.getActiveLayers?.() || []).filter(
+      ({ object, isImagery }) => isImagery || object?.tileLoad
+    );
+  }
+
+  function setPosition(value) {
+    position = Math.min(Math.max(value, 0), 1);
+    divider.style.left = `${position * 100}%`;
+    scene.splitPosition = position;
+    scene.requestRender();
+  }
+
+  /**
+   * Applies the stored sides to the loaded layers. Layers are loaded anew
+   * each time they are turned on, so this runs after every layer change.
+   */
+  function applySides() {
+    getLayers().forEach(({ entry, object }) => {
+      object.splitDirection = active
+        ? sides[entry.name] ?? SplitDirection.NONE
+        : SplitDirection.NONE;
+    });
+    scene.requestRender();
+  }
+
+  // ------------------------------------------------------------
+  // 3) Layer list
+  // ------------------------------------------------------------
+  function renderList() {
+    list.innerHTML = "";
+
+    const layers = getLayers();
+    if (!layers.length) {
+      const empty = document.createElement("div");
+      empty.className = "tool-empty";
+      empty.textContent = "Tänd bilder eller 3D-lager i lagermenyn för att jämföra dem.";
+      list.appendChild(empty);
+      return;
+    }
+
+    layers.forEach(({ entry }) => {
+      const row = document.createElement("div");
+      row.className = "swipe-row";
+
+      const label = document.createElement("span");
+      label.className = "swipe-label";
+      label.textContent = entry.title || entry.name;
+      label.title = entry.title || entry.name;
+
+      const buttons = document.createElement("div");
+      buttons.className = "swipe-sides";
+
+      const current = sides[entry.name] ?? SplitDirection.NONE;
+
+      SIDES.forEach(({ value, key, label: text }) => {
+        const btn = document.createElement("button");
+        btn.type = "button";
+        btn.className = `swipe-side swipe-side-${key}`;
+        btn.textContent = text;
+        btn.classList.toggle("active", value === current);
+
+        btn.addEventListener("click", () => {
+          sides[entry.name] = value;
+          buttons
+            .querySelectorAll(".swipe-side")
+            .forEach((b) => b.classList.toggle("active", b === btn));
+          applySides();
+        });
+
+        buttons.appendChild(btn);
+      });
+
+      row.append(label, buttons);
+      list.appendChild(row);
+    });
+  }
+
+  function onLayersChanged() {
+    applySides();
+    renderList();
+  }
+
+  // ------------------------------------------------------------
+  // 4) Dragging the divider (pointer events so it also works on touch)
+  // ------------------------------------------------------------
+  handle.style.touchAction = "none";
+
+  handle.addEventListener("pointerdown", (e) => {
+    if (e.pointerType === "mouse" && e.button !== 0) return;
+    dragPointerId = e.pointerId;
+    handle.setPointerCapture?.(dragPointerId);
+    divider.classList.add("dragging");
+    e.preventDefault();
+  });
+
+  handle.addEventListener("pointermove", (e) => {
+    if (e.pointerId !== dragPointerId) return;
+    const rect = viewer.container.getBoundingClientRect();
+    setPosition((e.clientX - rect.left) / rect.width);
+  });
+
+  const stopDragging = (e) => {
+    if (e.pointerId !== dragPointerId) return;
+    dragPointerId = null;
+    divider.classList.remove("dragging");
+  };
+
+  handle.addEventListener("pointerup", stopDragging);
+  handle.addEventListener("pointercancel", stopDragging);
+
+  // ------------------------------------------------------------
+  // 5) Start/stop with the panel
+  // ------------------------------------------------------------
+  function start() {
+    if (active) return;
+    active = true;
+
+    divider.hidden = false;
+    setPosition(position);
+
+    removeLayerListener = layerMenuApi?.onLayersChanged?.(onLayersChanged) || null;
+    onLayersChanged();
+  }
+
+  function stop() {
+    if (!active) return;
+    active = false;
+
+    divider.hidden = true;
+    removeLayerListener?.();
+    removeLayerListener = null;
+
+    // Show all layers in full again; sides and position are kept for next time
+    applySides();
+  }
+
+  new MutationObserver(() => {
+    if (getComputedStyle(panel).display === "none") stop();
+    else start();
+  }).observe(panel, { attributes: true, attributeFilter: ["style"] });
+
+  if (!layerMenuApi) {
+    console.warn("Swipe tool: layer menu is not available");
+  }
+
+  return { stop };
+}
@@ -34,6 +34,11 @@ export const TOOL_INSTRUCTIONS = {
   <p>Skuggor kastas även av objekt placerade genom "Placera" verktyget och av 3D-objekt ritade genom "Rita 3D" verktyget.</p>
   <p> OBS: Skuggor kan bara stängas av genom att klicka på "Switchen".</p>
   `,
+  swipe: `
+  <p>Tänd de lager du vill jämföra i lagermenyn, till exempel två flygfotoår eller två versioner av en byggnadsmodell.</p>
+  <p>Välj om varje lager ska visas till vänster, till höger eller på båda sidor om avdelaren. Dra sedan i avdelaren i kartan.</p>
+  <p>Lagrens sidor och avdelarens läge sparas när du tänder och släcker lager. När verktygsrutan stängs visas alla lager som vanligt igen.</p>
+  `,
   "hide-buildings" : `
   <p>Genom att mittenklicka (mus-skrollen) på byggnader så göms de temporärt. För att återställa gömda byggnader klicka på "Ögat".</p>
   <p>Det går inte att gömma objekt man själv placerat ut. </p>